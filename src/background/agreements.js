@@ -0,0 +1,98 @@
+// src/background/agreements.js
+
+import { policyTextService } from "./policyText";
+import { POLICY_TYPES, AGREEMENT_TRIGGERS } from "../utils/dataModels";
+
+// Ledger of clickwrap agreements ("I agree to the Terms" ticked or a
+// sign-up form submitted), newest first. Each entry pins the policies by
+// URL and by the hash of the version in force when the user agreed; the
+// text of that version is kept under the same hash.
+const STORAGE_KEY = "agreementLedger";
+
+async function getLedger() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEY], (result) => {
+      resolve(result[STORAGE_KEY] || []);
+    });
+  });
+}
+
+async function saveLedger(entries) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [STORAGE_KEY]: entries }, resolve);
+  });
+}
+
+// Ledger writes are chained so concurrent agreements and removals don't
+// overwrite each other. Policies are fetched before joining the chain.
+let pendingWrite = Promise.resolve();
+
+function updateLedger(update) {
+  pendingWrite = pendingWrite
+    .catch(() => {})
+    .then(async () => saveLedger(update(await getLedger())));
+  return pendingWrite;
+}
+
+// A policy that can't be fetched is still recorded, without a hash
+async function pinPolicy(domain, { type, url }) {
+  try {
+    const version = await policyTextService.getVersionInForce(domain, type, url);
+    return {
+      type,
+      url,
+      final_url: version.url,
+      title: version.title || "",
+      current_hash: version.hash,
+      error: "",
+    };
+  } catch (error) {
+    return {
+      type,
+      url,
+      final_url: url,
+      title: "",
+      current_hash: null,
+      error: error.message,
+    };
+  }
+}
+
+// agreement: { page_url, site_name, trigger, agreement_text, policies: [{ type, url }] }
+export async function recordAgreement(domain, agreement) {
+  if (!AGREEMENT_TRIGGERS[agreement.trigger]) {
+    throw new Error("Unknown agreement trigger");
+  }
+
+  const policies = (agreement.policies || []).filter(
+    (policy) => POLICY_TYPES[policy.type] && /^https?:/.test(policy.url || "")
+  );
+  if (policies.length === 0) {
+    throw new Error("No policies referenced");
+  }
+
+  // Timestamped before the policies are fetched: this is when the user agreed
+  const agreedAt = new Date();
+  const entry = {
+    id: `${agreedAt.getTime().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    domain,
+    site_name: agreement.site_name || domain,
+    page_url: agreement.page_url || "",
+    trigger: agreement.trigger,
+    agreement_text: agreement.agreement_text || "",
+    policies: await Promise.all(policies.map((policy) => pinPolicy(domain, policy))),
+    agreed_at: agreedAt.toISOString(),
+  };
+
+  await updateLedger((entries) => [entry, ...entries]);
+  return entry;
+}
+
+export async function getAgreements(domain = null) {
+  const entries = await getLedger();
+  return domain ? entries.filter((entry) => entry.domain === domain) : entries;
+}
+
+export async function removeAgreement(id) {
+  await updateLedger((entries) => entries.filter((entry) => entry.id !== id));
+}
@@ -0,0 +1,155 @@
+// src/background/autoReject.js
+
+import {
+  AUTO_REJECT_RULES,
+  AUTO_REJECT_OUTCOMES,
+  isValidRuleSet,
+} from "../utils/autoRejectRules";
+
+// Automatic "reject all" for consent banners. The content script asks for
+// the rule of the CMP it found; rules come from the bundled set or a newer
+// one downloaded from the rules endpoint, which is checked once a day while
+// the feature is in use. Every run is kept in a local log.
+const RULES_STORAGE_KEY = "autoRejectRules";
+const LOG_STORAGE_KEY = "autoRejectLog";
+const MAX_LOG_ENTRIES = 200;
+export const RULES_UPDATE_ALARM = "auto-reject-rules";
+const RULES_UPDATE_PERIOD = 24 * 60; // minutes
+
+export const DEFAULT_AUTO_REJECT_SETTINGS = {
+  autoRejectBanners: false,
+  // domain -> true (always reject) / false (never reject)
+  autoRejectSiteOverrides: {},
+};
+
+const matchesSite = (domain, site) => domain === site || domain.endsWith(`.${site}`);
+
+export function isAutoRejectEnabledFor(domain, settings) {
+  const { autoRejectBanners, autoRejectSiteOverrides } = {
+    ...DEFAULT_AUTO_REJECT_SETTINGS,
+    ...settings,
+  };
+  const overrides = Object.entries(autoRejectSiteOverrides || {});
+
+  if (overrides.some(([site, reject]) => !reject && matchesSite(domain, site))) return false;
+  if (overrides.some(([site, reject]) => reject && matchesSite(domain, site))) return true;
+  return autoRejectBanners === true;
+}
+
+// Whether any site has automatic rejection on
+function isAutoRejectInUse(settings) {
+  return (
+    settings.autoRejectBanners === true ||
+    Object.values(settings.autoRejectSiteOverrides || {}).some(Boolean)
+  );
+}
+
+async function getStored(key) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([key], (result) => resolve(result[key] || null));
+  });
+}
+
+async function setStored(key, value) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ [key]: value }, resolve);
+  });
+}
+
+// The downloaded set while it is newer than the bundled one; an extension
+// update that bundles newer rules wins over an older download
+export async function getRuleSet() {
+  const downloaded = await getStored(RULES_STORAGE_KEY);
+
+  if (downloaded && downloaded.version > AUTO_REJECT_RULES.version) {
+    return { ...downloaded, source: "downloaded" };
+  }
+  return { ...AUTO_REJECT_RULES, source: "bundled", updated_at: null };
+}
+
+export async function getAutoRejectRule(domain, cmpId, settings) {
+  if (!cmpId || !isAutoRejectEnabledFor(domain, settings)) return null;
+
+  const ruleSet = await getRuleSet();
+  const rule = ruleSet.rules[cmpId];
+  return rule ? { ...rule, version: ruleSet.version } : null;
+}
+
+// fetchRuleSet resolves to the rule set JSON of the rules endpoint
+export async function updateRuleSet(fetchRuleSet) {
+  const current = await getRuleSet();
+  const ruleSet = await fetchRuleSet();
+
+  if (!isValidRuleSet(ruleSet)) {
+    throw new Error("Invalid auto-reject rule set");
+  }
+  if (ruleSet.version <= current.version) {
+    return current;
+  }
+
+  const stored = {
+    version: ruleSet.version,
+    rules: ruleSet.rules,
+    updated_at: new Date().toISOString(),
+  };
+  await setStored(RULES_STORAGE_KEY, stored);
+
+  return { ...stored, source: "downloaded" };
+}
+
+// Rule updates are only fetched while the feature is in use
+export async function syncRuleUpdates(settings) {
+  const alarm = await chrome.alarms.get(RULES_UPDATE_ALARM);
+
+  if (!isAutoRejectInUse({ ...DEFAULT_AUTO_REJECT_SETTINGS, ...settings })) {
+    if (alarm) await chrome.alarms.clear(RULES_UPDATE_ALARM);
+    return;
+  }
+
+  if (!alarm) {
+    chrome.alarms.create(RULES_UPDATE_ALARM, {
+      delayInMinutes: 1,
+      periodInMinutes: RULES_UPDATE_PERIOD,
+    });
+  }
+}
+
+// Log writes are chained so runs reported at the same time all land
+let pendingLogWrite = Promise.resolve();
+
+function updateLog(update) {
+  pendingLogWrite = pendingLogWrite
+    .catch(() => {})
+    .then(async () => setStored(LOG_STORAGE_KEY, update(await getAutoRejectLog())));
+  return pendingLogWrite;
+}
+
+export async function getAutoRejectLog() {
+  return (await getStored(LOG_STORAGE_KEY)) || [];
+}
+
+// result: { cmp, rule_version, outcome, verified_by, detail } from the
+// content script
+export async function logAutoReject(domain, result) {
+  if (!AUTO_REJECT_OUTCOMES[result.outcome]) {
+    throw new Error("Unknown auto-reject outcome");
+  }
+
+  const entry = {
+    domain,
+    cmp: result.cmp ? result.cmp.name : "",
+    rule_version: result.rule_version || null,
+    outcome: result.outcome,
+    verified_by: result.verified_by || null,
+    detail: result.detail || "",
+    at: new Date().toISOString(),
+  };
+
+  await updateLog((log) => [entry, ...log].slice(0, MAX_LOG_ENTRIES));
+
+  return entry;
+}
+
+export async function clearAutoRejectLog() {
+  await updateLog(() => []);
+}
@@ -1,5 +1,47 @@
 // src/background/background.js
 
+import {
+  storeFrameResult,
+  clearFrameResults,
+  storeLinkHeaderResult,
+  clearLinkHeaderResult,
+  getTabPolicyReports,
+  mergeFrameResults,
+} from "./frameResults";
+import { policyDocumentsFromHeaders } from "./linkHeaders";
+import { siteStore } from "./siteStore";
+import { getWellKnownFacts } from "./wellKnown";
+import { policyTextService } from "./policyText";
+import { thirdPartyMonitor } from "./thirdParties";
+import { preConsentCookieMonitor, getCookieReport } from "./cookies";
+import { applyGpcSettings, getGpcStatus } from "./gpc";
+import { dsrRequestLog, getDsrContext } from "./dsrRequests";
+import { recordConsentState } from "./consent";
+import { recordAgreement, getAgreements, removeAgreement } from "./agreements";
+import { getSignupWarning, disableSignupWarning } from "./signupWarning";
+import {
+  RULES_UPDATE_ALARM,
+  getAutoRejectRule,
+  getRuleSet,
+  updateRuleSet,
+  syncRuleUpdates,
+  getAutoRejectLog,
+  logAutoReject,
+  clearAutoRejectLog,
+} from "./autoReject";
+import {
+  getClauseFindings,
+  getDataPractices,
+  getPolicyMetrics,
+  getPolicySummaries,
+  getPrivacyGrade,
+  getSiteContacts,
+} from "./policyAnalysis";
+import { POLICY_TYPES } from "../utils/dataModels";
+import { GRADE_COLORS } from "../utils/privacyGrade";
+import { getHostname } from "../utils/domains";
+import { DSR_REQUEST_TYPES } from "../utils/dsrTemplates";
+
 // API Service class with enhanced session management
 class APIService {
   constructor(baseURL, authURL) {
@@ -492,10 +534,15 @@ class APIService {
 
 const apiService = new APIService();
 
+// How long the toolbar shows "NEW" after a policy changed
+const POLICY_CHANGE_BADGE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
+
 // Initialize extension
 chrome.runtime.onInstalled.addListener(async () => {
   console.log("TOS & Privacy Manager extension installed");
 
+  dsrRequestLog.restoreReminders();
+
   // Check authentication on install
   const authStatus = await apiService.checkAuthentication();
 
@@ -507,8 +554,22 @@ chrome.runtime.onInstalled.addListener(async () => {
   }
 });
 
+// Dynamic rules and registered scripts persist, but are re-applied in case
+// the settings changed while the extension was disabled
+syncGpcSettings();
+syncAutoRejectSettings();
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "sync" && changes.settings) {
+    syncGpcSettings();
+    syncAutoRejectSettings();
+  }
+});
+
 // Handle startup
 chrome.runtime.onStartup.addListener(async () => {
+  dsrRequestLog.restoreReminders();
+
   const authStatus = await apiService.checkAuthentication();
   
   if (authStatus.authenticated) {
@@ -516,8 +577,56 @@ chrome.runtime.onStartup.addListener(async () => {
   }
 });
 
+policyTextService.addEventListener("policyChanged", (change) => {
+  notifyPolicyChange(change).catch((error) => {
+    console.error("Failed to notify policy change:", error);
+  });
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RULES_UPDATE_ALARM) {
+    updateRuleSet(fetchAutoRejectRules).catch((error) => {
+      console.error("Failed to update auto-reject rules:", error);
+    });
+    return;
+  }
+
+  dsrRequestLog.handleAlarm(alarm).catch((error) => {
+    console.error("Failed to handle alarm:", error);
+  });
+});
+
+dsrRequestLog.addEventListener("requestDue", ({ request, overdue }) => {
+  const label = DSR_REQUEST_TYPES[request.type];
+  showNotification(`dsr:${request.id}`, {
+    title: overdue ? "Data Request Overdue" : "Data Request Due Soon",
+    message: overdue
+      ? `${request.site} has not answered your "${label}" request in time. You can follow up or complain to a regulator.`
+      : `${request.site} must answer your "${label}" request by ${new Date(request.due_at).toLocaleDateString()}.`,
+  });
+});
+
+// Policy-change notifications open the diff between the two versions,
+// data request reminders open the request log
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId.startsWith("policy-change:")) {
+    const [, domain, type, from, to] = notificationId.split(":");
+    const params = new URLSearchParams({ domain, type, from, to });
+    chrome.tabs.create({ url: chrome.runtime.getURL(`diff.html?${params}`) });
+    chrome.notifications.clear(notificationId);
+  } else if (notificationId.startsWith("dsr:")) {
+    chrome.tabs.create({ url: chrome.runtime.getURL("dsr.html") });
+    chrome.notifications.clear(notificationId);
+  }
+});
+
 // Handle tab updates with authentication check
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  // A new top-level document replaces every frame of the previous one
+  if (changeInfo.status === "loading" && changeInfo.url) {
+    await clearFrameResults(tabId);
+  }
+
   if (
     changeInfo.status === "complete" &&
     tab.url &&
@@ -538,38 +647,83 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
       // Update last activity
       await apiService.updateLastActivity();
 
-      // Get website data from content script
-      chrome.tabs.sendMessage(
-        tabId,
-        { action: "getWebsiteData" },
-        (response) => {
-          if (response && response.websiteData) {
-            // Check if TOS or Privacy Policy detected
-            const hasPolicy =
-              response.websiteData.tos_url ||
-              response.websiteData.privacy_policy_url;
-
-            if (hasPolicy) {
-              // Send website data to API for authenticated users
-              apiService
-                .sendWebsiteData({
-                  ...response.websiteData,
-                  domain: domain,
-                  last_crawled_at: new Date().toISOString(),
-                })
-                .catch((error) => {
-                  console.error("Failed to send website data:", error);
-                });
-            }
-          }
-        }
-      );
+      // Send website data to API for authenticated users
+      syncTabWebsiteData(tabId, domain).catch((error) => {
+        console.error("Failed to send website data:", error);
+      });
     } catch (error) {
       console.error("Error processing tab update:", error);
     }
   }
 });
 
+chrome.tabs.onRemoved.addListener((tabId) => {
+  clearFrameResults(tabId);
+  clearLinkHeaderResult(tabId);
+  chrome.storage.session.remove(`notifiedDomain:${tabId}`);
+  thirdPartyMonitor.clearTab(tabId);
+  preConsentCookieMonitor.clearTab(tabId);
+});
+
+// Inventory of the third parties each page contacts (observe-only)
+chrome.webRequest.onBeforeRequest.addListener(
+  (details) => {
+    if (details.type === "main_frame" && details.tabId >= 0) {
+      preConsentCookieMonitor.startPage(details.tabId, details.url);
+    } else if (details.tabId >= 0) {
+      preConsentCookieMonitor.recordRequest(details);
+    }
+    thirdPartyMonitor.recordRequest(details).catch((error) => {
+      console.error("Failed to record request:", error);
+    });
+  },
+  { urls: ["http://*/*", "https://*/*"] }
+);
+
+// Cookies set while a consent banner is still unanswered
+chrome.cookies.onChanged.addListener((changeInfo) => {
+  preConsentCookieMonitor.recordCookie(changeInfo);
+});
+
+// Newly seen trackers change the site's grade
+thirdPartyMonitor.addEventListener("trackersChanged", ({ domain }) => {
+  getPrivacyGrade(domain).catch((error) => {
+    console.error("Failed to regrade site:", error);
+  });
+});
+
+// Link: <...>; rel="privacy-policy" response headers are invisible to the
+// content script, so observe them here (read-only, nothing is blocked)
+chrome.webRequest.onHeadersReceived.addListener(
+  (details) => {
+    if (details.tabId < 0) return;
+
+    const policyDocuments = policyDocumentsFromHeaders(
+      details.responseHeaders,
+      details.url
+    );
+    if (policyDocuments.length > 0) {
+      storeLinkHeaderResult(details.tabId, details.url, policyDocuments);
+    }
+  },
+  { urls: ["http://*/*", "https://*/*"], types: ["main_frame"] },
+  ["responseHeaders"]
+);
+
+// Client-side navigations (pushState) never fire a "complete" tab update,
+// so ask the content script of that frame to detect again
+chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
+  chrome.tabs.sendMessage(
+    details.tabId,
+    { action: "redetectPolicies" },
+    { frameId: details.frameId },
+    () => {
+      // Frames without a content script have no listener; ignore the error
+      void chrome.runtime.lastError;
+    }
+  );
+});
+
 // Handle messages from content script and popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   switch (request.action) {
@@ -631,7 +785,11 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             return;
           }
 
-          return apiService.getWebsiteInfo(request.domain, request.websiteData);
+          refreshPolicyText(request.domain, request.websiteData);
+
+          return withWellKnownFacts(request.domain, request.websiteData).then(
+            (websiteData) => apiService.getWebsiteInfo(request.domain, websiteData)
+          );
         })
         .then((data) => sendResponse({ success: true, data }))
         .catch((error) =>
@@ -639,6 +797,254 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         );
       return true;
 
+    case "getClauseFindings":
+      policyTextService
+        .whenSettled(request.domain)
+        .then(() => getClauseFindings(request.domain))
+        .then((findings) => sendResponse({ success: true, data: findings }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "getPolicyMetrics":
+      policyTextService
+        .whenSettled(request.domain)
+        .then(() => getPolicyMetrics(request.domain))
+        .then((metrics) => sendResponse({ success: true, data: metrics }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "getPolicySummaries":
+      policyTextService
+        .whenSettled(request.domain)
+        .then(() => getPolicySummaries(request.domain))
+        .then((summaries) => sendResponse({ success: true, data: summaries }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "getDataPractices":
+      policyTextService
+        .whenSettled(request.domain)
+        .then(() => getDataPractices(request.domain))
+        .then((practices) => sendResponse({ success: true, data: practices }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "getThirdParties":
+      policyTextService
+        .whenSettled(request.domain)
+        .then(() => thirdPartyMonitor.getReport(request.domain))
+        .then((report) => sendResponse({ success: true, data: report }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "getCookieReport":
+      getCookieReport(request.tabId)
+        .then((report) => sendResponse({ success: true, data: report }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "getPrivacyGrade":
+      policyTextService
+        .whenSettled(request.domain)
+        .then(() => getPrivacyGrade(request.domain))
+        .then((grade) => sendResponse({ success: true, data: grade }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "getSiteContacts":
+      policyTextService
+        .whenSettled(request.domain)
+        .then(() => getSiteContacts(request.domain))
+        .then((contacts) => sendResponse({ success: true, data: contacts }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "reportConsentState":
+      recordConsentState(request.domain, request.consent)
+        .then(() =>
+          preConsentCookieMonitor.recordConsent(
+            sender.tab.id,
+            request.domain,
+            request.consent
+          )
+        )
+        .then(() => {
+          // Banner dark patterns count towards the grade
+          if (request.consent.dark_patterns) {
+            return getPrivacyGrade(request.domain);
+          }
+        })
+        .then(() => sendResponse({ success: true }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "getAutoRejectRule":
+      getSettings()
+        .then((settings) =>
+          getAutoRejectRule(request.domain, request.cmp, settings)
+        )
+        .then((rule) => sendResponse({ success: true, data: rule }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "reportAutoReject":
+      logAutoReject(request.domain, request.result)
+        .then((entry) => sendResponse({ success: true, data: entry }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "getAutoRejectLog":
+      Promise.all([getAutoRejectLog(), getRuleSet()])
+        .then(([entries, ruleSet]) =>
+          sendResponse({
+            success: true,
+            data: {
+              entries,
+              rule_set: {
+                version: ruleSet.version,
+                source: ruleSet.source,
+                updated_at: ruleSet.updated_at,
+              },
+            },
+          })
+        )
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "clearAutoRejectLog":
+      clearAutoRejectLog()
+        .then(() => sendResponse({ success: true }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "recordAgreement":
+      recordAgreement(request.domain, request.agreement)
+        .then((entry) => sendResponse({ success: true, data: entry }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "getAgreements":
+      getAgreements(request.domain)
+        .then((entries) => sendResponse({ success: true, data: entries }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "deleteAgreement":
+      removeAgreement(request.id)
+        .then(() => sendResponse({ success: true }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "getSignupWarning":
+      Promise.all([getSettings(), policyTextService.whenSettled(request.domain)])
+        .then(([settings]) => getSignupWarning(request.domain, settings))
+        .then((warning) => sendResponse({ success: true, data: warning }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "disableSignupWarning":
+      disableSignupWarning(request.domain)
+        .then(() => sendResponse({ success: true }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    // Extension pages can't be opened from content scripts
+    case "openReport":
+      openReport(request.domain, request.section, sender.tab);
+      sendResponse({ success: true });
+      return false;
+
+    case "getGpcStatus":
+      getSettings()
+        .then((settings) => getGpcStatus(request.domain, settings))
+        .then((status) => sendResponse({ success: true, data: status }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "getDsrContext":
+      policyTextService
+        .whenSettled(request.domain)
+        .then(() => getDsrContext(request.domain))
+        .then((context) => sendResponse({ success: true, data: context }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "getDsrRequests":
+      dsrRequestLog
+        .getAll()
+        .then((requests) => sendResponse({ success: true, data: requests }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "logDsrRequest":
+      dsrRequestLog
+        .log(request.request)
+        .then((logged) => sendResponse({ success: true, data: logged }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "updateDsrRequest":
+      dsrRequestLog
+        .setStatus(request.id, request.status)
+        .then((updated) => sendResponse({ success: true, data: updated }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "deleteDsrRequest":
+      dsrRequestLog
+        .remove(request.id)
+        .then(() => sendResponse({ success: true }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
     case "updateActivity":
       apiService
         .checkAuthentication()
@@ -709,10 +1115,53 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
     case "detectPolicy":
       // Handle policy detection notification for unauthenticated users
-      handlePolicyDetection(request.domain, request.hasPolicy, sender.tab.id);
+      handlePolicyDetection(
+        request.domain,
+        request.hasPolicy,
+        sender.tab.id,
+        request.websiteData,
+        request.isUpdate
+      );
       sendResponse({ success: true });
       return false;
 
+    case "reportFramePolicies":
+      storeFrameResult(sender.tab.id, sender.frameId, {
+        frame_url: request.frameUrl,
+        policy_documents: request.policyDocuments || [],
+      })
+        .then(() => sendResponse({ success: true }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "getTabWebsiteData":
+      collectTabWebsiteData(request.tabId)
+        .then((websiteData) => sendResponse({ success: !!websiteData, data: websiteData }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "getSiteRecord":
+      siteStore
+        .get(request.domain)
+        .then((record) => sendResponse({ success: true, data: record }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
+    case "getPolicyText":
+      policyTextService
+        .getText(request.domain, request.policyType, request.hash)
+        .then((policyText) => sendResponse({ success: true, data: policyText }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message })
+        );
+      return true;
+
     case "getBrowserSessionInfo":
       apiService
         .getBrowserSessionData()
@@ -728,29 +1177,286 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 });
 
 // Handle policy detection for unauthenticated users
-async function handlePolicyDetection(domain, hasPolicy, tabId) {
-  if (!hasPolicy) return;
+async function handlePolicyDetection(
+  domain,
+  hasPolicy,
+  tabId,
+  websiteData = null,
+  isUpdate = false
+) {
+  // Only routes that dropped previously detected links report no policy
+  if (!hasPolicy && !isUpdate) return;
 
   const authStatus = await apiService.checkAuthentication();
 
   if (!authStatus.authenticated) {
+    if (!hasPolicy) return;
+
+    // Re-detections on the same site (SPA routes, late footers) stay quiet
+    if (await wasNotified(tabId, domain)) return;
+    await markNotified(tabId, domain);
+
     // Show notification or badge for unauthenticated users
-    chrome.action.setBadgeText({ text: "!", tabId });
-    chrome.action.setBadgeBackgroundColor({ color: "#ff4444" });
+    setTabBadge(tabId, "!", "#ff4444");
 
     // Optionally show a notification
-    chrome.notifications.create({
-      type: "basic",
-      iconUrl: "icons/icon48.png",
+    showNotification(`policy-detected:${domain}`, {
       title: "TOS & Privacy Policy Detected",
       message: `Terms of service or privacy policy detected on ${domain}. Login to track and manage this information.`,
     });
   } else {
-    // Clear badge for authenticated users
-    chrome.action.setBadgeText({ text: "", tabId });
+    // Authenticated users see the site's grade instead of the "!" prompt
+    setSiteBadge(tabId, domain);
+
+    // Results that changed after the initial load still need to reach the API
+    if (isUpdate && websiteData) {
+      syncTabWebsiteData(tabId, domain, websiteData).catch((error) => {
+        console.error("Failed to send updated website data:", error);
+      });
+    }
+  }
+}
+
+// A stored policy document's text changed since the last fetch
+async function notifyPolicyChange(change) {
+  const label = POLICY_TYPES[change.type] || "Policy";
+
+  const tabs = await chrome.tabs.query({});
+  tabs
+    .filter((tab) => getHostname(tab.url) === change.domain)
+    .forEach((tab) => setTabBadge(tab.id, "NEW", "#f59e0b"));
+
+  showNotification(
+    `policy-change:${change.domain}:${change.type}:${change.from_hash}:${change.to_hash}`,
+    {
+      title: `${label} Changed`,
+      message: `${change.domain} has changed its ${label.toLowerCase()}.`,
+    }
+  );
+}
+
+function setTabBadge(tabId, text, color = null) {
+  chrome.action.setBadgeText({ text, tabId });
+  if (color) {
+    chrome.action.setBadgeBackgroundColor({ color, tabId });
   }
 }
 
+// Notifications respect the "Show notifications" option
+async function showNotification(notificationId, options) {
+  const settings = await getSettings();
+  if (settings.showNotifications === false) return;
+
+  chrome.notifications.create(notificationId, {
+    type: "basic",
+    iconUrl: "icons/icon48.png",
+    ...options,
+  });
+}
+
+// Syncs run one at a time, settings read included: overlapping
+// unregister/register calls fail with a duplicate script ID
+let gpcSync = Promise.resolve();
+
+function syncGpcSettings() {
+  gpcSync = gpcSync.then(async () => {
+    try {
+      await applyGpcSettings(await getSettings());
+    } catch (error) {
+      console.error("Failed to apply Global Privacy Control settings:", error);
+    }
+  });
+  return gpcSync;
+}
+
+// Opened next to the tab that asked, at the requested section
+function openReport(domain, section, tab) {
+  const params = new URLSearchParams({ domain });
+  chrome.tabs.create({
+    url: chrome.runtime.getURL(`report.html?${params}${section ? `#${section}` : ""}`),
+    ...(tab && { index: tab.index + 1 }),
+  });
+}
+
+async function syncAutoRejectSettings() {
+  try {
+    await syncRuleUpdates(await getSettings());
+  } catch (error) {
+    console.error("Failed to schedule auto-reject rule updates:", error);
+  }
+}
+
+// The rule set is public; no account is needed to fetch it
+async function fetchAutoRejectRules() {
+  const response = await fetch(`${apiService.baseURL}/consent_rules`, {
+    headers: { Accept: "application/json" },
+  });
+  if (!response.ok) {
+    throw new Error(`Rule update failed with status ${response.status}`);
+  }
+  return response.json();
+}
+
+async function getSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(["settings"], (result) => {
+      resolve(result.settings || {});
+    });
+  });
+}
+
+async function wasNotified(tabId, domain) {
+  const key = `notifiedDomain:${tabId}`;
+  return new Promise((resolve) => {
+    chrome.storage.session.get([key], (result) => {
+      resolve(result[key] === domain);
+    });
+  });
+}
+
+async function markNotified(tabId, domain) {
+  return new Promise((resolve) => {
+    chrome.storage.session.set({ [`notifiedDomain:${tabId}`]: domain }, resolve);
+  });
+}
+
+// Send a tab's website data, merged across frames, to the API
+async function syncTabWebsiteData(tabId, domain, websiteData = null) {
+  const tabUrl = await getTabUrl(tabId);
+  const tabWebsiteData = websiteData
+    ? mergeFrameResults(websiteData, await getTabPolicyReports(tabId, tabUrl))
+    : await collectTabWebsiteData(tabId);
+
+  // Reported updates are sent even when empty so the API drops stale links
+  if (!tabWebsiteData || (!websiteData && !hasPolicyDocuments(tabWebsiteData))) {
+    return null;
+  }
+
+  const origin = tabUrl ? new URL(tabUrl).origin : null;
+  const payload = await withWellKnownFacts(domain, tabWebsiteData, origin);
+
+  if (hasPolicyDocuments(payload)) {
+    refreshPolicyText(domain, payload);
+  }
+
+  return apiService.sendWebsiteData({
+    ...payload,
+    domain: domain,
+    policy_documents: payload.policy_documents || [],
+    last_crawled_at: new Date().toISOString(),
+  });
+}
+
+// Fetch and extract the text of a site's policies in the background
+function refreshPolicyText(domain, websiteData) {
+  if (!websiteData) return;
+
+  const policyDocuments =
+    websiteData.policy_documents && websiteData.policy_documents.length > 0
+      ? websiteData.policy_documents
+      : [
+          { type: "tos", url: websiteData.tos_url },
+          { type: "privacy", url: websiteData.privacy_policy_url },
+        ];
+
+  siteStore
+    .update(domain, {
+      policy_documents: policyDocuments.filter((policyDocument) => policyDocument.url),
+    })
+    .then(() => policyTextService.refreshSitePolicies(domain, policyDocuments))
+    .then(() => updateGradeBadges(domain))
+    .catch((error) => {
+      console.error("Failed to refresh policy text:", error);
+    });
+}
+
+// Regrade a site and show the grade on every tab open on it
+async function updateGradeBadges(domain) {
+  const grade = await getPrivacyGrade(domain);
+  const tabs = await chrome.tabs.query({});
+
+  tabs
+    .filter((tab) => getHostname(tab.url) === domain)
+    .forEach((tab) => setSiteBadge(tab.id, domain, grade));
+}
+
+// Badge for a tracked site: "NEW" for a day after a policy change,
+// otherwise the site's privacy grade
+async function setSiteBadge(tabId, domain, grade = null) {
+  const record = await siteStore.get(domain);
+  const change = record && record.last_policy_change;
+
+  if (
+    change &&
+    Date.now() - new Date(change.detected_at).getTime() < POLICY_CHANGE_BADGE_DURATION
+  ) {
+    setTabBadge(tabId, "NEW", "#f59e0b");
+    return;
+  }
+
+  const siteGrade = grade || (record && record.grade);
+  if (siteGrade) {
+    setTabBadge(tabId, siteGrade.grade, GRADE_COLORS[siteGrade.grade]);
+  } else {
+    setTabBadge(tabId, "");
+  }
+}
+
+// Attach the domain's well-known facts (gpc.json, security.txt...) to a
+// website data payload; they are probed when a site is first tracked
+async function withWellKnownFacts(domain, websiteData, origin = null) {
+  try {
+    const wellKnown = await getWellKnownFacts(domain, origin);
+    return { ...(websiteData || { domain }), well_known: wellKnown };
+  } catch (error) {
+    console.error("Error probing well-known resources:", error);
+    return websiteData;
+  }
+}
+
+// Ask the top frame for website data and merge in what sub-frames reported
+async function collectTabWebsiteData(tabId) {
+  const response = await new Promise((resolve) => {
+    chrome.tabs.sendMessage(
+      tabId,
+      { action: "getWebsiteData" },
+      { frameId: 0 },
+      (result) => {
+        if (chrome.runtime.lastError) {
+          resolve(null);
+          return;
+        }
+        resolve(result);
+      }
+    );
+  });
+
+  if (!response || !response.websiteData) {
+    return null;
+  }
+
+  const reports = await getTabPolicyReports(tabId, await getTabUrl(tabId));
+  return mergeFrameResults(response.websiteData, reports);
+}
+
+async function getTabUrl(tabId) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    return tab.url || "";
+  } catch (error) {
+    return "";
+  }
+}
+
+// True when the content script found at least one policy document
+function hasPolicyDocuments(websiteData) {
+  return Boolean(
+    websiteData.tos_url ||
+    websiteData.privacy_policy_url ||
+    (websiteData.policy_documents && websiteData.policy_documents.length > 0)
+  );
+}
+
 // Periodic cleanup of expired session validation
 setInterval(() => {
   apiService.checkAuthentication().then((authStatus) => {
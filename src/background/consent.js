@@ -0,0 +1,40 @@
+// src/background/consent.js
+
+import { siteStore } from "./siteStore";
+import { parseUspString } from "../utils/consentFrameworks";
+
+// Consent state reported by the content script (CMP banner and IAB
+// framework signals), kept on the site record as `consent`. A report only
+// replaces the frameworks it carries, so a page load where the CMP has not
+// answered yet doesn't wipe what was captured before.
+// Dark patterns found in the banner are kept apart as `dark_patterns`.
+export async function recordConsentState(domain, report) {
+  const capturedAt = new Date().toISOString();
+
+  return siteStore.update(domain, (record) => {
+    const darkPatterns = report.dark_patterns
+      ? {
+          cmp: report.cmp || null,
+          flags: report.dark_patterns,
+          analyzed_at: capturedAt,
+        }
+      : record.dark_patterns || null;
+
+    const previous = record.consent || {};
+    const usp = report.usp
+      ? { ...report.usp, ...parseUspString(report.usp.usp_string) }
+      : previous.usp || null;
+
+    return {
+      consent: {
+        cmp: report.cmp || previous.cmp || null,
+        banner_visible: !!report.banner_visible,
+        tcf: report.tcf || previous.tcf || null,
+        gpp: report.gpp || previous.gpp || null,
+        usp,
+        captured_at: capturedAt,
+      },
+      dark_patterns: darkPatterns,
+    };
+  });
+}
@@ -0,0 +1,229 @@
+// src/background/cookies.js
+
+import { siteStore } from "./siteStore";
+import { policyTextService } from "./policyText";
+import { getRegistrableDomain, getHostname } from "../utils/domains";
+import { guessCookieCategory } from "../utils/cookieCategories";
+
+// Third-party cookies living longer than this are worth flagging
+export const LONG_LIVED_COOKIE_DAYS = 30;
+// Third-party domains whose cookie jars are read per report
+const MAX_THIRD_PARTY_DOMAINS = 50;
+const DAY = 24 * 60 * 60 * 1000;
+
+const cookieKey = (cookie) => `${cookie.domain}|${cookie.name}`;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function describeCookie(cookie, siteBase) {
+  const host = cookie.domain.replace(/^\./, "");
+  const base = getRegistrableDomain(host);
+  const expires = cookie.session ? null : new Date(cookie.expirationDate * 1000);
+  const lifetimeDays = expires
+    ? Math.max(0, Math.round((expires.getTime() - Date.now()) / DAY))
+    : 0;
+  const party = base === siteBase ? "first" : "third";
+
+  return {
+    key: cookieKey(cookie),
+    name: cookie.name,
+    domain: cookie.domain,
+    party,
+    session: cookie.session,
+    expires: expires ? expires.toISOString() : null,
+    lifetime_days: lifetimeDays,
+    secure: cookie.secure,
+    http_only: cookie.httpOnly,
+    same_site: cookie.sameSite,
+    category: guessCookieCategory(cookie.name, host, base),
+    long_lived: party === "third" && lifetimeDays > LONG_LIVED_COOKIE_DAYS,
+  };
+}
+
+// Cookies the page's own origin can see plus the cookie jars of the third
+// parties it was observed contacting
+export async function collectCookies(url, domain) {
+  const siteBase = getRegistrableDomain(domain);
+  const record = (await siteStore.get(domain)) || {};
+  const thirdPartyDomains = Object.keys(record.third_parties || {}).slice(
+    0,
+    MAX_THIRD_PARTY_DOMAINS
+  );
+
+  const jars = await Promise.all([
+    chrome.cookies.getAll({ url }),
+    chrome.cookies.getAll({ domain: siteBase }),
+    ...thirdPartyDomains.map((thirdParty) =>
+      chrome.cookies.getAll({ domain: thirdParty })
+    ),
+  ]);
+
+  const cookies = new Map();
+  jars.flat().forEach((cookie) => {
+    cookies.set(cookieKey(cookie), describeCookie(cookie, siteBase));
+  });
+
+  return Array.from(cookies.values());
+}
+
+// Watches the cookies set while a page's consent banner is unanswered.
+// A capture starts with each top-level page load; cookies changed during it
+// are buffered and, once the content script reports an open banner, the
+// long-lived ones are kept on the site record as `pre_consent_cookies`.
+// A cookie is charged to a capture only when it belongs to the site or to
+// a third party that tab contacted during the page load. Answering the
+// banner ends the capture; what was captured stays as evidence.
+export class PreConsentCookieMonitor {
+  constructor() {
+    // tabId -> { domain, siteBase, parties: Set<registrableDomain>,
+    //            cookies: Map<key, cookie>, bannerOpen }
+    this.captures = new Map();
+  }
+
+  startPage(tabId, url) {
+    const domain = getHostname(url);
+    if (!domain) {
+      this.captures.delete(tabId);
+      return;
+    }
+
+    this.captures.set(tabId, {
+      domain,
+      siteBase: getRegistrableDomain(domain),
+      parties: new Set(),
+      cookies: new Map(),
+      bannerOpen: false,
+    });
+  }
+
+  // webRequest.onBeforeRequest details of the tab's subresources
+  recordRequest(details) {
+    const capture = this.captures.get(details.tabId);
+    const host = getHostname(details.url);
+    if (capture && host) {
+      capture.parties.add(getRegistrableDomain(host));
+    }
+  }
+
+  // cookies.onChanged details; cookies carry no tab, so they go to the
+  // captures whose page they belong to
+  recordCookie({ cookie, removed }) {
+    if (removed) return;
+
+    const base = getRegistrableDomain(cookie.domain.replace(/^\./, ""));
+
+    this.captures.forEach((capture, tabId) => {
+      if (base !== capture.siteBase && !capture.parties.has(base)) return;
+
+      const described = describeCookie(cookie, capture.siteBase);
+      if (!described.long_lived) return;
+
+      capture.cookies.set(described.key, described);
+      if (capture.bannerOpen) {
+        this.store(tabId).catch((error) => {
+          console.error("Failed to record pre-consent cookies:", error);
+        });
+      }
+    });
+  }
+
+  // consent: the state reported by the content script of the tab
+  async recordConsent(tabId, domain, consent) {
+    const capture = this.captures.get(tabId);
+    if (!capture || capture.domain !== domain) return;
+
+    if (consent.banner_visible && !consent.choice_made) {
+      capture.bannerOpen = true;
+    }
+    if (capture.bannerOpen) {
+      await this.store(tabId);
+    }
+    if (consent.choice_made) {
+      this.captures.delete(tabId);
+    }
+  }
+
+  async store(tabId) {
+    const capture = this.captures.get(tabId);
+    if (!capture || capture.cookies.size === 0) return;
+
+    const keys = Array.from(capture.cookies.keys());
+    capture.cookies = new Map();
+
+    await siteStore.update(capture.domain, (record) => {
+      const previous = record.pre_consent_cookies || {};
+
+      return {
+        pre_consent_cookies: {
+          captured_at: new Date().toISOString(),
+          keys: Array.from(new Set([...(previous.keys || []), ...keys])),
+        },
+      };
+    });
+  }
+
+  clearTab(tabId) {
+    this.captures.delete(tabId);
+  }
+}
+
+export const preConsentCookieMonitor = new PreConsentCookieMonitor();
+
+// The cookie policy when one was fetched, the privacy policy otherwise
+async function getCookiePolicyText(domain) {
+  for (const type of ["cookie", "privacy"]) {
+    const document = await policyTextService.getText(domain, type);
+    if (document) return { type, url: document.source_url, text: document.text };
+  }
+  return null;
+}
+
+// Cookie inventory of a tab, cross-checked with the site's cookie policy
+export async function getCookieReport(tabId) {
+  const tab = await chrome.tabs.get(tabId);
+  const domain = getHostname(tab.url);
+  if (!domain) {
+    throw new Error("No website in this tab");
+  }
+
+  const [cookies, record, policy] = await Promise.all([
+    collectCookies(tab.url, domain),
+    siteStore.get(domain),
+    getCookiePolicyText(domain),
+  ]);
+  const preConsentKeys = new Set(
+    ((record && record.pre_consent_cookies) || {}).keys || []
+  );
+
+  // Cookie names are matched whole; "_ga" also covers "_ga_ABC123"
+  const isDisclosed = (cookie) => {
+    if (!policy) return null;
+    const stem = cookie.name.replace(/_[A-Z0-9]{6,}$/, "");
+    return new RegExp(`(^|[^\\w-])${escapeRegExp(stem)}([^\\w-]|$)`, "i").test(
+      policy.text
+    );
+  };
+
+  const report = cookies
+    .map((cookie) => ({
+      ...cookie,
+      pre_consent: cookie.long_lived && preConsentKeys.has(cookie.key),
+      disclosed: isDisclosed(cookie),
+    }))
+    .sort(
+      (a, b) =>
+        Number(b.pre_consent) - Number(a.pre_consent) ||
+        a.party.localeCompare(b.party) ||
+        a.name.localeCompare(b.name)
+    );
+
+  return {
+    domain,
+    cookies: report,
+    first_party_count: report.filter((cookie) => cookie.party === "first").length,
+    third_party_count: report.filter((cookie) => cookie.party === "third").length,
+    pre_consent_count: report.filter((cookie) => cookie.pre_consent).length,
+    undisclosed_count: report.filter((cookie) => cookie.disclosed === false).length,
+    policy: policy ? { type: policy.type, url: policy.url } : null,
+  };
+}
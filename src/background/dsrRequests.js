@@ -0,0 +1,180 @@
+// src/background/dsrRequests.js
+
+import { siteStore } from "./siteStore";
+import { getSiteContacts } from "./policyAnalysis";
+import { DSR_LAWS, DSR_REQUEST_TYPES } from "../utils/dsrTemplates";
+
+// Data subject requests the user sent, kept locally with their due dates.
+// Reminders are chrome.alarms named "dsr-reminder:<id>" (a few days before
+// the deadline) and "dsr-due:<id>" (on the deadline).
+const STORAGE_KEY = "dsrRequests";
+const REMINDER_LEAD_DAYS = 5;
+const DAY = 24 * 60 * 60 * 1000;
+
+export class DsrRequestLog {
+  constructor() {
+    this.listeners = new Set();
+    // Writes are chained so quick successive actions don't overwrite each
+    // other's changes
+    this.pendingWrite = Promise.resolve();
+  }
+
+  // Events: "requestDue" with { request, overdue }
+  addEventListener(event, callback) {
+    const listener = { event, callback };
+    this.listeners.add(listener);
+
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach((listener) => {
+      if (listener.event === event || listener.event === "*") {
+        try {
+          listener.callback(data, event);
+        } catch (error) {
+          console.error("DSR listener error:", error);
+        }
+      }
+    });
+  }
+
+  async getAll() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([STORAGE_KEY], (result) => {
+        resolve(result[STORAGE_KEY] || []);
+      });
+    });
+  }
+
+  async save(requests) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [STORAGE_KEY]: requests }, resolve);
+    });
+  }
+
+  // `change` receives the stored requests and returns the ones to save
+  update(change) {
+    const next = this.pendingWrite
+      .catch(() => {})
+      .then(async () => this.save(change(await this.getAll())));
+    this.pendingWrite = next;
+    return next;
+  }
+
+  async log({ domain, site, law, type, contact, channel }) {
+    if (!DSR_LAWS[law] || !DSR_REQUEST_TYPES[type]) {
+      throw new Error("Unknown request type");
+    }
+
+    const sentAt = new Date();
+    const request = {
+      id: `${sentAt.getTime().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      domain,
+      site: site || domain,
+      law,
+      type,
+      contact: contact || "",
+      channel: channel || "email",
+      sent_at: sentAt.toISOString(),
+      due_at: new Date(sentAt.getTime() + DSR_LAWS[law].due_days * DAY).toISOString(),
+      status: "open",
+      completed_at: null,
+    };
+
+    await this.update((requests) => [request, ...requests]);
+    this.scheduleReminders(request);
+
+    return request;
+  }
+
+  async setStatus(id, status) {
+    let request = null;
+
+    await this.update((requests) => {
+      request = requests.find((item) => item.id === id);
+      if (!request) {
+        throw new Error("Request not found");
+      }
+
+      request.status = status;
+      request.completed_at = status === "open" ? null : new Date().toISOString();
+      return requests;
+    });
+
+    if (status === "open") {
+      this.scheduleReminders(request);
+    } else {
+      this.clearReminders(id);
+    }
+
+    return request;
+  }
+
+  async remove(id) {
+    await this.update((requests) => requests.filter((item) => item.id !== id));
+    this.clearReminders(id);
+  }
+
+  scheduleReminders(request) {
+    const due = new Date(request.due_at).getTime();
+    const reminder = due - REMINDER_LEAD_DAYS * DAY;
+
+    // Deadlines already passed were notified when they passed
+    if (reminder > Date.now()) {
+      chrome.alarms.create(`dsr-reminder:${request.id}`, { when: reminder });
+    }
+    if (due > Date.now()) {
+      chrome.alarms.create(`dsr-due:${request.id}`, { when: due });
+    }
+  }
+
+  // Alarms don't survive an extension update and may not survive a browser
+  // restart, so open requests get theirs back on startup
+  async restoreReminders() {
+    const requests = await this.getAll();
+    requests
+      .filter((request) => request.status === "open")
+      .forEach((request) => this.scheduleReminders(request));
+  }
+
+  clearReminders(id) {
+    chrome.alarms.clear(`dsr-reminder:${id}`);
+    chrome.alarms.clear(`dsr-due:${id}`);
+  }
+
+  // chrome.alarms.onAlarm handler; returns false for alarms that aren't ours
+  async handleAlarm(alarm) {
+    const [kind, id] = alarm.name.split(":");
+    if (kind !== "dsr-reminder" && kind !== "dsr-due") return false;
+
+    const request = (await this.getAll()).find((item) => item.id === id);
+    if (request && request.status === "open") {
+      this.notifyListeners("requestDue", {
+        request,
+        overdue: kind === "dsr-due",
+      });
+    }
+
+    return true;
+  }
+}
+
+export const dsrRequestLog = new DsrRequestLog();
+
+// Who a request letter goes to: the contacts found in the site's policies,
+// privacy and DPO mailboxes first
+export async function getDsrContext(domain) {
+  const [record, contacts] = await Promise.all([
+    siteStore.get(domain),
+    getSiteContacts(domain),
+  ]);
+
+  return {
+    domain,
+    privacy_url: record?.policies?.privacy?.final_url || record?.policies?.privacy?.url || "",
+    contact_emails: contacts.emails.map((email) => email.address),
+    web_forms: contacts.web_forms,
+    legal_entity: contacts.legal_entity,
+  };
+}
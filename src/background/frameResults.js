@@ -0,0 +1,143 @@
+// src/background/frameResults.js
+
+import { getHostname, isThirdParty } from "../utils/domains";
+
+// Policy documents reported by sub-frames, kept per tab in session storage so
+// they survive service worker restarts but not browser restarts.
+const KEY_PREFIX = "frameResults:";
+const LINK_HEADER_PREFIX = "linkHeaders:";
+
+const tabPrefix = (tabId) => `${KEY_PREFIX}${tabId}:`;
+const withoutHash = (url) => (url || "").split("#")[0];
+
+export async function storeFrameResult(tabId, frameId, result) {
+  return new Promise((resolve) => {
+    chrome.storage.session.set(
+      { [`${tabPrefix(tabId)}${frameId}`]: { ...result, frame_id: frameId } },
+      resolve
+    );
+  });
+}
+
+export async function getFrameResults(tabId) {
+  const prefix = tabPrefix(tabId);
+
+  return new Promise((resolve) => {
+    chrome.storage.session.get(null, (items) => {
+      resolve(
+        Object.keys(items || {})
+          .filter((key) => key.startsWith(prefix))
+          .map((key) => items[key])
+      );
+    });
+  });
+}
+
+export async function clearFrameResults(tabId) {
+  const prefix = tabPrefix(tabId);
+
+  return new Promise((resolve) => {
+    chrome.storage.session.get(null, (items) => {
+      const keys = Object.keys(items || {}).filter((key) => key.startsWith(prefix));
+      chrome.storage.session.remove(keys, resolve);
+    });
+  });
+}
+
+// Policy documents declared in the main document's Link response headers.
+// Stored with the document URL, which tells stale entries apart without
+// racing the navigation events that clear frame results.
+export async function storeLinkHeaderResult(tabId, url, policyDocuments) {
+  return new Promise((resolve) => {
+    chrome.storage.session.set(
+      {
+        [`${LINK_HEADER_PREFIX}${tabId}`]: {
+          url: withoutHash(url),
+          policy_documents: policyDocuments,
+        },
+      },
+      resolve
+    );
+  });
+}
+
+export async function getLinkHeaderResult(tabId, url) {
+  const key = `${LINK_HEADER_PREFIX}${tabId}`;
+
+  return new Promise((resolve) => {
+    chrome.storage.session.get([key], (result) => {
+      const entry = result[key];
+      resolve(entry && entry.url === withoutHash(url) ? entry : null);
+    });
+  });
+}
+
+export async function clearLinkHeaderResult(tabId) {
+  return new Promise((resolve) => {
+    chrome.storage.session.remove(`${LINK_HEADER_PREFIX}${tabId}`, resolve);
+  });
+}
+
+// Everything reported for a tab besides its top frame
+export async function getTabPolicyReports(tabId, tabUrl) {
+  const frameResults = await getFrameResults(tabId);
+  const headerResult = await getLinkHeaderResult(tabId, tabUrl);
+
+  return headerResult ? [...frameResults, headerResult] : frameResults;
+}
+
+// Merge frame findings into the top frame's website data. Link headers
+// belong to the top document and win on confidence (the top frame wins
+// ties). Frames only fill in types the page itself has no document for,
+// and only same-site frames count: an ad or video embed's privacy policy
+// is not the site's.
+export function mergeFrameResults(websiteData, frameResults) {
+  const documents = {};
+  const siteHostname = websiteData.domain || "";
+
+  (websiteData.policy_documents || []).forEach((policyDocument) => {
+    documents[policyDocument.type] = policyDocument;
+  });
+
+  const headerResults = frameResults.filter((result) => !result.frame_url);
+  const sameSiteFrames = frameResults.filter(
+    (result) =>
+      result.frame_url &&
+      !isThirdParty(getHostname(result.frame_url), siteHostname)
+  );
+
+  headerResults.forEach((headerResult) => {
+    (headerResult.policy_documents || []).forEach((policyDocument) => {
+      const current = documents[policyDocument.type];
+      if (!current || (policyDocument.confidence || 0) > (current.confidence || 0)) {
+        documents[policyDocument.type] = policyDocument;
+      }
+    });
+  });
+
+  const fromPage = new Set(Object.keys(documents));
+
+  sameSiteFrames.forEach((frameResult) => {
+    (frameResult.policy_documents || []).forEach((policyDocument) => {
+      if (fromPage.has(policyDocument.type)) return;
+
+      const current = documents[policyDocument.type];
+      if (!current || (policyDocument.confidence || 0) > (current.confidence || 0)) {
+        documents[policyDocument.type] = {
+          ...policyDocument,
+          frame_url: frameResult.frame_url,
+        };
+      }
+    });
+  });
+
+  const policyDocuments = Object.values(documents);
+  const urlOf = (type) => (documents[type] ? documents[type].url : "");
+
+  return {
+    ...websiteData,
+    tos_url: urlOf("tos"),
+    privacy_policy_url: urlOf("privacy"),
+    policy_documents: policyDocuments,
+  };
+}
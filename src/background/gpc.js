@@ -0,0 +1,135 @@
+// src/background/gpc.js
+
+import { siteStore } from "./siteStore";
+
+// Global Privacy Control: the Sec-GPC request header is added with
+// declarativeNetRequest dynamic rules, and navigator.globalPrivacyControl
+// is exposed by a MAIN-world script registered for the same sites.
+const GPC_RULE_IDS = [1, 2];
+const GPC_SCRIPT_ID = "gpc-signal";
+
+// Off until the user turns it on: the signal changes every request
+export const DEFAULT_GPC_SETTINGS = {
+  sendGpcSignal: false,
+  // domain -> true (always send) / false (never send)
+  gpcSiteOverrides: {},
+};
+
+// Sites listed per-site apply to their subdomains too
+const toMatchPatterns = (domains) =>
+  domains.flatMap((domain) => [`*://${domain}/*`, `*://*.${domain}/*`]);
+
+export function getGpcSites(settings) {
+  const overrides = settings.gpcSiteOverrides || {};
+  const entries = Object.entries(overrides);
+
+  return {
+    enabled: settings.sendGpcSignal === true,
+    alwaysSend: entries.filter(([, send]) => send).map(([domain]) => domain),
+    neverSend: entries.filter(([, send]) => !send).map(([domain]) => domain),
+  };
+}
+
+// Whether the signal is sent to a site, given the current settings
+export function isGpcSentTo(domain, settings) {
+  const { enabled, alwaysSend, neverSend } = getGpcSites(settings);
+  const matches = (site) => domain === site || domain.endsWith(`.${site}`);
+
+  if (neverSend.some(matches)) return false;
+  if (alwaysSend.some(matches)) return true;
+  return enabled;
+}
+
+function buildHeaderRules({ enabled, alwaysSend, neverSend }) {
+  const action = {
+    type: "modifyHeaders",
+    requestHeaders: [{ header: "Sec-GPC", operation: "set", value: "1" }],
+  };
+  const resourceTypes = [
+    "main_frame", "sub_frame", "stylesheet", "script", "image", "font",
+    "object", "xmlhttprequest", "ping", "media", "websocket", "other",
+  ];
+
+  if (enabled) {
+    const condition = { resourceTypes };
+    if (neverSend.length > 0) {
+      condition.excludedRequestDomains = neverSend;
+      condition.excludedInitiatorDomains = neverSend;
+    }
+    return [{ id: GPC_RULE_IDS[0], priority: 1, action, condition }];
+  }
+
+  if (alwaysSend.length === 0) return [];
+
+  // Requests to the site, and requests its pages make to others
+  return [
+    {
+      id: GPC_RULE_IDS[0],
+      priority: 1,
+      action,
+      condition: { resourceTypes, requestDomains: alwaysSend },
+    },
+    {
+      id: GPC_RULE_IDS[1],
+      priority: 1,
+      action,
+      condition: { resourceTypes, initiatorDomains: alwaysSend },
+    },
+  ];
+}
+
+function buildScriptRegistration({ enabled, alwaysSend, neverSend }) {
+  const script = {
+    id: GPC_SCRIPT_ID,
+    js: ["gpcSignal.js"],
+    runAt: "document_start",
+    world: "MAIN",
+    allFrames: true,
+  };
+
+  if (enabled) {
+    return {
+      ...script,
+      matches: ["http://*/*", "https://*/*"],
+      ...(neverSend.length > 0 && { excludeMatches: toMatchPatterns(neverSend) }),
+    };
+  }
+
+  return alwaysSend.length > 0
+    ? { ...script, matches: toMatchPatterns(alwaysSend) }
+    : null;
+}
+
+// Apply the GPC settings to the header rules and the page script
+export async function applyGpcSettings(settings) {
+  const sites = getGpcSites({ ...DEFAULT_GPC_SETTINGS, ...settings });
+
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    removeRuleIds: GPC_RULE_IDS,
+    addRules: buildHeaderRules(sites),
+  });
+
+  const registered = await chrome.scripting.getRegisteredContentScripts({
+    ids: [GPC_SCRIPT_ID],
+  });
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [GPC_SCRIPT_ID] });
+  }
+
+  const script = buildScriptRegistration(sites);
+  if (script) {
+    await chrome.scripting.registerContentScripts([script]);
+  }
+}
+
+// What the popup shows: whether we send GPC to the site and whether the
+// site declares that it honors it in /.well-known/gpc.json
+export async function getGpcStatus(domain, settings) {
+  const record = await siteStore.get(domain);
+  const gpc = record && record.well_known ? record.well_known.gpc : null;
+
+  return {
+    sending: isGpcSentTo(domain, { ...DEFAULT_GPC_SETTINGS, ...settings }),
+    honors: gpc && gpc.found ? gpc.supported : null,
+  };
+}
@@ -0,0 +1,46 @@
+// src/background/linkHeaders.js
+
+import { POLICY_LINK_RELATIONS } from "../utils/dataModels";
+
+// Parse an RFC 8288 Link header value into { url, rels } entries
+export function parseLinkHeader(value, baseUrl) {
+  const entries = [];
+  const linkPattern = /<([^>]*)>([^<]*)/g;
+  let match;
+
+  while ((match = linkPattern.exec(value)) !== null) {
+    const relMatch = match[2].match(/;\s*rel\s*=\s*(?:"([^"]*)"|([^\s;,]+))/i);
+    if (!relMatch) continue;
+
+    try {
+      entries.push({
+        url: new URL(match[1], baseUrl).toString(),
+        rels: (relMatch[1] || relMatch[2]).toLowerCase().split(/\s+/),
+      });
+    } catch (error) {
+      // Ignore unparseable targets
+    }
+  }
+
+  return entries;
+}
+
+// Policy documents declared through Link response headers
+export function policyDocumentsFromHeaders(responseHeaders, baseUrl) {
+  const documents = [];
+
+  (responseHeaders || [])
+    .filter((header) => header.name.toLowerCase() === "link" && header.value)
+    .forEach((header) => {
+      parseLinkHeader(header.value, baseUrl).forEach(({ url, rels }) => {
+        rels.forEach((rel) => {
+          const type = POLICY_LINK_RELATIONS[rel];
+          if (type && !documents.some((policyDocument) => policyDocument.type === type)) {
+            documents.push({ type, url, confidence: 1, method: "http_link_header" });
+          }
+        });
+      });
+    });
+
+  return documents;
+}
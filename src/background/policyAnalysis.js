@@ -0,0 +1,332 @@
+// src/background/policyAnalysis.js
+
+import { siteStore } from "./siteStore";
+import { policyTextService } from "./policyText";
+import {
+  analyzeClauses,
+  sortFindings,
+  CLAUSE_RULES_VERSION,
+} from "../utils/clauseAnalyzer";
+import { computePrivacyGrade } from "../utils/privacyGrade";
+import {
+  computeReadability,
+  medianMetrics,
+  READABILITY_VERSION,
+} from "../utils/readability";
+import { summarizePolicy, SUMMARY_VERSION } from "../utils/summarizer";
+import {
+  extractDataPractices,
+  DATA_PRACTICES_VERSION,
+} from "../utils/dataPractices";
+import { extractContacts, CONTACTS_VERSION } from "../utils/contactExtractor";
+
+// Analyses run once per stored policy version and are cached in the site
+// record under `analysis[type]`, keyed by the version hash. Each analyzer
+// carries a version so rule changes invalidate old results. Analyzers run
+// in order and receive the results of the ones before them.
+const ANALYZERS = {
+  clauses: {
+    version: CLAUSE_RULES_VERSION,
+    run: (document) => analyzeClauses(document),
+  },
+  readability: {
+    version: READABILITY_VERSION,
+    run: (document) => computeReadability(document),
+  },
+  summary: {
+    version: SUMMARY_VERSION,
+    run: (document, analysis) => summarizePolicy(document, analysis.clauses || []),
+  },
+  practices: {
+    version: DATA_PRACTICES_VERSION,
+    run: (document) => extractDataPractices(document),
+  },
+  contacts: {
+    version: CONTACTS_VERSION,
+    run: (document) => extractContacts(document),
+  },
+};
+
+// Policies a site's contacts are taken from, most relevant first
+const CONTACT_SOURCE_ORDER = ["privacy", "cookie", "dpa", "do_not_sell", "tos"];
+
+const isCurrent = (entry, hash, name) =>
+  entry &&
+  entry.hash === hash &&
+  entry.versions &&
+  entry.versions[name] === ANALYZERS[name].version;
+
+// Readability of every tracked site by policy type, { [type]: { [domain]:
+// metrics } }. Kept apart from site records so medians don't have to load
+// every stored policy text.
+const READABILITY_INDEX_KEY = "readabilityIndex";
+let readabilityIndexWrite = Promise.resolve();
+
+async function getReadabilityIndex() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([READABILITY_INDEX_KEY], (result) => {
+      resolve(result[READABILITY_INDEX_KEY] || {});
+    });
+  });
+}
+
+// Writes are chained so concurrent analyses don't drop each other's sites
+function updateReadabilityIndex(domain, type, readability) {
+  readabilityIndexWrite = readabilityIndexWrite
+    .catch(() => {})
+    .then(async () => {
+      const index = await getReadabilityIndex();
+      const sites = { ...(index[type] || {}) };
+
+      if (readability) {
+        sites[domain] = readability;
+      } else {
+        delete sites[domain];
+      }
+
+      return new Promise((resolve) => {
+        chrome.storage.local.set(
+          { [READABILITY_INDEX_KEY]: { ...index, [type]: sites } },
+          resolve
+        );
+      });
+    });
+
+  return readabilityIndexWrite;
+}
+
+// One run per policy version at a time, however many loaders ask for it;
+// keyed by domain, type and version hash
+const pendingAnalyses = new Map();
+
+async function runAnalyzers(domain, type, policy, cached) {
+  const entry =
+    cached && cached.hash === policy.current_hash
+      ? cached
+      : { hash: policy.current_hash, versions: {} };
+  const stale = Object.keys(ANALYZERS).filter(
+    (name) => !isCurrent(entry, policy.current_hash, name)
+  );
+
+  if (stale.length === 0) return entry;
+
+  const document = await policyTextService.getText(domain, type);
+  if (!document) return null;
+
+  const next = {
+    ...entry,
+    url: policy.url,
+    versions: { ...entry.versions },
+    analyzed_at: new Date().toISOString(),
+  };
+  stale.forEach((name) => {
+    next[name] = ANALYZERS[name].run(document, next);
+    next.versions[name] = ANALYZERS[name].version;
+  });
+
+  await siteStore.update(domain, (current) => {
+    const changes = { analysis: { ...(current.analysis || {}), [type]: next } };
+
+    // Practices are kept for every version, not just the current one
+    if (stale.includes("practices")) {
+      const byVersion = current.practices_by_version || {};
+      changes.practices_by_version = {
+        ...byVersion,
+        [type]: {
+          ...(byVersion[type] || {}),
+          [next.hash]: {
+            url: next.url,
+            analyzed_at: next.analyzed_at,
+            practices: next.practices,
+          },
+        },
+      };
+    }
+    return changes;
+  });
+  if (stale.includes("readability")) {
+    await updateReadabilityIndex(domain, type, next.readability);
+  }
+
+  return next;
+}
+
+function analyzePolicy(domain, type, policy, cached) {
+  const key = `${domain}:${type}:${policy.current_hash}`;
+
+  if (!pendingAnalyses.has(key)) {
+    const task = runAnalyzers(domain, type, policy, cached).finally(() => {
+      pendingAnalyses.delete(key);
+    });
+    pendingAnalyses.set(key, task);
+  }
+  return pendingAnalyses.get(key);
+}
+
+// Analysis of the current version of every stored policy of a site
+export async function getPolicyAnalysis(domain) {
+  const record = await siteStore.get(domain);
+  const policies = (record && record.policies) || {};
+  const cached = (record && record.analysis) || {};
+  const analysis = {};
+
+  for (const [type, policy] of Object.entries(policies)) {
+    if (!policy.current_hash) continue;
+
+    const entry = await analyzePolicy(domain, type, policy, cached[type]);
+    if (entry) {
+      analysis[type] = entry;
+    }
+  }
+
+  return analysis;
+}
+
+// Clause findings of all policies of a site, each tagged with its policy type
+export async function getClauseFindings(domain) {
+  const analysis = await getPolicyAnalysis(domain);
+
+  return sortFindings(
+    Object.entries(analysis).flatMap(([type, entry]) =>
+      (entry.clauses || []).map((finding) => ({
+        ...finding,
+        policy_type: type,
+        policy_url: entry.url,
+      }))
+    )
+  );
+}
+
+// Readability of each policy of a site next to the median of the same
+// policy type across every tracked site
+export async function getPolicyMetrics(domain) {
+  const analysis = await getPolicyAnalysis(domain);
+  const index = await getReadabilityIndex();
+  const metrics = {};
+
+  for (const [type, entry] of Object.entries(analysis)) {
+    if (!entry.readability) continue;
+
+    // Analyses cached before the index existed join it when first shown
+    const sites = index[type] || {};
+    if (!sites[domain]) {
+      await updateReadabilityIndex(domain, type, entry.readability);
+    }
+    const tracked = Object.values({ ...sites, [domain]: entry.readability });
+
+    metrics[type] = {
+      metrics: entry.readability,
+      median: medianMetrics(tracked),
+      site_count: tracked.length,
+    };
+  }
+
+  return metrics;
+}
+
+// TL;DR bullets of each policy of a site
+export async function getPolicySummaries(domain) {
+  const analysis = await getPolicyAnalysis(domain);
+  const summaries = {};
+
+  Object.entries(analysis).forEach(([type, entry]) => {
+    if (entry.summary && entry.summary.length > 0) {
+      summaries[type] = { url: entry.url, bullets: entry.summary };
+    }
+  });
+
+  return summaries;
+}
+
+// Data practices matrix of each policy of a site, with the version it
+// was extracted from. Matrices are stored per version hash under
+// `practices_by_version[type]`.
+export async function getDataPractices(domain) {
+  const analysis = await getPolicyAnalysis(domain);
+  const record = (await siteStore.get(domain)) || {};
+  const byVersion = record.practices_by_version || {};
+  const practices = {};
+
+  Object.entries(analysis).forEach(([type, entry]) => {
+    const stored = (byVersion[type] || {})[entry.hash] || entry;
+    if (stored.practices) {
+      practices[type] = {
+        url: stored.url,
+        hash: entry.hash,
+        analyzed_at: stored.analyzed_at,
+        practices: stored.practices,
+      };
+    }
+  });
+
+  return practices;
+}
+
+// Grade of a site from its detected policies, clause findings, trackers and
+// consent banner dark patterns.
+// Stored on the site record so badges can be set without recomputing.
+export async function getPrivacyGrade(domain) {
+  const clauseFindings = await getClauseFindings(domain);
+  const record = (await siteStore.get(domain)) || {};
+
+  const grade = {
+    ...computePrivacyGrade({
+      policyDocuments: record.policy_documents || [],
+      clauseFindings,
+      trackers: record.trackers || null,
+      wellKnown: record.well_known || null,
+      darkPatterns: record.dark_patterns ? record.dark_patterns.flags : null,
+    }),
+    computed_at: new Date().toISOString(),
+  };
+
+  await siteStore.update(domain, { grade });
+  return grade;
+}
+
+// Privacy contacts of a site, merged across its policies with the privacy
+// policy first. Stored on the site record as `contacts`.
+export async function getSiteContacts(domain) {
+  const analysis = await getPolicyAnalysis(domain);
+  const rank = (type) => {
+    const index = CONTACT_SOURCE_ORDER.indexOf(type);
+    return index === -1 ? CONTACT_SOURCE_ORDER.length : index;
+  };
+  const sources = Object.entries(analysis)
+    .filter(([, entry]) => entry.contacts)
+    .sort(([a], [b]) => rank(a) - rank(b));
+
+  const contacts = {
+    emails: [],
+    dpo: null,
+    postal_addresses: [],
+    web_forms: [],
+    legal_entity: "",
+    sources: [],
+    extracted_at: new Date().toISOString(),
+  };
+
+  sources.forEach(([type, { url, contacts: found }]) => {
+    contacts.sources.push({ type, url });
+    found.emails.forEach((email) => {
+      if (!contacts.emails.some((known) => known.address === email.address)) {
+        contacts.emails.push(email);
+      }
+    });
+    found.postal_addresses.forEach((address) => {
+      if (!contacts.postal_addresses.includes(address)) {
+        contacts.postal_addresses.push(address);
+      }
+    });
+    found.web_forms.forEach((form) => {
+      if (!contacts.web_forms.some((known) => known.url === form.url)) {
+        contacts.web_forms.push(form);
+      }
+    });
+    contacts.dpo = contacts.dpo || found.dpo;
+    contacts.legal_entity = contacts.legal_entity || found.legal_entity;
+  });
+
+  await siteStore.update(domain, { contacts });
+  return contacts;
+}
@@ -0,0 +1,428 @@
+// src/background/policyText.js
+
+import { siteStore } from "./siteStore";
+import { isPublicHttpUrl } from "../utils/domains";
+
+// Policy types whose documents are fetched and kept as text
+export const TEXT_POLICY_TYPES = ["tos", "privacy", "cookie"];
+export const POLICY_TEXT_MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
+
+const FETCH_TIMEOUT = 15000; // 15 seconds
+const MAX_REDIRECTS = 5;
+const OFFSCREEN_URL = "offscreen.html";
+const VERSION_KEY_PREFIX = "policyVersion:";
+// Pages with less text than this are error pages or script shells
+const MIN_POLICY_WORDS = 20;
+
+const isStale = (timestamp) =>
+  !timestamp || Date.now() - new Date(timestamp).getTime() > POLICY_TEXT_MAX_AGE;
+
+// Canonical form used for hashing: typography and whitespace differences
+// between fetches must not count as a new version
+export function normalizePolicyText(text) {
+  return (text || "")
+    .normalize("NFKC")
+    .replace(/[\u2018\u2019\u201A\u201B]/g, "'")
+    .replace(/[\u201C\u201D\u201E\u201F]/g, '"')
+    .replace(/[\u2010-\u2015]/g, "-")
+    .replace(/\u00A0/g, " ")
+    .split(/\n{2,}/)
+    .map((paragraph) => paragraph.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+export async function hashPolicyText(text) {
+  const bytes = new TextEncoder().encode(normalizePolicyText(text));
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+// Fetches policy documents and turns them into clean text. Parsing happens
+// in an offscreen document because service workers have no DOMParser.
+export class PolicyTextService {
+  constructor() {
+    this.creatingOffscreen = null;
+    this.inFlight = new Map();
+    this.listeners = new Set();
+  }
+
+  // Events: "policyChanged" with { domain, type, url, from_hash, to_hash, detected_at }
+  addEventListener(event, callback) {
+    const listener = { event, callback };
+    this.listeners.add(listener);
+
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach((listener) => {
+      if (listener.event === event || listener.event === "*") {
+        try {
+          listener.callback(data, event);
+        } catch (error) {
+          console.error("Policy text listener error:", error);
+        }
+      }
+    });
+  }
+
+  async ensureOffscreenDocument() {
+    const offscreenUrl = chrome.runtime.getURL(OFFSCREEN_URL);
+
+    if (chrome.runtime.getContexts) {
+      const contexts = await chrome.runtime.getContexts({
+        contextTypes: ["OFFSCREEN_DOCUMENT"],
+        documentUrls: [offscreenUrl],
+      });
+      if (contexts.length > 0) return;
+    }
+
+    if (!this.creatingOffscreen) {
+      this.creatingOffscreen = chrome.offscreen
+        .createDocument({
+          url: OFFSCREEN_URL,
+          reasons: ["DOM_PARSER"],
+          justification: "Parse fetched policy documents into readable text",
+        })
+        .catch((error) => {
+          // Another caller created it first
+          if (!/single offscreen/i.test(error.message)) throw error;
+        })
+        .finally(() => {
+          this.creatingOffscreen = null;
+        });
+    }
+
+    await this.creatingOffscreen;
+  }
+
+  // Only public hosts: a page can't point the extension at the user's
+  // router or intranet. Redirects are followed by hand so every hop is
+  // checked before it is requested.
+  async fetchDocument(url) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+    let currentUrl = url;
+
+    try {
+      for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        if (!isPublicHttpUrl(currentUrl)) {
+          throw new Error("Policy URL is not a public http(s) address");
+        }
+
+        const response = await fetch(currentUrl, {
+          method: "GET",
+          credentials: "omit",
+          redirect: "manual",
+          signal: controller.signal,
+          headers: { Accept: "text/html,text/plain;q=0.9" },
+        });
+
+        // Without a readable Location the target can't be checked
+        if (response.type === "opaqueredirect") {
+          throw new Error("Policy URL redirects to an address that can't be checked");
+        }
+
+        if (response.status >= 300 && response.status < 400) {
+          const location = response.headers.get("location");
+          if (!location) {
+            throw new Error(`Policy fetch failed with status ${response.status}`);
+          }
+          currentUrl = new URL(location, currentUrl).toString();
+          continue;
+        }
+
+        if (!response.ok) {
+          throw new Error(`Policy fetch failed with status ${response.status}`);
+        }
+
+        const contentType = response.headers.get("content-type") || "";
+        if (!/text\/(html|plain)|application\/xhtml/.test(contentType)) {
+          throw new Error(`Unsupported policy content type: ${contentType}`);
+        }
+
+        return {
+          body: await response.text(),
+          contentType,
+          finalUrl: currentUrl,
+        };
+      }
+
+      throw new Error("Policy URL redirects too many times");
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  async parseHtml(html, url) {
+    await this.ensureOffscreenDocument();
+
+    const response = await chrome.runtime.sendMessage({
+      target: "offscreen",
+      action: "parsePolicyDocument",
+      html,
+      url,
+    });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || "Failed to parse policy document");
+    }
+
+    return response.data;
+  }
+
+  // Plain-text policies only need splitting on blank lines
+  parsePlainText(body, url) {
+    const blocks = body
+      .split(/\r?\n\s*\r?\n/)
+      .map((paragraph) => paragraph.replace(/\s+/g, " ").trim())
+      .filter(Boolean)
+      .map((text) => ({ type: "paragraph", text }));
+    const text = blocks.map((block) => block.text).join("\n\n");
+
+    return {
+      url,
+      title: "",
+      blocks,
+      links: [],
+      text,
+      word_count: text ? text.split(/\s+/).length : 0,
+    };
+  }
+
+  async extractPolicyText(url) {
+    const { body, contentType, finalUrl } = await this.fetchDocument(url);
+
+    if (contentType.includes("text/plain")) {
+      return this.parsePlainText(body, finalUrl);
+    }
+
+    return this.parseHtml(body, finalUrl);
+  }
+
+  // Fetch every text policy of a site that is new, moved or older than a day
+  async refreshSitePolicies(domain, policyDocuments) {
+    const record = await siteStore.get(domain);
+    const stored = (record && record.policies) || {};
+    const refreshed = {};
+
+    for (const { type, url } of policyDocuments) {
+      if (!TEXT_POLICY_TYPES.includes(type) || !url) continue;
+
+      const current = stored[type];
+      if (current && current.url === url && !isStale(current.fetched_at)) continue;
+
+      refreshed[type] = await this.refreshPolicy(domain, type, url);
+    }
+
+    return refreshed;
+  }
+
+  // One fetch per document at a time, however many tabs ask for it
+  async refreshPolicy(domain, type, url) {
+    const key = `${domain}:${type}:${url}`;
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const task = this._refreshPolicy(domain, type, url).finally(() => {
+      this.inFlight.delete(key);
+    });
+    this.inFlight.set(key, task);
+    return task;
+  }
+
+  // Resolves once no fetch for the domain is running
+  async whenSettled(domain) {
+    const pending = Array.from(this.inFlight.entries())
+      .filter(([key]) => key.startsWith(`${domain}:`))
+      .map(([, task]) => task);
+
+    await Promise.all(pending);
+  }
+
+  async _refreshPolicy(domain, type, url) {
+    const fetchedAt = new Date().toISOString();
+
+    try {
+      const extracted = await this.extractPolicyText(url);
+      if (extracted.word_count < MIN_POLICY_WORDS) {
+        throw new Error("No readable policy text found");
+      }
+
+      const hash = await hashPolicyText(extracted.text);
+      await this.storeVersionText(domain, type, hash, {
+        ...extracted,
+        hash,
+        source_url: url,
+        fetched_at: fetchedAt,
+      });
+
+      let change = null;
+
+      // A version is only added when the normalized text hash changes,
+      // wherever the document lives now. The same text at a new URL is a
+      // relocation: the latest version moves with it.
+      await siteStore.update(domain, (record) => {
+        const policies = record.policies || {};
+        const entry = policies[type] || {};
+        const versions = entry.versions || [];
+        const latest = versions[versions.length - 1];
+        const isNewVersion = !latest || latest.hash !== hash;
+        const isRelocation = !isNewVersion && latest.url !== url;
+
+        const nextVersions = isNewVersion
+          ? [
+              ...versions,
+              {
+                hash,
+                url,
+                title: extracted.title,
+                word_count: extracted.word_count,
+                fetched_at: fetchedAt,
+                last_seen_at: fetchedAt,
+              },
+            ]
+          : versions.map((version, index) =>
+              index === versions.length - 1
+                ? {
+                    ...version,
+                    url,
+                    last_seen_at: fetchedAt,
+                    ...(isRelocation && { relocated_from: latest.url }),
+                  }
+                : version
+            );
+
+        if (isNewVersion && latest) {
+          change = {
+            domain,
+            type,
+            url,
+            from_hash: latest.hash,
+            to_hash: hash,
+            detected_at: fetchedAt,
+          };
+        }
+
+        return {
+          policies: {
+            ...policies,
+            [type]: {
+              ...entry,
+              url,
+              final_url: extracted.url,
+              title: extracted.title,
+              word_count: extracted.word_count,
+              fetched_at: fetchedAt,
+              status: "ok",
+              error: "",
+              current_hash: hash,
+              versions: nextVersions,
+            },
+          },
+          ...(change && { last_policy_change: change }),
+        };
+      });
+
+      if (change) {
+        this.notifyListeners("policyChanged", change);
+      }
+
+      return extracted;
+    } catch (error) {
+      console.error(`Error extracting ${type} policy text for ${domain}:`, error);
+      // Failures are recorded too so a broken URL is not refetched every visit
+      await this.updatePolicyEntry(domain, type, {
+        url,
+        fetched_at: fetchedAt,
+        status: "error",
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  // The version of a document in force right now, as { hash, url, title }.
+  // Tracked documents are refreshed when stale; other URLs are fetched and
+  // their text kept by hash without becoming the site's tracked document.
+  async getVersionInForce(domain, type, url) {
+    await this.whenSettled(domain);
+
+    const isTracked = (entry) =>
+      entry && (entry.url === url || entry.final_url === url);
+    let entry = (await siteStore.get(domain))?.policies?.[type];
+
+    if (TEXT_POLICY_TYPES.includes(type) && (!entry || isTracked(entry))) {
+      if (!entry || isStale(entry.fetched_at)) {
+        await this.refreshPolicy(domain, type, url);
+        entry = (await siteStore.get(domain))?.policies?.[type];
+      }
+      if (entry && entry.status === "ok") {
+        return {
+          hash: entry.current_hash,
+          url: entry.final_url || url,
+          title: entry.title,
+        };
+      }
+      throw new Error(entry?.error || "Policy could not be fetched");
+    }
+
+    const extracted = await this.extractPolicyText(url);
+    if (extracted.word_count < MIN_POLICY_WORDS) {
+      throw new Error("No readable policy text found");
+    }
+
+    const hash = await hashPolicyText(extracted.text);
+    await this.storeVersionText(domain, type, hash, {
+      ...extracted,
+      hash,
+      source_url: url,
+      fetched_at: new Date().toISOString(),
+    });
+
+    return { hash, url: extracted.url, title: extracted.title };
+  }
+
+  async updatePolicyEntry(domain, type, entry) {
+    return siteStore.update(domain, (record) => {
+      const policies = record.policies || {};
+      return {
+        policies: { ...policies, [type]: { ...(policies[type] || {}), ...entry } },
+      };
+    });
+  }
+
+  // Text of one version; the current version when no hash is given
+  async getText(domain, type, hash = null) {
+    let versionHash = hash;
+
+    if (!versionHash) {
+      const record = await siteStore.get(domain);
+      versionHash = record?.policies?.[type]?.current_hash;
+      if (!versionHash) return null;
+    }
+
+    const key = `${VERSION_KEY_PREFIX}${domain}:${type}:${versionHash}`;
+    return new Promise((resolve) => {
+      chrome.storage.local.get([key], (result) => {
+        resolve(result[key] || null);
+      });
+    });
+  }
+
+  async storeVersionText(domain, type, hash, document) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set(
+        { [`${VERSION_KEY_PREFIX}${domain}:${type}:${hash}`]: document },
+        resolve
+      );
+    });
+  }
+}
+
+export const policyTextService = new PolicyTextService();
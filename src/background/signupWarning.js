@@ -0,0 +1,71 @@
+// src/background/signupWarning.js
+
+import { getClauseFindings } from "./policyAnalysis";
+import { getRegistrableDomain } from "../utils/domains";
+
+// The in-page warning shown on registration and checkout forms of sites
+// whose policies have high-severity clause findings
+const MAX_LISTED_RISKS = 3;
+
+export const DEFAULT_SIGNUP_WARNING_SETTINGS = {
+  showSignupWarnings: true,
+  // domain -> true (always warn) / false (never warn)
+  signupWarningSiteOverrides: {},
+};
+
+const matchesSite = (domain, site) => domain === site || domain.endsWith(`.${site}`);
+
+export function isSignupWarningEnabledFor(domain, settings) {
+  const { showSignupWarnings, signupWarningSiteOverrides } = {
+    ...DEFAULT_SIGNUP_WARNING_SETTINGS,
+    ...settings,
+  };
+  const overrides = Object.entries(signupWarningSiteOverrides || {});
+
+  if (overrides.some(([site, warn]) => !warn && matchesSite(domain, site))) return false;
+  if (overrides.some(([site, warn]) => warn && matchesSite(domain, site))) return true;
+  return showSignupWarnings !== false;
+}
+
+// null when the warning is off for the site or there is nothing serious
+export async function getSignupWarning(domain, settings) {
+  if (!isSignupWarningEnabledFor(domain, settings)) return null;
+
+  const findings = await getClauseFindings(domain);
+  // A rule found in several policies is one risk
+  const high = findings
+    .filter((finding) => finding.severity === "high")
+    .filter(
+      (finding, index, all) =>
+        all.findIndex((other) => other.rule === finding.rule) === index
+    );
+  if (high.length === 0) return null;
+
+  return {
+    high_count: high.length,
+    total_count: findings.length,
+    risks: high.slice(0, MAX_LISTED_RISKS).map((finding) => ({
+      rule: finding.rule,
+      label: finding.label,
+      description: finding.description,
+      policy_type: finding.policy_type,
+    })),
+  };
+}
+
+// "Don't warn on this site" in the panel; covers the whole site
+export async function disableSignupWarning(domain) {
+  const site = getRegistrableDomain(domain);
+
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(["settings"], (result) => {
+      const settings = result.settings || {};
+      const overrides = { ...(settings.signupWarningSiteOverrides || {}), [site]: false };
+
+      chrome.storage.sync.set(
+        { settings: { ...settings, signupWarningSiteOverrides: overrides } },
+        resolve
+      );
+    });
+  });
+}
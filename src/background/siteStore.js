@@ -0,0 +1,82 @@
+// src/background/siteStore.js
+
+// Local per-site records in chrome.storage.local, one key per domain.
+// Facts the extension works out itself (well-known files, policy text,
+// analysis results) live here next to what the API returns.
+const KEY_PREFIX = "site:";
+
+export class SiteStore {
+  constructor() {
+    // Updates to one domain are chained so concurrent writers don't clobber
+    // each other's fields
+    this.pendingUpdates = new Map();
+  }
+
+  keyFor(domain) {
+    return `${KEY_PREFIX}${domain}`;
+  }
+
+  async get(domain) {
+    const key = this.keyFor(domain);
+    return new Promise((resolve) => {
+      chrome.storage.local.get([key], (result) => {
+        resolve(result[key] || null);
+      });
+    });
+  }
+
+  async getAll() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(null, (items) => {
+        resolve(
+          Object.keys(items || {})
+            .filter((key) => key.startsWith(KEY_PREFIX))
+            .map((key) => items[key])
+        );
+      });
+    });
+  }
+
+  // `updates` is an object, or a function receiving the current record and
+  // returning the fields to change
+  async update(domain, updates) {
+    const previous = this.pendingUpdates.get(domain) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(() => this._write(domain, updates));
+
+    this.pendingUpdates.set(domain, next);
+    next
+      .catch(() => {})
+      .then(() => {
+        if (this.pendingUpdates.get(domain) === next) {
+          this.pendingUpdates.delete(domain);
+        }
+      });
+
+    return next;
+  }
+
+  async _write(domain, updates) {
+    const current = (await this.get(domain)) || { domain };
+    const changes = typeof updates === "function" ? updates(current) : updates;
+    const record = {
+      ...current,
+      ...changes,
+      domain,
+      updated_at: new Date().toISOString(),
+    };
+
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.set({ [this.keyFor(domain)]: record }, () => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+          return;
+        }
+        resolve(record);
+      });
+    });
+  }
+}
+
+export const siteStore = new SiteStore();
@@ -0,0 +1,236 @@
+// src/background/thirdParties.js
+
+import { siteStore } from "./siteStore";
+import { policyTextService } from "./policyText";
+import { getRegistrableDomain, getHostname } from "../utils/domains";
+import { lookupTracker } from "../utils/trackerList";
+
+const FLUSH_DELAY = 2000; // 2 seconds
+// Hosts remembered per third party
+const MAX_HOSTS = 10;
+// Third parties remembered per site
+const MAX_THIRD_PARTIES = 300;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Observes the requests each tab makes and keeps an inventory of the third
+// parties (grouped by registrable domain) on the site record. Observe-only:
+// nothing is blocked or modified.
+export class ThirdPartyMonitor {
+  constructor() {
+    // tabId -> { site, siteBase, parties: Map<registrableDomain, party> }
+    this.tabs = new Map();
+    this.flushTimers = new Map();
+    this.listeners = new Set();
+  }
+
+  // Events: "trackersChanged" with { domain, trackers }
+  addEventListener(event, callback) {
+    const listener = { event, callback };
+    this.listeners.add(listener);
+
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners(event, data) {
+    this.listeners.forEach((listener) => {
+      if (listener.event === event || listener.event === "*") {
+        try {
+          listener.callback(data, event);
+        } catch (error) {
+          console.error("Third party listener error:", error);
+        }
+      }
+    });
+  }
+
+  startPage(tabId, url) {
+    const site = getHostname(url);
+    this.flush(tabId);
+
+    if (!site) {
+      this.tabs.delete(tabId);
+      return;
+    }
+
+    this.tabs.set(tabId, {
+      site,
+      siteBase: getRegistrableDomain(site),
+      parties: new Map(),
+    });
+  }
+
+  // webRequest.onBeforeRequest details
+  async recordRequest(details) {
+    if (details.tabId < 0) return;
+
+    if (details.type === "main_frame") {
+      this.startPage(details.tabId, details.url);
+      return;
+    }
+
+    const entry = await this.getTabEntry(details.tabId);
+    const host = getHostname(details.url);
+    if (!entry || !host) return;
+
+    const base = getRegistrableDomain(host);
+    if (base === entry.siteBase) return;
+
+    if (!entry.parties.has(base)) {
+      entry.parties.set(base, {
+        domain: base,
+        hosts: new Set(),
+        types: new Set(),
+        request_count: 0,
+        tracker: null,
+      });
+    }
+
+    const party = entry.parties.get(base);
+    party.request_count++;
+    party.types.add(details.type);
+    if (party.hosts.size < MAX_HOSTS) party.hosts.add(host);
+    party.tracker = party.tracker || lookupTracker(host, base);
+
+    this.scheduleFlush(details.tabId);
+  }
+
+  // After a service worker restart the tab's page is looked up again
+  async getTabEntry(tabId) {
+    if (this.tabs.has(tabId)) return this.tabs.get(tabId);
+
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      if (!this.tabs.has(tabId) && tab.url && /^https?:/.test(tab.url)) {
+        this.startPage(tabId, tab.url);
+      }
+    } catch (error) {
+      return null;
+    }
+
+    return this.tabs.get(tabId) || null;
+  }
+
+  scheduleFlush(tabId) {
+    if (this.flushTimers.has(tabId)) return;
+
+    this.flushTimers.set(
+      tabId,
+      setTimeout(() => this.flush(tabId), FLUSH_DELAY)
+    );
+  }
+
+  // Merge what a tab observed into the site record
+  flush(tabId) {
+    clearTimeout(this.flushTimers.get(tabId));
+    this.flushTimers.delete(tabId);
+
+    const entry = this.tabs.get(tabId);
+    if (!entry || entry.parties.size === 0) return;
+
+    const observed = Array.from(entry.parties.values());
+    entry.parties = new Map();
+
+    const now = new Date().toISOString();
+    let trackersBefore = [];
+    let trackersAfter = [];
+
+    siteStore
+      .update(entry.site, (record) => {
+        const thirdParties = { ...(record.third_parties || {}) };
+        trackersBefore = record.trackers || [];
+
+        observed.forEach((party) => {
+          const stored = thirdParties[party.domain] || {
+            domain: party.domain,
+            hosts: [],
+            types: [],
+            request_count: 0,
+            first_seen: now,
+          };
+
+          thirdParties[party.domain] = {
+            ...stored,
+            hosts: Array.from(new Set([...stored.hosts, ...party.hosts])).slice(0, MAX_HOSTS),
+            types: Array.from(new Set([...stored.types, ...party.types])),
+            request_count: stored.request_count + party.request_count,
+            tracker: stored.tracker || party.tracker,
+            last_seen: now,
+          };
+        });
+
+        // Keep the most recently seen third parties
+        const kept = Object.values(thirdParties)
+          .sort((a, b) => b.last_seen.localeCompare(a.last_seen))
+          .slice(0, MAX_THIRD_PARTIES);
+
+        trackersAfter = Array.from(
+          new Set(kept.filter((party) => party.tracker).map((party) => party.tracker.name))
+        );
+
+        return {
+          third_parties: Object.fromEntries(kept.map((party) => [party.domain, party])),
+          trackers: trackersAfter,
+        };
+      })
+      .then(() => {
+        // A tracker swapped for another changes the grade as much as a new one
+        const changed =
+          trackersAfter.length !== trackersBefore.length ||
+          trackersAfter.some((name) => !trackersBefore.includes(name));
+        if (changed) {
+          this.notifyListeners("trackersChanged", {
+            domain: entry.site,
+            trackers: trackersAfter,
+          });
+        }
+      })
+      .catch((error) => {
+        console.error("Failed to store third parties:", error);
+      });
+  }
+
+  clearTab(tabId) {
+    this.flush(tabId);
+    this.tabs.delete(tabId);
+  }
+
+  // Inventory of a site with each third party checked against the text of
+  // its privacy policy: a party counts as mentioned when the policy names
+  // its registrable domain or, for known trackers, the tracker or company.
+  // Bare first labels are not matched: "t" of t.co would match "don't".
+  async getReport(domain) {
+    const record = (await siteStore.get(domain)) || {};
+    const parties = Object.values(record.third_parties || {});
+    const privacyPolicy = await policyTextService.getText(domain, "privacy");
+    const policyText = privacyPolicy ? privacyPolicy.text : null;
+
+    const isMentioned = (party) => {
+      if (!policyText) return null;
+
+      const names = [party.domain];
+      if (party.tracker) names.push(party.tracker.name, party.tracker.company);
+
+      return names.some((name) =>
+        new RegExp(`\\b${escapeRegExp(name)}\\b`, "i").test(policyText)
+      );
+    };
+
+    const report = parties
+      .map((party) => ({ ...party, mentioned: isMentioned(party) }))
+      .sort(
+        (a, b) =>
+          Number(!!b.tracker) - Number(!!a.tracker) ||
+          b.request_count - a.request_count
+      );
+
+    return {
+      count: report.length,
+      tracker_count: report.filter((party) => party.tracker).length,
+      policy_checked: policyText !== null,
+      parties: report,
+    };
+  }
+}
+
+export const thirdPartyMonitor = new ThirdPartyMonitor();
@@ -0,0 +1,143 @@
+// src/background/wellKnown.js
+
+import { siteStore } from "./siteStore";
+
+// Well-known files are re-checked once a week
+export const WELL_KNOWN_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+const FETCH_TIMEOUT = 5000; // 5 seconds
+
+// Fetch a well-known resource. Many sites answer unknown paths with their
+// HTML app shell and a 200, so HTML responses count as "not found".
+async function fetchWellKnown(url) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+  try {
+    const response = await fetch(url, {
+      method: "GET",
+      credentials: "omit",
+      redirect: "follow",
+      signal: controller.signal,
+    });
+
+    const contentType = response.headers.get("content-type") || "";
+    if (!response.ok || contentType.includes("text/html")) {
+      return null;
+    }
+
+    return await response.text();
+  } catch (error) {
+    console.log("Well-known resource unavailable:", url, error.message);
+    return null;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// /.well-known/gpc.json: { "gpc": true, "lastUpdate": "2021-01-01" }
+export function parseGpcJson(body) {
+  if (!body) return { found: false, supported: false, last_update: "" };
+
+  try {
+    const data = JSON.parse(body);
+    return {
+      found: true,
+      supported: data.gpc === true,
+      last_update: data.lastUpdate || "",
+    };
+  } catch (error) {
+    return { found: false, supported: false, last_update: "" };
+  }
+}
+
+// RFC 9116 security.txt; repeated fields (Contact, Encryption...) keep every value
+export function parseSecurityTxt(body) {
+  const result = {
+    found: false,
+    contacts: [],
+    policy: "",
+    expires: "",
+    encryption: [],
+    acknowledgments: [],
+    preferred_languages: "",
+    canonical: [],
+    hiring: [],
+  };
+  if (!body) return result;
+
+  body.split(/\r?\n/).forEach((line) => {
+    const match = line.match(/^\s*([A-Za-z-]+)\s*:\s*(.+?)\s*$/);
+    if (!match || line.trim().startsWith("#")) return;
+
+    const value = match[2];
+    switch (match[1].toLowerCase()) {
+      case "contact":
+        result.contacts.push(value);
+        break;
+      case "policy":
+        result.policy = result.policy || value;
+        break;
+      case "expires":
+        result.expires = value;
+        break;
+      case "encryption":
+        result.encryption.push(value);
+        break;
+      case "acknowledgments":
+      case "acknowledgements":
+        result.acknowledgments.push(value);
+        break;
+      case "preferred-languages":
+        result.preferred_languages = value;
+        break;
+      case "canonical":
+        result.canonical.push(value);
+        break;
+      case "hiring":
+        result.hiring.push(value);
+        break;
+      default:
+        break;
+    }
+  });
+
+  result.found = result.contacts.length > 0;
+  return result;
+}
+
+// Probe the well-known files of an origin
+export async function probeWellKnown(origin) {
+  const [gpcBody, securityBody, dntBody] = await Promise.all([
+    fetchWellKnown(`${origin}/.well-known/gpc.json`),
+    fetchWellKnown(`${origin}/.well-known/security.txt`).then(
+      (body) => body || fetchWellKnown(`${origin}/security.txt`)
+    ),
+    fetchWellKnown(`${origin}/.well-known/dnt-policy.txt`),
+  ]);
+
+  return {
+    origin,
+    gpc: parseGpcJson(gpcBody),
+    security_txt: parseSecurityTxt(securityBody),
+    dnt_policy: { found: !!dntBody },
+    checked_at: new Date().toISOString(),
+  };
+}
+
+// Well-known facts for a domain: probed the first time the site is tracked,
+// then served from the site record until they are a week old
+export async function getWellKnownFacts(domain, origin = null) {
+  const record = await siteStore.get(domain);
+  const wellKnown = record && record.well_known;
+
+  if (
+    wellKnown &&
+    Date.now() - new Date(wellKnown.checked_at).getTime() < WELL_KNOWN_MAX_AGE
+  ) {
+    return wellKnown;
+  }
+
+  const probed = await probeWellKnown(origin || `https://${domain}`);
+  await siteStore.update(domain, { well_known: probed });
+  return probed;
+}
@@ -0,0 +1,109 @@
+// src/content/autoReject.js
+
+import { querySelectorAllDeep } from './domUtils';
+import { MAX_WAIT_FOR_TIMEOUT } from '../utils/autoRejectRules';
+
+// Consent UIs animate between screens
+const STEP_PAUSE = 300;
+const DEFAULT_WAIT_TIMEOUT = 3000;
+const POLL_INTERVAL = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isVisible = (element) => {
+  const rect = element.getBoundingClientRect();
+  if (rect.width === 0 || rect.height === 0) return false;
+
+  const style = window.getComputedStyle(element);
+  return style.visibility !== 'hidden' && style.display !== 'none';
+};
+
+const labelOf = (element) =>
+  (element.getAttribute('aria-label') || element.value || element.textContent || '').replace(/\s+/g, ' ').trim();
+
+const findVisible = (selector, text) => {
+  const pattern = text ? new RegExp(text, 'i') : null;
+  return querySelectorAllDeep(selector).find(element =>
+    isVisible(element) && (!pattern || pattern.test(labelOf(element)))
+  );
+};
+
+const isChecked = (toggle) =>
+  toggle.checked === true || toggle.getAttribute('aria-checked') === 'true';
+
+const waitFor = async (selector, timeout = DEFAULT_WAIT_TIMEOUT) => {
+  const deadline = Date.now() + Math.min(timeout, MAX_WAIT_FOR_TIMEOUT);
+  while (Date.now() < deadline) {
+    const element = findVisible(selector);
+    if (element) return element;
+    await sleep(POLL_INTERVAL);
+  }
+  throw new Error(`Timed out waiting for ${selector}`);
+};
+
+const runStep = async (step) => {
+  if ('wait' in step) {
+    await sleep(step.wait);
+    return;
+  }
+
+  if ('waitFor' in step) {
+    await waitFor(step.waitFor, step.timeout);
+    return;
+  }
+
+  if ('if' in step) {
+    await runSteps(findVisible(step.if) ? step.then : step.else || []);
+    return;
+  }
+
+  if ('uncheck' in step) {
+    // Toggles of collapsed categories are often hidden but still count
+    querySelectorAllDeep(step.uncheck)
+      .filter(isChecked)
+      .forEach(toggle => toggle.click());
+    await sleep(STEP_PAUSE);
+    return;
+  }
+
+  const element = findVisible(step.click, step.text);
+  if (!element) {
+    if (step.optional) return;
+    throw new Error(`Nothing to click for ${step.click}`);
+  }
+  element.click();
+  await sleep(STEP_PAUSE);
+};
+
+const runSteps = async (steps) => {
+  for (const step of steps) {
+    await runStep(step);
+  }
+};
+
+const SELECTOR_KEYS = ['click', 'uncheck', 'waitFor', 'if'];
+
+// Rules are validated without a DOM; a selector that doesn't parse fails
+// the rule here, before anything was clicked
+const assertSelectors = (steps = []) => {
+  const fragment = document.createDocumentFragment();
+
+  steps.forEach(step => {
+    SELECTOR_KEYS.filter(key => key in step).forEach(key => {
+      try {
+        fragment.querySelector(step[key]);
+      } catch (error) {
+        throw new Error(`Invalid selector ${step[key]}`);
+      }
+    });
+    assertSelectors(step.then);
+    assertSelectors(step.else);
+  });
+};
+
+// Run a rule's click sequence against the page; throws at the first step
+// that can't be completed
+export const runRejectRule = (rule) => {
+  assertSelectors(rule.steps);
+  return runSteps(rule.steps);
+};
@@ -0,0 +1,164 @@
+// src/content/bannerAnalyzer.js
+
+import { querySelectorAllDeep } from './domUtils';
+
+// Accept is this many times the area of reject before it is flagged
+const AREA_RATIO_THRESHOLD = 2;
+const FONT_RATIO_THRESHOLD = 1.4;
+// Labels quoted in flag descriptions
+const MAX_LABEL_LENGTH = 60;
+const MAX_LISTED_TOGGLES = 3;
+
+const BUTTON_SELECTOR = 'button, [role="button"], a, input[type="button"], input[type="submit"]';
+const TOGGLE_SELECTOR = 'input[type="checkbox"], [role="switch"], [role="checkbox"]';
+
+const ACCEPT_PATTERN = /\b(accept|agree|allow|got\s+it|i\s+understand|ok(ay)?|akzeptieren|zustimmen|annehmen|accepter|j'accepte|aceptar|accetta|accetto|accepteren|akkoord|godkänn|acceptera|hyväksy)\b/i;
+const REJECT_PATTERN = /\b(reject|decline|refuse|deny|disagree|do\s+not\s+(accept|agree)|(strictly\s+)?necessary\s+only|only\s+(strictly\s+)?necessary|(only\s+)?essential(\s+only)?|continue\s+without|ablehnen|nur\s+notwendige|refuser|tout\s+refuser|continuer\s+sans\s+accepter|rechazar|rifiuta|rifiutare|weigeren|afwijzen|afvis|avvisa|neka|hylkää)\b/i;
+const SETTINGS_PATTERN = /\b(settings|preferences|customi[sz]e|manage|options|choices|einstellungen|anpassen|paramètres|personnaliser|configurar|preferenze|instellingen)\b/i;
+const NECESSARY_PATTERN = /\b(strictly\s+necessary|necessary|essential|required|technical|notwendig|nécessaires?|necesarias|necessari)\b/i;
+const LEGITIMATE_INTEREST_PATTERN = /\b(legitimate\s+interests?|berechtigte[sn]?\s+interesse|intérêts?\s+légitimes?|interés\s+legítimo|legittimo\s+interesse|gerechtvaardigd\s+belang)\b/i;
+
+const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+const truncate = (text) =>
+  text.length > MAX_LABEL_LENGTH ? `${text.substring(0, MAX_LABEL_LENGTH - 1)}…` : text;
+
+// Elements of the banner, including those rendered in its shadow root
+const queryBanner = (banner, selector) => {
+  const roots = [banner, banner.shadowRoot].filter(Boolean);
+  return Array.from(new Set(roots.flatMap(root => querySelectorAllDeep(selector, root))));
+};
+
+const isVisible = (element) => {
+  const rect = element.getBoundingClientRect();
+  if (rect.width === 0 || rect.height === 0) return false;
+
+  const style = window.getComputedStyle(element);
+  return style.visibility !== 'hidden' && style.display !== 'none' && Number(style.opacity) > 0.1;
+};
+
+const labelOf = (element) =>
+  normalize(element.getAttribute('aria-label') || element.value || element.textContent);
+
+// "Accept all" that is not "Accept selected" or a settings link
+const isAcceptButton = (label) =>
+  ACCEPT_PATTERN.test(label) && !REJECT_PATTERN.test(label) && !SETTINGS_PATTERN.test(label) && !/selected|selection|auswahl/i.test(label);
+
+const isRejectButton = (label) => REJECT_PATTERN.test(label) && !SETTINGS_PATTERN.test(label);
+
+const hasBackground = (style) =>
+  style.backgroundColor !== 'transparent' && !/rgba\(\d+,\s*\d+,\s*\d+,\s*0\)/.test(style.backgroundColor);
+
+const hasBorder = (style) => parseFloat(style.borderTopWidth) > 0 && style.borderTopStyle !== 'none';
+
+// The row a toggle sits in usually names its purpose
+const toggleLabel = (toggle) => {
+  if (toggle.labels && toggle.labels.length > 0) return normalize(toggle.labels[0].textContent);
+  if (toggle.getAttribute('aria-label')) return normalize(toggle.getAttribute('aria-label'));
+
+  const labelledBy = toggle.getAttribute('aria-labelledby');
+  const labelElement = labelledBy && toggle.getRootNode().getElementById?.(labelledBy.split(' ')[0]);
+  if (labelElement) return normalize(labelElement.textContent);
+
+  const row = toggle.closest('li, tr, [class*="category"], [class*="purpose"], [class*="switch"], div');
+  return normalize(row ? row.textContent : '');
+};
+
+const isChecked = (toggle) =>
+  toggle.matches('input') ? toggle.checked : toggle.getAttribute('aria-checked') === 'true';
+
+const isDisabled = (toggle) =>
+  toggle.disabled || toggle.getAttribute('aria-disabled') === 'true';
+
+const describeButton = (button) => {
+  const rect = button.getBoundingClientRect();
+  return `"${truncate(labelOf(button))}" (${Math.round(rect.width)}×${Math.round(rect.height)}px)`;
+};
+
+const compareProminence = (accept, reject) => {
+  const acceptRect = accept.getBoundingClientRect();
+  const rejectRect = reject.getBoundingClientRect();
+  const acceptStyle = window.getComputedStyle(accept);
+  const rejectStyle = window.getComputedStyle(reject);
+
+  const areaRatio = (acceptRect.width * acceptRect.height) / Math.max(rejectRect.width * rejectRect.height, 1);
+  const fontRatio = parseFloat(acceptStyle.fontSize) / Math.max(parseFloat(rejectStyle.fontSize), 1);
+  const styledAsLink = hasBackground(acceptStyle) && !hasBackground(rejectStyle) && !hasBorder(rejectStyle);
+
+  const reasons = [];
+  if (areaRatio >= AREA_RATIO_THRESHOLD) reasons.push(`${areaRatio.toFixed(1)}× the area`);
+  if (fontRatio >= FONT_RATIO_THRESHOLD) reasons.push(`${fontRatio.toFixed(1)}× the font size`);
+  if (styledAsLink) reasons.push('a filled button while reject is plain text');
+
+  return reasons;
+};
+
+/**
+ * Look for dark patterns in a visible consent banner. Returns flags
+ * { id, detail } where detail describes the DOM evidence in words.
+ * `tcf` is the captured TCF state, if any.
+ */
+export const analyzeBanner = (banner, tcf = null) => {
+  const flags = [];
+  const buttons = queryBanner(banner, BUTTON_SELECTOR);
+  const visibleButtons = buttons.filter(isVisible);
+
+  const accept = visibleButtons.find(button => isAcceptButton(labelOf(button)));
+  const reject = visibleButtons.find(button => isRejectButton(labelOf(button)));
+  const hiddenReject = buttons.find(button => !isVisible(button) && isRejectButton(labelOf(button)));
+  const settings = visibleButtons.find(button => SETTINGS_PATTERN.test(labelOf(button)));
+
+  if (accept && !reject) {
+    if (hiddenReject) {
+      flags.push({
+        id: 'hidden_reject',
+        detail: `First layer shows ${describeButton(accept)}; "${truncate(labelOf(hiddenReject))}" exists but is not visible${settings ? ` until "${truncate(labelOf(settings))}" is opened` : ''}.`
+      });
+    } else {
+      flags.push({
+        id: 'no_reject_button',
+        detail: `First layer shows ${describeButton(accept)}${settings ? ` and "${truncate(labelOf(settings))}"` : ''} but no reject button.`
+      });
+    }
+  }
+
+  if (accept && reject) {
+    const reasons = compareProminence(accept, reject);
+    if (reasons.length > 0) {
+      flags.push({
+        id: 'accept_reject_asymmetry',
+        detail: `Accept ${describeButton(accept)} is ${reasons.join(', ')} compared to reject ${describeButton(reject)}.`
+      });
+    }
+  }
+
+  // Preference panels are often in the DOM before they are opened
+  const toggles = queryBanner(banner, TOGGLE_SELECTOR)
+    .filter(toggle => isChecked(toggle) && !isDisabled(toggle))
+    .map(toggle => ({ toggle, label: toggleLabel(toggle) }));
+
+  const legitimateInterest = toggles.filter(({ label }) => LEGITIMATE_INTEREST_PATTERN.test(label));
+  const preTicked = toggles.filter(({ label }) =>
+    !LEGITIMATE_INTEREST_PATTERN.test(label) && !NECESSARY_PATTERN.test(label));
+
+  if (preTicked.length > 0) {
+    const labels = preTicked.slice(0, MAX_LISTED_TOGGLES).map(({ label }) => `"${truncate(label)}"`);
+    flags.push({
+      id: 'pre_ticked_purposes',
+      detail: `${preTicked.length} optional toggle${preTicked.length === 1 ? ' is' : 's are'} switched on before any choice: ${labels.join(', ')}${preTicked.length > MAX_LISTED_TOGGLES ? ', …' : ''}.`
+    });
+  }
+
+  // The TCF signal shows legitimate interest even when toggles are not rendered yet
+  const tcfLegitimateInterests = tcf && tcf.event_status === 'cmpuishown' ? tcf.legitimate_interests || [] : [];
+  if (legitimateInterest.length > 0 || tcfLegitimateInterests.length > 0) {
+    flags.push({
+      id: 'legitimate_interest_default',
+      detail: legitimateInterest.length > 0
+        ? `${legitimateInterest.length} "legitimate interest" toggle${legitimateInterest.length === 1 ? ' is' : 's are'} on by default.`
+        : `The TCF signal reports ${tcfLegitimateInterests.length} purpose${tcfLegitimateInterests.length === 1 ? '' : 's'} on legitimate interest before any choice (purposes ${tcfLegitimateInterests.join(', ')}).`
+    });
+  }
+
+  return flags;
+};
@@ -0,0 +1,215 @@
+// src/content/clickwrapDetector.js
+
+import { querySelectorAllDeep } from './domUtils';
+import { CMP_SIGNATURES } from '../utils/consentFrameworks';
+
+// "I agree to the Terms", "By creating an account you accept our ..."
+const AGREEMENT_PATTERN = /\b(agree|accept|consent|acknowledge|have\s+read|einverstanden|zustimmen|akzeptiere|j'accepte|accepte[sz]?|acepto|aceptas|accetto|ga\s+akkoord)\b/i;
+const SUBMIT_LABEL_PATTERN = /\b(sign\s*up|register|create|join|continue|agree|accept|submit|get\s+started|subscribe|place\s+order|checkout|pay|buy|registrieren|s'inscrire|crear|iscriviti)\b/i;
+const CLICKABLE_SELECTOR = 'button, [role="button"], input[type="submit"], input[type="button"]';
+const CHECKBOX_SELECTOR = 'input[type="checkbox"], [role="checkbox"]';
+// An agreement is a sentence or a label, not a whole form
+const MAX_AGREEMENT_LENGTH = 600;
+const MAX_RECORDED_TEXT = 300;
+// Buttons outside a <form> look for the agreement this far up
+const MAX_CONTAINER_DEPTH = 4;
+// Accepting a cookie banner is consent, not a contract
+const CONSENT_BANNER_SELECTOR = CMP_SIGNATURES.map(signature => signature.selector).join(', ');
+
+const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+const targetOf = (event) => (event.composedPath ? event.composedPath()[0] : event.target);
+
+const isChecked = (checkbox) =>
+  checkbox.checked === true || checkbox.getAttribute('aria-checked') === 'true';
+
+// The box in or right next to the agreement sentence
+const agreementCheckbox = (element) => {
+  if (element.control && element.control.matches(CHECKBOX_SELECTOR)) return element.control;
+
+  return element.querySelector(CHECKBOX_SELECTOR) ||
+    Array.from(element.parentElement ? element.parentElement.children : [])
+      .find(sibling => sibling.matches(CHECKBOX_SELECTOR)) ||
+    null;
+};
+
+// Only what the user did: scripted clicks (ours included) and cookie
+// banners don't count
+const isUserAgreementEvent = (event, target) =>
+  event.isTrusted && !!target && !!target.closest && !target.closest(CONSENT_BANNER_SELECTOR);
+
+// Records clickwrap agreements: an "I agree" checkbox ticked in a form that
+// is then submitted, or a submitted form whose agreement sentence links to
+// the site's policies. Policy links are recognized by the extractor's link
+// scoring.
+export class ClickwrapDetector {
+  constructor(extractor) {
+    this.extractor = extractor;
+    // One record per set of policies per page
+    this.recorded = new Set();
+    // Ticked agreement checkboxes -> agreement, until their form is sent
+    this.tickedAgreements = new Map();
+  }
+
+  start() {
+    document.addEventListener('change', (event) => this.onChange(event), true);
+    document.addEventListener('submit', (event) => this.onSubmit(event), true);
+    document.addEventListener('click', (event) => this.onClick(event), true);
+  }
+
+  // A tick alone is not an agreement: the form may never be sent
+  onChange(event) {
+    const checkbox = targetOf(event);
+    if (!isUserAgreementEvent(event, checkbox) || !checkbox.matches(CHECKBOX_SELECTOR)) return;
+
+    this.tickedAgreements.delete(checkbox);
+    if (!isChecked(checkbox)) return;
+
+    const roots = [...(checkbox.labels || []), checkbox.parentElement].filter(Boolean);
+    for (const root of roots) {
+      const agreement = this.findCheckboxAgreement(root);
+      if (agreement) {
+        this.tickedAgreements.set(checkbox, agreement);
+        return;
+      }
+    }
+  }
+
+  onSubmit(event) {
+    const form = targetOf(event);
+    if (isUserAgreementEvent(event, form) && form.tagName === 'FORM') {
+      this.recordTickedAgreements(form);
+      this.recordFormAgreement(form, 'form_submit');
+    }
+  }
+
+  // Sign-up flows that never fire "submit" (buttons handled in script)
+  onClick(event) {
+    const target = targetOf(event);
+    if (!isUserAgreementEvent(event, target)) return;
+
+    const button = target.closest(CLICKABLE_SELECTOR);
+    if (!button || !SUBMIT_LABEL_PATTERN.test(normalize(button.textContent || button.value))) return;
+
+    const form = button.form || button.closest('form');
+    // Submit buttons of real forms are handled by onSubmit
+    if (form && (button.type === 'submit' || (button.tagName === 'BUTTON' && !button.getAttribute('type')))) return;
+
+    let container = form || button.parentElement;
+    for (let depth = 0; container && depth < MAX_CONTAINER_DEPTH; depth++) {
+      if (this.recordTickedAgreements(container)) return;
+      if (this.recordFormAgreement(container, 'form_submit')) return;
+      if (form) return;
+      container = container.parentElement;
+    }
+  }
+
+  // Checkboxes inside a form being sent that are still ticked
+  recordTickedAgreements(root) {
+    let recorded = false;
+
+    this.tickedAgreements.forEach((agreement, checkbox) => {
+      if (!checkbox.isConnected || !isChecked(checkbox) || !root.contains(checkbox)) return;
+
+      this.tickedAgreements.delete(checkbox);
+      this.record('checkbox', agreement);
+      recorded = true;
+    });
+
+    return recorded;
+  }
+
+  recordFormAgreement(root, trigger) {
+    const agreement = this.findAgreement(root);
+    if (!agreement) return false;
+
+    // An "I agree" box left unticked means the form won't go through
+    const checkbox = agreementCheckbox(agreement.element);
+    if (checkbox && !isChecked(checkbox)) return false;
+
+    this.record(trigger, agreement);
+    return true;
+  }
+
+  // A checkbox's label or the row it sits in, when it reads as agreement
+  findCheckboxAgreement(root) {
+    let element = root;
+    while (element && normalize(element.textContent).length === 0 && element.parentElement) {
+      element = element.parentElement;
+    }
+
+    const text = normalize(element.textContent);
+    if (!AGREEMENT_PATTERN.test(text) || text.length > MAX_AGREEMENT_LENGTH) return null;
+
+    const policies = this.policiesIn(element, text);
+    return policies.length > 0 ? { element, text, policies } : null;
+  }
+
+  // The agreement sentence around a policy link inside `root`
+  findAgreement(root) {
+    const links = querySelectorAllDeep('a[href]', root);
+
+    for (const link of links) {
+      if (!this.extractor.classifyPolicyLink(link)) continue;
+
+      let element = link.parentElement;
+      while (element && element !== root.parentElement) {
+        const text = normalize(element.textContent);
+        if (text.length > MAX_AGREEMENT_LENGTH) break;
+        if (AGREEMENT_PATTERN.test(text)) {
+          return { element, text, policies: this.policiesIn(element, text) };
+        }
+        element = element.parentElement;
+      }
+    }
+
+    return null;
+  }
+
+  // Linked policies, plus policies only named in the text ("I accept the
+  // Terms of Service") resolved to the documents detected on the page
+  policiesIn(element, text) {
+    const policies = new Map();
+
+    querySelectorAllDeep('a[href]', element).forEach(link => {
+      const type = this.extractor.classifyPolicyLink(link);
+      if (type && !policies.has(type)) {
+        policies.set(type, this.extractor.normalizeUrl(link.href));
+      }
+    });
+
+    const mentioned = Object.entries(this.extractor.patterns)
+      .filter(([type, { text: patterns }]) => !policies.has(type) && patterns.some(pattern => pattern.test(text)))
+      .map(([type]) => type);
+
+    if (mentioned.length > 0) {
+      this.extractor.findPolicyDocuments()
+        .filter(policyDocument => mentioned.includes(policyDocument.type))
+        .forEach(policyDocument => policies.set(policyDocument.type, policyDocument.url));
+    }
+
+    return Array.from(policies, ([type, url]) => ({ type, url }));
+  }
+
+  record(trigger, { text, policies }) {
+    if (policies.length === 0) return;
+
+    const signature = policies.map(policy => policy.url).sort().join(' ');
+    if (this.recorded.has(signature)) return;
+    this.recorded.add(signature);
+
+    chrome.runtime.sendMessage({
+      action: 'recordAgreement',
+      domain: this.extractor.domain,
+      agreement: {
+        page_url: window.location.href,
+        site_name: this.extractor.getWebsiteName(),
+        trigger,
+        agreement_text: text.length > MAX_RECORDED_TEXT ? `${text.substring(0, MAX_RECORDED_TEXT - 1)}…` : text,
+        policies
+      }
+    }).catch(error => {
+      console.error('Failed to record agreement:', error);
+    });
+  }
+}
@@ -0,0 +1,113 @@
+// src/content/cmpBridge.js
+
+// Runs in the page's MAIN world, where consent platforms expose the IAB
+// APIs (__tcfapi, __gpp, __uspapi) that content scripts cannot call.
+// Consent state is posted to the content script as SOD_CMP_STATE messages.
+// SOD_CMP_QUERY messages ask for page globals that CMPs keep consent in.
+(() => {
+  const MESSAGE_TYPE = 'SOD_CMP_STATE';
+  const QUERY_TYPE = 'SOD_CMP_QUERY';
+  // CMPs load late; the APIs are looked for until this runs out
+  const POLL_INTERVAL = 500;
+  const POLL_TIMEOUT = 15000;
+
+  const post = (framework, data) => {
+    window.postMessage({ type: MESSAGE_TYPE, framework, data }, window.location.origin);
+  };
+
+  // { "1": true, "2": false } -> [1]
+  const acceptedIds = (map) =>
+    Object.entries(map || {})
+      .filter(([, accepted]) => accepted === true)
+      .map(([id]) => Number(id));
+
+  const hookTcf = () => {
+    window.__tcfapi('addEventListener', 2, (tcData, success) => {
+      if (!success || !tcData) return;
+
+      post('tcf', {
+        cmp_id: tcData.cmpId || null,
+        tc_string: tcData.tcString || '',
+        gdpr_applies: tcData.gdprApplies !== false,
+        event_status: tcData.eventStatus || '',
+        purposes_accepted: acceptedIds(tcData.purpose && tcData.purpose.consents),
+        legitimate_interests: acceptedIds(tcData.purpose && tcData.purpose.legitimateInterests),
+        special_features: acceptedIds(tcData.specialFeatureOptins),
+        vendors_accepted: acceptedIds(tcData.vendor && tcData.vendor.consents)
+      });
+    });
+  };
+
+  const hookGpp = () => {
+    window.__gpp('addEventListener', (event, success) => {
+      const ping = event && event.pingData;
+      if (!success || !ping) return;
+
+      post('gpp', {
+        cmp_id: ping.cmpId || null,
+        gpp_string: ping.gppString || '',
+        applicable_sections: ping.applicableSections || [],
+        signal_status: ping.signalStatus || '',
+        display_status: ping.cmpDisplayStatus || ''
+      });
+    });
+  };
+
+  const readUsp = () => {
+    window.__uspapi('getUSPData', 1, (uspData, success) => {
+      if (success && uspData && uspData.uspString) {
+        post('usp', { usp_string: uspData.uspString });
+      }
+    });
+  };
+
+  // "Cookiebot.consent.marketing" -> false; objects and functions aren't sent
+  const readGlobal = (path) => {
+    try {
+      const value = path.split('.').reduce((object, key) => (object == null ? undefined : object[key]), window);
+      return value === undefined || (typeof value === 'object' && value !== null) || typeof value === 'function'
+        ? null
+        : value;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  window.addEventListener('message', (event) => {
+    const query = event.data;
+    if (event.source !== window || !query || query.type !== QUERY_TYPE || !Array.isArray(query.paths)) return;
+
+    const values = {};
+    query.paths.forEach(path => {
+      values[path] = readGlobal(String(path));
+    });
+    post('globals', { id: query.id, values });
+  });
+
+  const frameworks = [
+    { name: '__tcfapi', hook: hookTcf },
+    { name: '__gpp', hook: hookGpp },
+    { name: '__uspapi', hook: readUsp }
+  ];
+  const startedAt = Date.now();
+
+  const poll = () => {
+    frameworks.forEach(framework => {
+      if (framework.hooked || typeof window[framework.name] !== 'function') return;
+
+      framework.hooked = true;
+      try {
+        framework.hook();
+      } catch (error) {
+        // A broken CMP stub is the page's problem, not ours
+      }
+    });
+
+    const pending = frameworks.some(framework => !framework.hooked);
+    if (pending && Date.now() - startedAt < POLL_TIMEOUT) {
+      setTimeout(poll, POLL_INTERVAL);
+    }
+  };
+
+  poll();
+})();
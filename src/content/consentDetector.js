@@ -0,0 +1,264 @@
+// src/content/consentDetector.js
+
+import { CMP_SIGNATURES } from '../utils/consentFrameworks';
+import { analyzeBanner } from './bannerAnalyzer';
+import { runRejectRule } from './autoReject';
+
+const MESSAGE_TYPE = 'SOD_CMP_STATE';
+const QUERY_TYPE = 'SOD_CMP_QUERY';
+// Banners are injected after load; the DOM is checked again at these delays
+const BANNER_CHECK_DELAYS = [0, 1500, 4000, 10000];
+// Framework events arrive in bursts (tcloaded, then useractioncomplete)
+const REPORT_DEBOUNCE = 500;
+// How long an automatic rejection has to show up in the CMP's state
+const VERIFY_TIMEOUT = 5000;
+const VERIFY_POLL_INTERVAL = 250;
+const QUERY_TIMEOUT = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const passesCheck = (check, value) =>
+  'equals' in check ? value === check.equals : !new RegExp(check.notMatches).test(String(value));
+
+// Recognizes the consent platform of a page from its banner and from the
+// IAB APIs (through cmpBridge.js in the page world) and reports the consent
+// state to the background, which keeps it on the site record
+export class ConsentDetector {
+  constructor(domain) {
+    this.domain = domain;
+    this.cmp = null;
+    this.bannerVisible = false;
+    // Dark patterns of the banner as first shown, by flag id; null until
+    // a visible banner was analyzed. Once the user touched the banner its
+    // switches are their choices, so it is not analyzed after that.
+    this.darkPatterns = null;
+    this.bannerElement = null;
+    this.bannerTouched = false;
+    this.choiceMade = false;
+    this.frameworks = {};
+    this.frameworkUpdatedAt = {};
+    this.autoRejectStarted = false;
+    this.pendingQueries = new Map();
+    this.lastReport = null;
+    this.reportTimer = null;
+  }
+
+  start() {
+    window.addEventListener('message', (event) => {
+      if (event.source !== window || !event.data || event.data.type !== MESSAGE_TYPE) return;
+
+      const { framework, data } = event.data;
+      if (framework === 'globals' && data && this.pendingQueries.has(data.id)) {
+        this.pendingQueries.get(data.id)(data.values || {});
+        this.pendingQueries.delete(data.id);
+        return;
+      }
+      if (!['tcf', 'gpp', 'usp'].includes(framework) || !data) return;
+
+      this.frameworks[framework] = data;
+      this.frameworkUpdatedAt[framework] = Date.now();
+      if (framework === 'tcf' && data.event_status === 'useractioncomplete') {
+        this.choiceMade = true;
+      }
+      this.scheduleReport();
+    });
+
+    ['pointerdown', 'keydown'].forEach(type => {
+      document.addEventListener(type, (event) => this.onUserInput(event), true);
+    });
+
+    BANNER_CHECK_DELAYS.forEach(delay => {
+      setTimeout(() => {
+        this.detectBanner();
+        this.scheduleReport();
+      }, delay);
+    });
+  }
+
+  detectBanner() {
+    const match = CMP_SIGNATURES
+      .map(signature => ({ signature, element: document.querySelector(signature.selector) }))
+      .find(({ element }) => element);
+
+    if (match) {
+      this.cmp = { id: match.signature.id, name: match.signature.name };
+    }
+
+    const wasVisible = this.bannerVisible;
+    this.bannerVisible = !!match && this.isVisible(match.element);
+    // A banner that went away was answered
+    if (wasVisible && !this.bannerVisible) {
+      this.choiceMade = true;
+    }
+
+    if (this.bannerVisible && !this.choiceMade) {
+      this.bannerElement = match.element;
+      if (this.darkPatterns === null && !this.bannerTouched) {
+        this.recordDarkPatterns(match.element);
+      }
+
+      if (!this.autoRejectStarted) {
+        this.autoReject();
+      }
+    }
+  }
+
+  // Answers the banner with the rule for its CMP. The background only hands
+  // out a rule when the user turned automatic rejection on for this site.
+  async autoReject() {
+    this.autoRejectStarted = true;
+
+    let rule = null;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getAutoRejectRule',
+        domain: this.domain,
+        cmp: this.cmp.id
+      });
+      rule = response && response.success ? response.data : null;
+    } catch (error) {
+      console.error('Failed to load auto-reject rule:', error);
+    }
+    if (!rule) return;
+
+    const startedAt = Date.now();
+    let result;
+    try {
+      await runRejectRule(rule);
+      result = await this.verifyRejection(rule, startedAt);
+    } catch (error) {
+      result = { outcome: 'failed', verified_by: null, detail: error.message };
+    }
+
+    chrome.runtime.sendMessage({
+      action: 'reportAutoReject',
+      domain: this.domain,
+      result: { cmp: this.cmp, rule_version: rule.version, ...result }
+    }).catch(error => {
+      console.error('Failed to report auto-reject result:', error);
+    });
+  }
+
+  // Clicking isn't proof: the choice has to show in the CMP's own state,
+  // the TCF purpose consents or the globals the rule names
+  async verifyRejection(rule, startedAt) {
+    const verify = rule.verify || {};
+    const waitForTcf = verify.tcf && !!this.frameworks.tcf;
+    const tcfAnswered = () =>
+      this.frameworkUpdatedAt.tcf > startedAt && this.frameworks.tcf.event_status === 'useractioncomplete';
+
+    const deadline = Date.now() + VERIFY_TIMEOUT;
+    while (Date.now() < deadline && !tcfAnswered()) {
+      this.detectBanner();
+      if (!this.bannerVisible && !waitForTcf) break;
+      await sleep(VERIFY_POLL_INTERVAL);
+    }
+
+    if (tcfAnswered()) {
+      const { purposes_accepted, special_features } = this.frameworks.tcf;
+      const accepted = purposes_accepted.length + special_features.length;
+      return accepted > 0
+        ? { outcome: 'failed', verified_by: 'tcf', detail: `TCF still records consent to ${accepted} purposes or features` }
+        : { outcome: 'rejected', verified_by: 'tcf', detail: '' };
+    }
+
+    const checks = verify.globals || [];
+    if (checks.length > 0) {
+      const values = await this.queryGlobals(checks.map(check => check.path));
+      const answered = checks.filter(check => values[check.path] !== null && values[check.path] !== undefined);
+
+      if (answered.length > 0) {
+        const failed = answered.find(check => !passesCheck(check, values[check.path]));
+        return failed
+          ? { outcome: 'failed', verified_by: 'cmp_api', detail: `${failed.path} is ${values[failed.path]}` }
+          : { outcome: 'rejected', verified_by: 'cmp_api', detail: '' };
+      }
+    }
+
+    this.detectBanner();
+    return this.bannerVisible
+      ? { outcome: 'failed', verified_by: null, detail: 'The banner is still shown' }
+      : { outcome: 'unverified', verified_by: null, detail: 'The banner closed, but the site has no consent API to confirm the choice' };
+  }
+
+  // Page globals read by cmpBridge.js; unanswered paths come back empty
+  queryGlobals(paths) {
+    const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+    return new Promise(resolve => {
+      this.pendingQueries.set(id, resolve);
+      window.postMessage({ type: QUERY_TYPE, id, paths }, window.location.origin);
+
+      setTimeout(() => {
+        if (this.pendingQueries.delete(id)) resolve({});
+      }, QUERY_TIMEOUT);
+    });
+  }
+
+  // Flags are kept once seen: toggling a purpose off later doesn't make
+  // it any less pre-ticked
+  onUserInput(event) {
+    if (event.isTrusted && this.bannerElement && event.composedPath().includes(this.bannerElement)) {
+      this.bannerTouched = true;
+    }
+  }
+
+  recordDarkPatterns(banner) {
+    this.darkPatterns = {};
+
+    try {
+      analyzeBanner(banner, this.frameworks.tcf || null).forEach(flag => {
+        this.darkPatterns[flag.id] = flag;
+      });
+    } catch (error) {
+      console.error('Failed to analyze consent banner:', error);
+    }
+  }
+
+  // Banner roots with fixed-position children have no box of their own
+  isVisible(element) {
+    return [element, ...element.children].some(candidate => {
+      const rect = candidate.getBoundingClientRect();
+      const style = window.getComputedStyle(candidate);
+      return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    });
+  }
+
+  getState() {
+    if (!this.cmp && Object.keys(this.frameworks).length === 0) return null;
+
+    return {
+      cmp: this.cmp,
+      banner_visible: this.bannerVisible,
+      choice_made: this.choiceMade,
+      tcf: this.frameworks.tcf || null,
+      gpp: this.frameworks.gpp || null,
+      usp: this.frameworks.usp || null,
+      dark_patterns: this.darkPatterns ? Object.values(this.darkPatterns) : null
+    };
+  }
+
+  scheduleReport() {
+    clearTimeout(this.reportTimer);
+    this.reportTimer = setTimeout(() => this.report(), REPORT_DEBOUNCE);
+  }
+
+  // Only changes are sent; the banner is usually gone once a choice was made
+  report() {
+    this.detectBanner();
+    const consent = this.getState();
+    if (!consent) return;
+
+    const signature = JSON.stringify(consent);
+    if (signature === this.lastReport) return;
+    this.lastReport = signature;
+
+    chrome.runtime.sendMessage({
+      action: 'reportConsentState',
+      domain: this.domain,
+      consent
+    }).catch(error => {
+      console.error('Failed to report consent state:', error);
+    });
+  }
+}
@@ -1,38 +1,206 @@
 // src/content/content.js
 
+import { getPolicyPatterns } from './policyPatterns';
+import { POLICY_TYPES, POLICY_LINK_RELATIONS } from '../utils/dataModels';
+import { querySelectorAllDeep, closestDeep, getShadowRoots } from './domUtils';
+import { ConsentDetector } from './consentDetector';
+import { getRegistrableDomain } from '../utils/domains';
+import { ClickwrapDetector } from './clickwrapDetector';
+import { SignupWarning } from './signupWarning';
+
+// Candidates scoring below this are not reported at all
+const MIN_CANDIDATE_SCORE = 0.45;
+
+// Containers that usually hold the site-wide legal links
+const FOOTER_SELECTOR = 'footer, [role="contentinfo"], #footer, .footer, [class*="footer"]';
+const NAV_SELECTOR = 'nav, [role="navigation"]';
+const FOOTER_HOST_PATTERN = /footer/i;
+const NAV_HOST_PATTERN = /(^|-)nav/i;
+
+// A href keyword counts at the start of a path word: "tos" matches
+// /legal/tos but not /photos, "datenschutz" matches /datenschutzerklaerung
+const hasKeyword = (path, keywords) =>
+  keywords.some(keyword => {
+    let index = path.indexOf(keyword);
+    while (index !== -1) {
+      if (index === 0 || !/[\p{L}\p{N}]/u.test(path[index - 1])) return true;
+      index = path.indexOf(keyword, index + 1);
+    }
+    return false;
+  });
+
+// An added node that is, holds or sits in a footer
+const isFooterNode = (node) =>
+  node.nodeType === Node.ELEMENT_NODE && (
+    FOOTER_HOST_PATTERN.test(node.tagName) ||
+    !!closestDeep(node, FOOTER_SELECTOR, FOOTER_HOST_PATTERN) ||
+    !!node.querySelector(FOOTER_SELECTOR)
+  );
+
+// schema.org properties that point at policy documents
+const JSON_LD_POLICY_PROPERTIES = {
+  termsOfService: 'tos',
+  privacyPolicy: 'privacy',
+  hasMerchantReturnPolicy: 'refund'
+};
+
+// Re-detection after DOM changes waits for the page to settle, but never
+// longer than the max wait on pages that mutate continuously
+const REDETECT_DEBOUNCE = 1000; // 1 second
+const REDETECT_MAX_WAIT = 5000; // 5 seconds
+// Footers rendered this long after a page load or route change are not
+// waited for
+const OBSERVE_TIMEOUT = 30000; // 30 seconds
+
 // Content script to extract website data
 class WebsiteDataExtractor {
   constructor() {
     this.domain = window.location.hostname;
+    this.isTopFrame = window === window.top;
+    // Frames score links against the site shown in the tab, not their own origin
+    this.siteDomain = this.isTopFrame ? this.domain : this.getTopFrameHostname();
+    this.highlightedRoots = new Set();
+    this.lastSignature = null;
+    this.lastUrl = window.location.href;
+    this.redetectTimer = null;
+    this.observeTimer = null;
+    this.firstPendingAt = null;
+    this.language = document.documentElement.lang || '';
+    this.patterns = getPolicyPatterns(this.language);
+    // Consent banners and CMP APIs belong to the top-level page
+    this.consentDetector = this.isTopFrame ? new ConsentDetector(this.domain) : null;
+    // Agreements are recorded against the page the user signs up on
+    this.clickwrapDetector = this.isTopFrame ? new ClickwrapDetector(this) : null;
+    this.signupWarning = this.isTopFrame ? new SignupWarning(this.domain) : null;
     this.init();
   }
 
   init() {
     // Listen for messages from background script
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-      if (request.action === 'getWebsiteData') {
+      // Only the top frame answers; frames report through reportFramePolicies
+      if (request.action === 'getWebsiteData' && this.isTopFrame) {
         const websiteData = this.extractWebsiteData();
         sendResponse({ websiteData });
       }
+
+      // Same-document navigation reported by the background (pushState)
+      if (request.action === 'redetectPolicies') {
+        this.scheduleRedetection('navigation');
+      }
     });
 
     // Auto-detect TOS and Privacy Policy links
     this.detectPolicyLinks();
+
+    // Single-page apps render footers late and navigate without reloading
+    this.observePageChanges();
+
+    if (this.consentDetector) {
+      this.consentDetector.start();
+    }
+
+    if (this.clickwrapDetector) {
+      this.clickwrapDetector.start();
+    }
+
+    if (this.signupWarning) {
+      this.signupWarning.check();
+    }
+  }
+
+  // Re-detection runs on route changes and when a footer is rendered. The
+  // observer runs for a while after each page load or route change, or
+  // until every policy type was found.
+  observePageChanges() {
+    this.observer = new MutationObserver((mutations) => {
+      if (window.location.href !== this.lastUrl) {
+        this.lastUrl = window.location.href;
+        this.scheduleRedetection('navigation');
+        return;
+      }
+
+      if (mutations.some(mutation => Array.from(mutation.addedNodes).some(isFooterNode))) {
+        this.scheduleRedetection('mutation');
+      }
+    });
+    this.watchForFooter();
+
+    window.addEventListener('popstate', () => this.scheduleRedetection('navigation'));
+    window.addEventListener('hashchange', () => this.scheduleRedetection('navigation'));
+  }
+
+  watchForFooter() {
+    this.observer.observe(document.documentElement, { childList: true, subtree: true });
+    clearTimeout(this.observeTimer);
+    this.observeTimer = setTimeout(() => this.stopWatching(), OBSERVE_TIMEOUT);
+  }
+
+  stopWatching() {
+    clearTimeout(this.observeTimer);
+    this.observer.disconnect();
+  }
+
+  scheduleRedetection(reason) {
+    clearTimeout(this.redetectTimer);
+
+    // A new route renders its own footer
+    if (reason === 'navigation' && this.observer) {
+      this.watchForFooter();
+    }
+
+    if (!this.firstPendingAt) {
+      this.firstPendingAt = Date.now();
+    }
+
+    const waited = Date.now() - this.firstPendingAt;
+    const delay = waited >= REDETECT_MAX_WAIT ? 0 : REDETECT_DEBOUNCE;
+
+    this.redetectTimer = setTimeout(() => {
+      this.firstPendingAt = null;
+      this.lastUrl = window.location.href;
+      const policyDocuments = this.detectPolicyLinks();
+      const foundTypes = new Set(policyDocuments.map(policyDocument => policyDocument.type));
+      const allFound = Object.keys(POLICY_TYPES)
+        .filter(type => this.patterns[type])
+        .every(type => foundTypes.has(type));
+      if (this.observer && allFound) {
+        this.stopWatching();
+      }
+      // Sign-up forms of single-page apps appear after the first check
+      if (this.signupWarning) {
+        this.signupWarning.check();
+      }
+    }, delay);
   }
 
   extractWebsiteData() {
+    const policyDocuments = this.findPolicyDocuments();
     const data = {
       domain: this.domain,
       name: this.getWebsiteName(),
       favicon_url: this.getFaviconUrl(),
-      tos_url: this.findTOSLink(),
-      privacy_policy_url: this.findPrivacyPolicyLink(),
+      tos_url: this.getDocumentUrl(policyDocuments, 'tos'),
+      privacy_policy_url: this.getDocumentUrl(policyDocuments, 'privacy'),
+      policy_documents: policyDocuments,
       is_active: true
     };
 
     return data;
   }
 
+  getTopFrameHostname() {
+    const ancestors = window.location.ancestorOrigins;
+    if (ancestors && ancestors.length > 0) {
+      try {
+        return new URL(ancestors[ancestors.length - 1]).hostname;
+      } catch (error) {
+        // Opaque origins fall through to the frame's own hostname
+      }
+    }
+    return this.domain;
+  }
+
   getWebsiteName() {
     // Try multiple methods to get website name
     const title = document.title;
@@ -54,67 +222,254 @@ class WebsiteDataExtractor {
     return `${window.location.protocol}//${this.domain}/favicon.ico`;
   }
 
-  findTOSLink() {
-    const selectors = [
-      'a[href*="terms"]',
-      'a[href*="tos"]',
-      'a[href*="conditions"]',
-      'a[href*="service"]'
-    ];
-
-    const textPatterns = [
-      /terms\s+of\s+(service|use)/i,
-      /terms\s+&\s+conditions/i,
-      /user\s+agreement/i,
-      /^terms$/i,
-      /^tos$/i
-    ];
-
-    return this.findPolicyLink(selectors, textPatterns);
-  }
-
-  findPrivacyPolicyLink() {
-    const selectors = [
-      'a[href*="privacy"]',
-      'a[href*="policy"]'
-    ];
-
-    const textPatterns = [
-      /privacy\s+policy/i,
-      /privacy\s+notice/i,
-      /data\s+policy/i,
-      /^privacy$/i
-    ];
-
-    return this.findPolicyLink(selectors, textPatterns);
-  }
-
-  findPolicyLink(selectors, textPatterns) {
-    // Try CSS selectors first
-    for (const selector of selectors) {
-      const links = document.querySelectorAll(selector);
-      for (const link of links) {
-        if (this.isValidPolicyLink(link, textPatterns)) {
-          return this.normalizeUrl(link.href);
+  // Detect every known policy type, in POLICY_TYPES order. Declared
+  // (machine-readable) documents win over scored links.
+  findPolicyDocuments() {
+    const declared = this.findDeclaredPolicyDocuments();
+    const links = this.collectLinks();
+
+    return Object.keys(POLICY_TYPES)
+      .filter(type => this.patterns[type])
+      .map(type =>
+        declared.find(policyDocument => policyDocument.type === type) ||
+        { type, ...this.findPolicyLink(type, links), method: 'link_scoring' }
+      )
+      .filter(policyDocument => policyDocument.url);
+  }
+
+  // rel="privacy-policy" / rel="terms-of-service" links and schema.org JSON-LD
+  findDeclaredPolicyDocuments() {
+    const documents = [];
+    const add = (type, url, method) => {
+      if (!this.isHttpUrl(url) || documents.some(policyDocument => policyDocument.type === type)) {
+        return;
+      }
+      documents.push({ type, url: this.normalizeUrl(url), confidence: 1, method });
+    };
+
+    querySelectorAllDeep('link[rel], a[rel]').forEach(element => {
+      element.getAttribute('rel').toLowerCase().split(/\s+/).forEach(rel => {
+        if (POLICY_LINK_RELATIONS[rel]) {
+          add(POLICY_LINK_RELATIONS[rel], element.href, 'rel_link');
         }
+      });
+    });
+
+    this.getJsonLdPolicyLinks().forEach(({ type, url }) => add(type, url, 'json_ld'));
+
+    return documents;
+  }
+
+  getJsonLdPolicyLinks() {
+    const links = [];
+    const visit = (node, depth) => {
+      if (!node || typeof node !== 'object' || depth > 8) return;
+
+      if (Array.isArray(node)) {
+        node.forEach(item => visit(item, depth + 1));
+        return;
       }
+
+      Object.entries(JSON_LD_POLICY_PROPERTIES).forEach(([property, type]) => {
+        if (node[property]) {
+          this.getJsonLdUrls(node[property]).forEach(url => links.push({ type, url }));
+        }
+      });
+
+      Object.values(node).forEach(value => visit(value, depth + 1));
+    };
+
+    document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+      try {
+        visit(JSON.parse(script.textContent), 0);
+      } catch (error) {
+        // Malformed JSON-LD is common; skip the block
+      }
+    });
+
+    return links;
+  }
+
+  getJsonLdUrls(value) {
+    if (typeof value === 'string') return [value];
+    if (Array.isArray(value)) return value.flatMap(item => this.getJsonLdUrls(item));
+
+    if (value && typeof value === 'object') {
+      const url = value.url || value.merchantReturnLink || value['@id'];
+      return typeof url === 'string' ? [url] : [];
+    }
+
+    return [];
+  }
+
+  isHttpUrl(url) {
+    try {
+      return /^https?:$/.test(new URL(url, window.location.href).protocol);
+    } catch (error) {
+      return false;
     }
+  }
+
+  getDocumentUrl(policyDocuments, type) {
+    const match = policyDocuments.find(policyDocument => policyDocument.type === type);
+    return match ? match.url : '';
+  }
+
+  // Gather every http(s) link once so each policy type scores the same set
+  collectLinks() {
+    const frequency = {};
+    const links = querySelectorAllDeep('a[href]')
+      .filter(link => /^https?:/i.test(link.href))
+      .map(link => {
+        const url = this.normalizeUrl(link.href);
+        const key = url.split('#')[0];
+        frequency[key] = (frequency[key] || 0) + 1;
+
+        return {
+          element: link,
+          url,
+          key,
+          text: link.textContent.trim().toLowerCase(),
+          href: this.decodeHref(link.href)
+        };
+      });
 
-    // Fallback: search all links by text content
-    const allLinks = document.querySelectorAll('a[href]');
-    for (const link of allLinks) {
-      if (this.isValidPolicyLink(link, textPatterns)) {
-        return this.normalizeUrl(link.href);
+    links.forEach(link => {
+      link.frequency = frequency[link.key];
+    });
+
+    return links;
+  }
+
+  // Return the best scoring candidate as { url, confidence }, or {} if none
+  findPolicyLink(type, links = this.collectLinks()) {
+    let best = null;
+
+    for (const link of links) {
+      const score = this.scorePolicyCandidate(link, type);
+      if (!best || score > best.score) {
+        best = { link, score };
       }
     }
 
-    return '';
+    if (!best || best.score < MIN_CANDIDATE_SCORE) {
+      return {};
+    }
+
+    return {
+      url: best.link.url,
+      confidence: Math.round(Math.min(best.score, 1) * 100) / 100
+    };
+  }
+
+  // Policy type of a single link, scored on its own (no footer or
+  // frequency context), or null
+  classifyPolicyLink(anchor) {
+    if (!/^https?:/i.test(anchor.href)) return null;
+
+    const url = this.normalizeUrl(anchor.href);
+    const link = {
+      element: anchor,
+      url,
+      key: url.split('#')[0],
+      text: anchor.textContent.trim().toLowerCase(),
+      href: this.decodeHref(anchor.href),
+      frequency: 1
+    };
+
+    const best = Object.keys(this.patterns)
+      .map(type => ({ type, score: this.scorePolicyCandidate(link, type) }))
+      .sort((a, b) => b.score - a.score)[0];
+
+    return best && best.score >= MIN_CANDIDATE_SCORE ? best.type : null;
+  }
+
+  scorePolicyCandidate(link, type) {
+    const { href: keywords, text: patterns } = this.patterns[type];
+    const textMatch = patterns.some(pattern => pattern.test(link.text));
+    const hrefMatch = patterns.some(pattern => pattern.test(link.href));
+
+    let url;
+    try {
+      url = new URL(link.url);
+    } catch (error) {
+      return 0;
+    }
+
+    const path = this.decodePath(url.pathname);
+    const keywordInPath = hasKeyword(path, keywords);
+
+    if (!textMatch && !hrefMatch && !keywordInPath) {
+      return 0;
+    }
+
+    let score = 0;
+
+    // Text match strength: short, dedicated link texts are the strongest signal
+    if (textMatch) {
+      score += 0.4;
+      if (link.text.length <= 40) score += 0.1;
+    } else if (hrefMatch) {
+      score += 0.2;
+    }
+
+    // Href shape: keyword in the path, best of all as the last segment
+    if (keywordInPath) {
+      score += 0.1;
+      const lastSegment = path.split('/').filter(Boolean).pop() || '';
+      if (hasKeyword(lastSegment, keywords)) score += 0.05;
+    }
+
+    // Position: legal links live in the footer, sometimes in the navigation
+    if (closestDeep(link.element, FOOTER_SELECTOR, FOOTER_HOST_PATTERN)) {
+      score += 0.15;
+    } else if (closestDeep(link.element, NAV_SELECTOR, NAV_HOST_PATTERN)) {
+      score += 0.05;
+    }
+
+    // Origin: the site's own documents beat links to other sites
+    score += this.isSameSite(url.hostname) ? 0.1 : -0.05;
+
+    // Frequency: the same document linked from several places
+    score += Math.min(0.1, (link.frequency - 1) * 0.05);
+
+    // "Return policy" must not win the privacy slot through a*="policy"
+    if (!textMatch && this.matchesOtherType(link.text, type)) {
+      score -= 0.3;
+    }
+
+    return score;
+  }
+
+  matchesOtherType(text, type) {
+    return Object.entries(this.patterns).some(([otherType, { text: patterns }]) =>
+      otherType !== type && patterns.some(pattern => pattern.test(text))
+    );
+  }
+
+  isSameSite(hostname) {
+    return getRegistrableDomain(hostname) === getRegistrableDomain(this.siteDomain);
+  }
+
+  decodePath(pathname) {
+    try {
+      return decodeURIComponent(pathname).toLowerCase();
+    } catch (error) {
+      return pathname.toLowerCase();
+    }
+  }
+
+  decodeHref(href) {
+    try {
+      return decodeURI(href).toLowerCase();
+    } catch (error) {
+      return href.toLowerCase();
+    }
   }
 
-  isValidPolicyLink(link, patterns) {
+  isValidPolicyLink(link, href, patterns) {
     const text = link.textContent.trim().toLowerCase();
-    const href = link.href.toLowerCase();
-    
+
     // Check if text matches patterns
     for (const pattern of patterns) {
       if (pattern.test(text) || pattern.test(href)) {
@@ -134,30 +489,95 @@ class WebsiteDataExtractor {
     }
   }
 
+  // Reports the policy documents of the page when they changed, and returns
+  // them
   detectPolicyLinks() {
-    // Create a visual indicator when TOS/Privacy links are detected
-    const tosLink = this.findTOSLink();
-    const privacyLink = this.findPrivacyPolicyLink();
-    const hasPolicy = tosLink || privacyLink;
-    
-    if (hasPolicy) {
-      console.log('Policy links detected:', { tosLink, privacyLink });
-      
-      // Notify background script about policy detection
+    const websiteData = this.extractWebsiteData();
+    const policyDocuments = websiteData.policy_documents;
+    const hasPolicy = policyDocuments.length > 0;
+
+    // Only report when the set of documents changed since the last run
+    const signature = JSON.stringify(
+      policyDocuments.map(({ type, url }) => [type, url])
+    );
+    if (signature === this.lastSignature) return policyDocuments;
+
+    const isUpdate = this.lastSignature !== null;
+    this.lastSignature = signature;
+
+    if (!hasPolicy && !isUpdate) return policyDocuments;
+
+    if (!this.isTopFrame) {
+      this.reportFramePolicies(policyDocuments);
+    } else {
+      // Notify background script about policy detection; a route that no
+      // longer shows any is reported too, so stale links are dropped
       chrome.runtime.sendMessage({
         action: 'detectPolicy',
         domain: this.domain,
-        hasPolicy: true,
-        tosUrl: tosLink,
-        privacyUrl: privacyLink
+        hasPolicy,
+        tosUrl: websiteData.tos_url,
+        privacyUrl: websiteData.privacy_policy_url,
+        policyDocuments,
+        websiteData,
+        isUpdate
       });
-      
-      // Optionally add visual indicators
+    }
+
+    // Optionally add visual indicators
+    if (hasPolicy) {
       this.highlightPolicyLinks();
     }
+
+    return policyDocuments;
+  }
+
+  // Frames (footer widgets, consent iframes) hand their findings to the
+  // background, which merges them into the tab's answer
+  reportFramePolicies(policyDocuments) {
+    chrome.runtime.sendMessage({
+      action: 'reportFramePolicies',
+      frameUrl: window.location.href,
+      policyDocuments
+    }).catch(error => {
+      console.error('Failed to report frame policies:', error);
+    });
   }
 
   highlightPolicyLinks() {
+    [document, ...getShadowRoots()].forEach(root => this.injectHighlightStyle(root));
+
+    // Hrefs are decoded so non-Latin keywords and patterns can match
+    const links = querySelectorAllDeep('a[href]').map(element => {
+      const href = this.decodeHref(element.href);
+      let path = '';
+      try {
+        path = this.decodePath(new URL(element.href).pathname);
+      } catch (error) {
+        // Not a URL; only the text can match, and the keyword check fails
+      }
+      return { element, href, path };
+    });
+
+    // Find and highlight links for every policy type
+    Object.entries(POLICY_TYPES).forEach(([type, label]) => {
+      if (!this.patterns[type]) return;
+
+      const { href: keywords, text } = this.patterns[type];
+      links.forEach(({ element, path, href }) => {
+        if (hasKeyword(path, keywords) && this.isValidPolicyLink(element, href, text)) {
+          element.classList.add('tos-privacy-detected');
+          element.title = `${label} detected by SOD`;
+        }
+      });
+    });
+  }
+
+  // Document styles do not reach into shadow roots, so each root gets a copy
+  injectHighlightStyle(root) {
+    if (this.highlightedRoots.has(root)) return;
+    this.highlightedRoots.add(root);
+
     const style = document.createElement('style');
     style.textContent = `
       .tos-privacy-detected {
@@ -182,29 +602,7 @@ class WebsiteDataExtractor {
         z-index: 10000;
       }
     `;
-    document.head.appendChild(style);
-
-    // Find and highlight TOS links
-    const tosSelectors = ['a[href*="terms"]', 'a[href*="tos"]'];
-    tosSelectors.forEach(selector => {
-      document.querySelectorAll(selector).forEach(link => {
-        if (this.isValidPolicyLink(link, [/terms\s+of\s+(service|use)/i, /terms\s+&\s+conditions/i, /user\s+agreement/i, /^terms$/i, /^tos$/i])) {
-          link.classList.add('tos-privacy-detected');
-          link.title = 'Terms of Service detected by SOD';
-        }
-      });
-    });
-
-    // Find and highlight Privacy links
-    const privacySelectors = ['a[href*="privacy"]'];
-    privacySelectors.forEach(selector => {
-      document.querySelectorAll(selector).forEach(link => {
-        if (this.isValidPolicyLink(link, [/privacy\s+policy/i, /privacy\s+notice/i, /data\s+policy/i, /^privacy$/i])) {
-          link.classList.add('tos-privacy-detected');
-          link.title = 'Privacy Policy detected by SOD';
-        }
-      });
-    });
+    (root === document ? document.head : root).appendChild(style);
   }
 }
 
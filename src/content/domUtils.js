@@ -0,0 +1,58 @@
+// src/content/domUtils.js
+
+// DOM helpers that see through open shadow roots.
+// Closed shadow roots are not reachable from content scripts.
+
+// Collect every open shadow root below `root`, including nested ones
+export const getShadowRoots = (root = document) => {
+  const shadowRoots = [];
+  const pending = [root];
+
+  while (pending.length > 0) {
+    const current = pending.pop();
+    const walker = document.createTreeWalker(current, NodeFilter.SHOW_ELEMENT);
+    let node = walker.nextNode();
+
+    while (node) {
+      if (node.shadowRoot) {
+        shadowRoots.push(node.shadowRoot);
+        pending.push(node.shadowRoot);
+      }
+      node = walker.nextNode();
+    }
+  }
+
+  return shadowRoots;
+};
+
+// querySelectorAll across the document and all open shadow roots
+export const querySelectorAllDeep = (selector, root = document) => {
+  const results = Array.from(root.querySelectorAll(selector));
+
+  getShadowRoots(root).forEach(shadowRoot => {
+    results.push(...shadowRoot.querySelectorAll(selector));
+  });
+
+  return results;
+};
+
+// closest() that continues from a shadow root to its host element.
+// Custom element hosts such as <site-footer> match on their tag name.
+export const closestDeep = (element, selector, hostTagPattern = null) => {
+  let current = element;
+
+  while (current) {
+    const match = current.closest(selector);
+    if (match) return match;
+
+    const root = current.getRootNode();
+    if (!(root instanceof ShadowRoot)) return null;
+
+    current = root.host;
+    if (hostTagPattern && hostTagPattern.test(current.tagName)) {
+      return current;
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,18 @@
+// src/content/gpcSignal.js
+
+// Runs in the page's MAIN world at document_start so page scripts see the
+// Global Privacy Control signal the extension sends as the Sec-GPC header.
+// Registered by the background script only for sites where GPC is enabled.
+(() => {
+  if (navigator.globalPrivacyControl === true) return;
+
+  try {
+    Object.defineProperty(Navigator.prototype, 'globalPrivacyControl', {
+      get: () => true,
+      configurable: true,
+      enumerable: true
+    });
+  } catch (error) {
+    // A page or another extension locked the property; nothing to do
+  }
+})();
@@ -0,0 +1,416 @@
+// src/content/policyPatterns.js
+
+// Locale-aware dictionaries used to recognise policy links.
+// `text` patterns are tested against the link text (and decoded href), `href`
+// keywords are matched at the start of a word of the decoded link path.
+export const POLICY_PATTERNS = {
+  en: {
+    tos: {
+      text: [
+        /terms\s+of\s+(service|use)/i,
+        /terms\s+&\s+conditions/i,
+        /terms\s+and\s+conditions/i,
+        /user\s+agreement/i,
+        /^terms$/i,
+        /^tos$/i
+      ],
+      href: ['terms', 'tos', 'conditions']
+    },
+    privacy: {
+      text: [
+        /privacy\s+policy/i,
+        /privacy\s+notice/i,
+        /privacy\s+statement/i,
+        /data\s+policy/i,
+        /^privacy$/i
+      ],
+      href: ['privacy', 'policy']
+    },
+    cookie: {
+      text: [
+        /cookie\s+(policy|notice|statement)/i,
+        /use\s+of\s+cookies/i,
+        /^cookies$/i
+      ],
+      href: ['cookie']
+    },
+    eula: {
+      text: [
+        /end[\s-]+user\s+licen[cs]e(\s+agreement)?/i,
+        /software\s+licen[cs]e\s+agreement/i,
+        /^eula$/i
+      ],
+      href: ['eula', 'license']
+    },
+    aup: {
+      text: [
+        /acceptable\s+use(\s+policy)?/i,
+        /^aup$/i
+      ],
+      href: ['acceptable-use', 'aup']
+    },
+    refund: {
+      text: [
+        /(refund|return|returns|cancellation)\s+polic(y|ies)/i,
+        /returns?\s+(&|and)\s+refunds?/i,
+        /^returns$/i
+      ],
+      href: ['refund', 'return']
+    },
+    dpa: {
+      text: [
+        /data\s+processing\s+(addendum|agreement|terms)/i,
+        /^dpa$/i
+      ],
+      href: ['dpa', 'data-processing']
+    },
+    community: {
+      text: [
+        /community\s+(guidelines|standards|rules)/i,
+        /code\s+of\s+conduct/i,
+        /house\s+rules/i
+      ],
+      href: ['community', 'guidelines', 'conduct']
+    },
+    do_not_sell: {
+      text: [
+        /do\s+not\s+sell(\s+or\s+share)?/i,
+        /your\s+privacy\s+choices/i,
+        /opt[\s-]out\s+of\s+(the\s+)?(sale|sharing)/i
+      ],
+      href: ['do-not-sell', 'donotsell', 'privacy-choices', 'opt-out']
+    }
+  },
+  de: {
+    tos: {
+      text: [
+        /nutzungsbedingungen/i,
+        /allgemeine\s+gesch(ä|ae)ftsbedingungen/i,
+        /^agb$/i
+      ],
+      href: ['agb', 'nutzungsbedingungen', 'bedingungen']
+    },
+    privacy: {
+      text: [
+        /datenschutzerkl(ä|ae)rung/i,
+        /datenschutzhinweise/i,
+        /datenschutzrichtlinie/i,
+        /^datenschutz$/i
+      ],
+      href: ['datenschutz']
+    },
+    cookie: {
+      text: [/cookie[-\s]?richtlinie/i, /cookie[-\s]?hinweise/i],
+      href: ['cookie']
+    },
+    eula: {
+      text: [/endbenutzer[-\s]?lizenzvertrag/i],
+      href: ['lizenz']
+    },
+    aup: {
+      text: [/richtlinie\s+zur\s+zul(ä|ae)ssigen\s+nutzung/i],
+      href: ['zulaessige-nutzung']
+    },
+    refund: {
+      text: [/widerrufsbelehrung/i, /r(ü|ue)ckgabe(bedingungen|richtlinie)?/i],
+      href: ['widerruf', 'rueckgabe']
+    },
+    dpa: {
+      text: [/auftragsverarbeitung/i, /^avv$/i],
+      href: ['auftragsverarbeitung', 'avv']
+    },
+    community: {
+      text: [/community[-\s]richtlinien/i, /gemeinschaftsstandards/i],
+      href: ['richtlinien']
+    }
+  },
+  fr: {
+    tos: {
+      text: [
+        /conditions\s+g(é|e)n(é|e)rales/i,
+        /conditions\s+d['’]utilisation/i,
+        /^cgu$/i,
+        /^cgv$/i
+      ],
+      href: ['conditions', 'cgu', 'cgv']
+    },
+    privacy: {
+      text: [
+        /politique\s+de\s+confidentialit(é|e)/i,
+        /protection\s+des\s+donn(é|e)es/i,
+        /donn(é|e)es\s+personnelles/i,
+        /^confidentialit(é|e)$/i
+      ],
+      href: ['confidentialite', 'donnees-personnelles']
+    },
+    cookie: {
+      text: [/politique\s+(relative\s+aux|de|des)\s+cookies/i, /gestion\s+des\s+cookies/i],
+      href: ['cookie']
+    },
+    eula: {
+      text: [/contrat\s+de\s+licence\s+(utilisateur\s+final|d['’]utilisation)/i, /^cluf$/i],
+      href: ['licence']
+    },
+    refund: {
+      text: [/politique\s+de\s+(retour|remboursement)/i, /retours?\s+et\s+remboursements?/i],
+      href: ['retour', 'remboursement']
+    },
+    dpa: {
+      text: [/accord\s+(relatif\s+au|de)\s+traitement\s+des\s+donn(é|e)es/i],
+      href: ['traitement-des-donnees']
+    },
+    community: {
+      text: [/r(è|e)gles\s+de\s+la\s+communaut(é|e)/i, /charte\s+de\s+la\s+communaut(é|e)/i],
+      href: ['communaute']
+    }
+  },
+  es: {
+    tos: {
+      text: [
+        /t(é|e)rminos\s+y\s+condiciones/i,
+        /t(é|e)rminos\s+de\s+(uso|servicio)/i,
+        /condiciones\s+(de\s+uso|generales)/i
+      ],
+      href: ['terminos', 'condiciones']
+    },
+    privacy: {
+      text: [
+        /pol(í|i)tica\s+de\s+privacidad/i,
+        /aviso\s+de\s+privacidad/i,
+        /^privacidad$/i
+      ],
+      href: ['privacidad']
+    },
+    cookie: {
+      text: [/pol(í|i)tica\s+de\s+cookies/i],
+      href: ['cookie']
+    },
+    refund: {
+      text: [/pol(í|i)tica\s+de\s+(devoluci(ó|o)n|devoluciones|reembolsos?)/i],
+      href: ['devolucion', 'reembolso']
+    },
+    dpa: {
+      text: [/acuerdo\s+de\s+tratamiento\s+de\s+datos/i],
+      href: ['tratamiento-de-datos']
+    },
+    community: {
+      text: [/normas\s+de\s+(la\s+)?comunidad/i],
+      href: ['comunidad']
+    }
+  },
+  pt: {
+    tos: {
+      text: [
+        /termos\s+de\s+(uso|servi(ç|c)o)/i,
+        /termos\s+e\s+condi(ç|c)(õ|o)es/i,
+        /condi(ç|c)(õ|o)es\s+de\s+uso/i
+      ],
+      href: ['termos', 'condicoes']
+    },
+    privacy: {
+      text: [
+        /pol(í|i)tica\s+de\s+privacidade/i,
+        /aviso\s+de\s+privacidade/i,
+        /^privacidade$/i
+      ],
+      href: ['privacidade']
+    },
+    cookie: {
+      text: [/pol(í|i)tica\s+de\s+cookies/i],
+      href: ['cookie']
+    },
+    refund: {
+      text: [/pol(í|i)tica\s+de\s+(devolu(ç|c)(ã|a)o|reembolso|trocas?)/i, /trocas\s+e\s+devolu(ç|c)(õ|o)es/i],
+      href: ['devolucao', 'reembolso', 'trocas']
+    },
+    community: {
+      text: [/diretrizes\s+da\s+comunidade/i],
+      href: ['comunidade']
+    }
+  },
+  it: {
+    tos: {
+      text: [
+        /termini\s+e\s+condizioni/i,
+        /termini\s+di\s+(uso|servizio)/i,
+        /condizioni\s+(d['’]uso|generali)/i
+      ],
+      href: ['termini', 'condizioni']
+    },
+    privacy: {
+      text: [
+        /informativa\s+(sulla\s+)?privacy/i,
+        /informativa\s+sul\s+trattamento\s+dei\s+dati/i
+      ],
+      href: ['informativa']
+    },
+    cookie: {
+      text: [/informativa\s+(sui|sull['’]uso\s+dei)\s+cookie/i],
+      href: ['cookie']
+    },
+    refund: {
+      text: [/politica\s+di\s+(reso|rimborso)/i, /resi\s+e\s+rimborsi/i],
+      href: ['resi', 'rimborso']
+    }
+  },
+  nl: {
+    tos: {
+      text: [
+        /algemene\s+voorwaarden/i,
+        /gebruiksvoorwaarden/i,
+        /^voorwaarden$/i
+      ],
+      href: ['voorwaarden']
+    },
+    privacy: {
+      text: [
+        /privacyverklaring/i,
+        /privacybeleid/i
+      ],
+      href: ['privacyverklaring', 'privacybeleid']
+    },
+    cookie: {
+      text: [/cookieverklaring/i, /cookiebeleid/i],
+      href: ['cookie']
+    },
+    refund: {
+      text: [/retourbeleid/i, /retourneren/i],
+      href: ['retour']
+    }
+  },
+  pl: {
+    tos: {
+      text: [/regulamin/i, /warunki\s+korzystania/i],
+      href: ['regulamin']
+    },
+    privacy: {
+      text: [/polityka\s+prywatno(ś|s)ci/i],
+      href: ['prywatnosci']
+    },
+    cookie: {
+      text: [/polityka\s+(plik(ó|o)w\s+)?cookies?/i],
+      href: ['cookie']
+    },
+    refund: {
+      text: [/zwroty\s+i\s+reklamacje/i, /polityka\s+zwrot(ó|o)w/i],
+      href: ['zwroty']
+    }
+  },
+  ru: {
+    tos: {
+      text: [/пользовательское\s+соглашение/i, /условия\s+использования/i],
+      href: ['agreement', 'usloviya']
+    },
+    privacy: {
+      text: [/политика\s+конфиденциальности/i, /конфиденциальность/i],
+      href: ['konfidencialnost']
+    },
+    cookie: {
+      text: [/политика\s+(использования\s+)?(файлов\s+)?cookie/i],
+      href: ['cookie']
+    },
+    refund: {
+      text: [/условия\s+возврата/i, /политика\s+возврата/i],
+      href: ['vozvrat']
+    }
+  },
+  ja: {
+    tos: {
+      text: [/利用規約/, /サービス規約/, /ご利用条件/],
+      href: ['kiyaku', 'rules']
+    },
+    privacy: {
+      text: [/プライバシーポリシー/, /個人情報保護方針/, /個人情報の取り?扱い/],
+      href: ['kojin']
+    },
+    cookie: {
+      text: [/クッキーポリシー/, /cookie\s*ポリシー/i],
+      href: ['cookie']
+    },
+    eula: {
+      text: [/使用許諾契約/],
+      href: ['eula']
+    },
+    refund: {
+      text: [/返品(・|･)?返金/, /返品ポリシー/, /返品について/],
+      href: ['henpin']
+    },
+    community: {
+      text: [/コミュニティガイドライン/],
+      href: ['guidelines']
+    }
+  },
+  zh: {
+    tos: {
+      text: [/服务条款/, /服務條款/, /用户协议/, /使用条款/, /使用條款/],
+      href: ['agreement']
+    },
+    privacy: {
+      text: [/隐私政策/, /隱私權政策/, /隱私政策/, /隐私声明/],
+      href: ['yinsi']
+    },
+    cookie: {
+      text: [/cookie\s*政策/i],
+      href: ['cookie']
+    },
+    refund: {
+      text: [/退款政策/, /退货政策/, /退貨政策/],
+      href: ['refund']
+    },
+    community: {
+      text: [/社区准则/, /社群守則/],
+      href: ['guidelines']
+    }
+  },
+  ko: {
+    tos: {
+      text: [/이용약관/, /서비스\s*약관/],
+      href: ['agreement']
+    },
+    privacy: {
+      text: [/개인정보\s*처리방침/, /개인정보\s*취급방침/],
+      href: ['privacy']
+    },
+    refund: {
+      text: [/환불\s*정책/, /교환\s*및\s*환불/],
+      href: ['refund']
+    },
+    community: {
+      text: [/커뮤니티\s*가이드라인/],
+      href: ['guidelines']
+    }
+  }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Reduce "de-DE" / "pt_BR" to the primary language subtag
+export const normalizeLanguage = (lang) => {
+  if (!lang) return '';
+  return lang.trim().toLowerCase().split(/[-_]/)[0];
+};
+
+// Build the pattern set for a page: the page language first, then every other
+// language so that mislabelled or multilingual pages are still covered.
+export const getPolicyPatterns = (lang) => {
+  const primary = normalizeLanguage(lang);
+  const order = [primary, DEFAULT_LANGUAGE, ...Object.keys(POLICY_PATTERNS)]
+    .filter((code, index, codes) => POLICY_PATTERNS[code] && codes.indexOf(code) === index);
+
+  const patterns = {};
+  order.forEach(code => {
+    Object.entries(POLICY_PATTERNS[code]).forEach(([type, dictionary]) => {
+      if (!patterns[type]) {
+        patterns[type] = { text: [], href: [] };
+      }
+      patterns[type].text.push(...dictionary.text);
+      dictionary.href.forEach(keyword => {
+        if (!patterns[type].href.includes(keyword)) {
+          patterns[type].href.push(keyword);
+        }
+      });
+    });
+  });
+
+  return patterns;
+};
@@ -0,0 +1,206 @@
+// src/content/signupWarning.js
+
+import { querySelectorAllDeep } from './domUtils';
+
+const HOST_ID = 'sod-signup-warning';
+const SIGNUP_LABEL_PATTERN = /\b(sign\s*up|create\s+(an\s+|your\s+)?account|register|join\s+(now|free|us)?|registrieren|konto\s+erstellen|s'inscrire|créer\s+un\s+compte|crear\s+cuenta|registrati)\b/i;
+const CHECKOUT_LABEL_PATTERN = /\b(place\s+(your\s+)?order|complete\s+(your\s+)?(order|purchase)|pay\s+now|checkout|buy\s+now|jetzt\s+kaufen|zahlungspflichtig\s+bestellen|commander|pagar|acquista)\b/i;
+const SUBMIT_SELECTOR = 'button, input[type="submit"], [role="button"]';
+const CARD_FIELD_SELECTOR = 'input[autocomplete^="cc-"], input[name*="card" i][name*="number" i], input[id*="card" i][id*="number" i]';
+
+const labelOf = (element) =>
+  (element.value || element.textContent || element.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+
+// 'checkout' for a form that takes a payment, 'signup' for one that
+// creates an account, null otherwise
+const formKind = (form) => {
+  if (form.querySelector(CARD_FIELD_SELECTOR)) return 'checkout';
+
+  const submitLabels = Array.from(form.querySelectorAll(SUBMIT_SELECTOR)).map(labelOf);
+  if (submitLabels.some(label => CHECKOUT_LABEL_PATTERN.test(label))) return 'checkout';
+
+  const passwords = form.querySelectorAll('input[type="password"]');
+  if (form.querySelector('input[autocomplete="new-password"]') || passwords.length > 1) return 'signup';
+
+  return passwords.length > 0 && submitLabels.some(label => SIGNUP_LABEL_PATTERN.test(label)) ? 'signup' : null;
+};
+
+const HEADINGS = {
+  signup: 'Before you sign up',
+  checkout: 'Before you place your order'
+};
+
+const PANEL_STYLE = `
+  :host {
+    all: initial;
+    position: fixed;
+    right: 16px;
+    bottom: 16px;
+    z-index: 2147483647;
+  }
+  .panel {
+    width: 320px;
+    padding: 14px 16px;
+    border-radius: 10px;
+    background: #1f2335;
+    color: #f1f3f9;
+    font: 13px/1.45 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+    box-shadow: 0 8px 24px rgba(0, 0, 0, 0.3);
+  }
+  .header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    margin-bottom: 6px;
+    font-weight: 600;
+    font-size: 14px;
+  }
+  .close {
+    border: none;
+    background: none;
+    color: inherit;
+    font-size: 18px;
+    line-height: 1;
+    cursor: pointer;
+    opacity: 0.7;
+  }
+  .close:hover {
+    opacity: 1;
+  }
+  p {
+    margin: 0 0 8px;
+  }
+  ul {
+    margin: 0 0 10px;
+    padding-left: 18px;
+  }
+  li {
+    margin-bottom: 4px;
+  }
+  .risk {
+    color: #ff8a80;
+    font-weight: 600;
+  }
+  .actions {
+    display: flex;
+    gap: 8px;
+  }
+  .actions button {
+    padding: 6px 10px;
+    border: 1px solid rgba(255, 255, 255, 0.3);
+    border-radius: 6px;
+    background: none;
+    color: inherit;
+    font: inherit;
+    cursor: pointer;
+  }
+  .actions .primary {
+    border-color: #667eea;
+    background: #667eea;
+  }
+`;
+
+const createElement = (tag, className, text) => {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text) element.textContent = text;
+  return element;
+};
+
+// Warns about high-severity clause findings when the page shows a sign-up
+// or checkout form. The panel lives in a closed shadow root so page styles
+// and scripts can't reach it, and it can't restyle the page.
+export class SignupWarning {
+  constructor(domain) {
+    this.domain = domain;
+    // Checked once per page; forms rendered later are caught by check()
+    // running again after re-detection
+    this.state = 'idle';
+    this.host = null;
+  }
+
+  async check() {
+    if (this.state !== 'idle') return;
+
+    const kinds = querySelectorAllDeep('form').map(formKind);
+    const kind = kinds.includes('checkout') ? 'checkout' : kinds.find(Boolean);
+    if (!kind) return;
+
+    this.state = 'checking';
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getSignupWarning', domain: this.domain });
+      if (response && response.success && response.data) {
+        this.show(response.data, kind);
+        this.state = 'shown';
+      } else {
+        this.state = 'done';
+      }
+    } catch (error) {
+      console.error('Failed to load signup warning:', error);
+      this.state = 'done';
+    }
+  }
+
+  show(warning, kind) {
+    this.host = document.createElement('div');
+    this.host.id = HOST_ID;
+    const root = this.host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = PANEL_STYLE;
+
+    const panel = createElement('div', 'panel');
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', 'Policy warning');
+
+    const header = createElement('div', 'header', HEADINGS[kind]);
+    const close = createElement('button', 'close', '×');
+    close.setAttribute('aria-label', 'Dismiss');
+    close.addEventListener('click', () => this.dismiss());
+    header.appendChild(close);
+
+    const intro = createElement('p');
+    intro.append(
+      'This site\'s policies contain ',
+      createElement('span', 'risk', `${warning.high_count} high-risk clause${warning.high_count === 1 ? '' : 's'}`),
+      ':'
+    );
+
+    const list = createElement('ul');
+    warning.risks.forEach(risk => {
+      const item = createElement('li');
+      item.append(createElement('strong', null, risk.label), ` — ${risk.description}`);
+      list.appendChild(item);
+    });
+    if (warning.high_count > warning.risks.length) {
+      list.appendChild(createElement('li', null, `and ${warning.high_count - warning.risks.length} more`));
+    }
+
+    const actions = createElement('div', 'actions');
+    const report = createElement('button', 'primary', 'See full analysis');
+    report.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'openReport', domain: this.domain, section: 'clauses' }).catch(error => {
+        console.error('Failed to open report:', error);
+      });
+    });
+    const mute = createElement('button', null, 'Don\'t warn on this site');
+    mute.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'disableSignupWarning', domain: this.domain }).catch(error => {
+        console.error('Failed to turn off signup warning:', error);
+      });
+      this.dismiss();
+    });
+    actions.append(report, mute);
+
+    panel.append(header, intro, list, actions);
+    root.append(style, panel);
+    document.documentElement.appendChild(this.host);
+  }
+
+  dismiss() {
+    if (this.host) {
+      this.host.remove();
+      this.host = null;
+    }
+  }
+}
@@ -0,0 +1,252 @@
+// src/diff/DiffViewer.jsx
+
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { POLICY_TYPES } from '../utils/dataModels';
+import { diffPolicyTexts } from '../utils/textDiff';
+import './diff.css';
+
+// diff.html?domain=example.com&type=tos[&from=<hash>&to=<hash>]
+// Without hashes the two latest versions are compared.
+const DiffViewer = () => {
+  const params = useMemo(() => new URLSearchParams(window.location.search), []);
+  const domain = params.get('domain') || '';
+  const type = params.get('type') || 'tos';
+
+  const [versions, setVersions] = useState([]);
+  const [fromHash, setFromHash] = useState(params.get('from') || '');
+  const [toHash, setToHash] = useState(params.get('to') || '');
+  const [texts, setTexts] = useState({ from: null, to: null });
+  const [hideNoise, setHideNoise] = useState(true);
+  const [changesOnly, setChangesOnly] = useState(false);
+  const [currentChange, setCurrentChange] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const changeRefs = useRef([]);
+
+  useEffect(() => {
+    loadVersions();
+  }, []);
+
+  useEffect(() => {
+    if (fromHash && toHash) {
+      loadTexts(fromHash, toHash);
+    }
+  }, [fromHash, toHash]);
+
+  const sendMessage = (message) => {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(response || {});
+        }
+      });
+    });
+  };
+
+  const loadVersions = async () => {
+    try {
+      const response = await sendMessage({ action: 'getSiteRecord', domain });
+      const policyVersions = response.data?.policies?.[type]?.versions || [];
+
+      if (policyVersions.length < 2) {
+        setError('Only one version of this policy has been stored so far.');
+        setLoading(false);
+        return;
+      }
+
+      setVersions(policyVersions);
+      if (!fromHash || !toHash) {
+        setFromHash(policyVersions[policyVersions.length - 2].hash);
+        setToHash(policyVersions[policyVersions.length - 1].hash);
+      }
+    } catch (err) {
+      setError('Failed to load policy versions');
+      setLoading(false);
+    }
+  };
+
+  const loadTexts = async (from, to) => {
+    setLoading(true);
+    try {
+      const [fromResponse, toResponse] = await Promise.all([
+        sendMessage({ action: 'getPolicyText', domain, policyType: type, hash: from }),
+        sendMessage({ action: 'getPolicyText', domain, policyType: type, hash: to })
+      ]);
+
+      if (!fromResponse.data || !toResponse.data) {
+        setError('The text of one of these versions is no longer stored.');
+        return;
+      }
+
+      setTexts({ from: fromResponse.data, to: toResponse.data });
+      setCurrentChange(0);
+      setError(null);
+    } catch (err) {
+      setError('Failed to load policy text');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const diff = useMemo(() => {
+    if (!texts.from || !texts.to) return null;
+    return diffPolicyTexts(texts.from.text, texts.to.text);
+  }, [texts]);
+
+  // Paragraphs to show, with the index of each visible change
+  const rows = useMemo(() => {
+    if (!diff) return [];
+
+    let changeIndex = 0;
+    return diff.paragraphs
+      .map(paragraph => {
+        const isChange = paragraph.type !== 'equal' && !(hideNoise && paragraph.noise);
+        return {
+          paragraph,
+          isChange,
+          changeIndex: isChange ? changeIndex++ : -1
+        };
+      })
+      .filter(row => row.isChange || !changesOnly);
+  }, [diff, hideNoise, changesOnly]);
+
+  const changeCount = rows.filter(row => row.isChange).length;
+
+  const goToChange = (index) => {
+    if (changeCount === 0) return;
+
+    const next = (index + changeCount) % changeCount;
+    setCurrentChange(next);
+    changeRefs.current[next]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  // n / j for the next change, p / k for the previous one
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.target.tagName === 'SELECT' || event.target.tagName === 'INPUT') return;
+      if (event.key === 'n' || event.key === 'j') goToChange(currentChange + 1);
+      if (event.key === 'p' || event.key === 'k') goToChange(currentChange - 1);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [currentChange, changeCount]);
+
+  const formatVersion = (version) => {
+    const date = new Date(version.fetched_at).toLocaleString();
+    return `${date} (${version.hash.substring(0, 8)})`;
+  };
+
+  const renderParagraph = (paragraph) => {
+    if (paragraph.type === 'changed' && !(hideNoise && paragraph.noise)) {
+      return paragraph.tokens.map((token, index) => {
+        if (token.type === 'added') return <ins key={index}>{token.text}</ins>;
+        if (token.type === 'removed') return <del key={index}>{token.text}</del>;
+        return <span key={index}>{token.text}</span>;
+      });
+    }
+    if (paragraph.type === 'added') return <ins>{paragraph.text}</ins>;
+    if (paragraph.type === 'removed') return <del>{paragraph.text}</del>;
+
+    return paragraph.text;
+  };
+
+  const policyLabel = POLICY_TYPES[type] || 'Policy';
+
+  return (
+    <div className="diff-container">
+      <header className="diff-header">
+        <h1>{policyLabel} Changes</h1>
+        <p>{domain}</p>
+      </header>
+
+      {versions.length >= 2 && (
+        <div className="diff-toolbar">
+          <label>
+            From
+            <select value={fromHash} onChange={(e) => setFromHash(e.target.value)}>
+              {versions.map(version => (
+                <option key={version.hash} value={version.hash}>{formatVersion(version)}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            To
+            <select value={toHash} onChange={(e) => setToHash(e.target.value)}>
+              {versions.map(version => (
+                <option key={version.hash} value={version.hash}>{formatVersion(version)}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="diff-option">
+            <input
+              type="checkbox"
+              checked={hideNoise}
+              onChange={(e) => setHideNoise(e.target.checked)}
+            />
+            Hide date-only changes
+            {diff?.stats.noise > 0 && ` (${diff.stats.noise})`}
+          </label>
+          <label className="diff-option">
+            <input
+              type="checkbox"
+              checked={changesOnly}
+              onChange={(e) => setChangesOnly(e.target.checked)}
+            />
+            Changes only
+          </label>
+
+          <div className="diff-navigation">
+            <button onClick={() => goToChange(currentChange - 1)} disabled={changeCount === 0}>
+              ↑ Previous
+            </button>
+            <span>
+              {changeCount > 0 ? `${currentChange + 1} / ${changeCount}` : 'No changes'}
+            </span>
+            <button onClick={() => goToChange(currentChange + 1)} disabled={changeCount === 0}>
+              ↓ Next
+            </button>
+          </div>
+        </div>
+      )}
+
+      <main className="diff-content">
+        {error && <div className="diff-error">{error}</div>}
+        {loading && !error && <div className="diff-loading">Loading...</div>}
+
+        {!loading && !error && diff && (
+          <>
+            <div className="diff-summary">
+              {diff.stats.changed} changed, {diff.stats.added} added, {diff.stats.removed} removed
+              paragraphs
+              {texts.to.url && (
+                <a href={texts.to.url} target="_blank" rel="noopener noreferrer">
+                  View current policy
+                </a>
+              )}
+            </div>
+
+            {rows.map((row, index) => (
+              <p
+                key={index}
+                ref={row.isChange ? (element) => { changeRefs.current[row.changeIndex] = element; } : undefined}
+                className={[
+                  'diff-paragraph',
+                  row.isChange ? `diff-${row.paragraph.type}` : '',
+                  row.isChange && row.changeIndex === currentChange ? 'diff-current' : ''
+                ].join(' ')}
+              >
+                {renderParagraph(row.paragraph)}
+              </p>
+            ))}
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default DiffViewer;
@@ -0,0 +1,9 @@
+// src/diff/index.js
+
+import React from "react";
+import { createRoot } from "react-dom/client";
+import DiffViewer from "./DiffViewer";
+
+const container = document.getElementById("root");
+const root = createRoot(container);
+root.render(<DiffViewer />);
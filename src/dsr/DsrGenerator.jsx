@@ -0,0 +1,338 @@
+// src/dsr/DsrGenerator.jsx
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { DSR_LAWS, DSR_REQUEST_TYPES, buildRequestLetter, mailtoUrl, daysUntil } from '../utils/dsrTemplates';
+import './dsr.css';
+
+// dsr.html?domain=example.com&name=Example&type=access|deletion
+// Without a domain only the log of sent requests is shown
+const DsrGenerator = () => {
+  const params = useMemo(() => new URLSearchParams(window.location.search), []);
+  const domain = params.get('domain') || '';
+
+  const [site, setSite] = useState(params.get('name') || domain);
+  const [law, setLaw] = useState('gdpr');
+  const [type, setType] = useState(DSR_REQUEST_TYPES[params.get('type')] ? params.get('type') : 'access');
+  const [contact, setContact] = useState('');
+  const [contactEmails, setContactEmails] = useState([]);
+  const [privacyUrl, setPrivacyUrl] = useState('');
+  const [webForms, setWebForms] = useState([]);
+  const [requester, setRequester] = useState({ name: '', email: '', details: '' });
+  const [letter, setLetter] = useState('');
+  const [letterEdited, setLetterEdited] = useState(false);
+  const [requests, setRequests] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    loadRequests();
+    // The requester's name and email are remembered between letters
+    chrome.storage.local.get(['dsrRequester'], (result) => {
+      if (result.dsrRequester) {
+        setRequester(prev => ({ ...prev, ...result.dsrRequester }));
+      }
+    });
+    if (domain) {
+      loadContext();
+    }
+  }, []);
+
+  const subject = buildRequestLetter({ law, type, site }).subject;
+
+  // Regenerated from the form until the user edits the letter by hand
+  useEffect(() => {
+    if (letterEdited || !domain) return;
+
+    setLetter(buildRequestLetter({
+      law,
+      type,
+      site,
+      contact,
+      requesterName: requester.name,
+      requesterEmail: requester.email,
+      details: requester.details
+    }).body);
+  }, [law, type, site, contact, requester, letterEdited]);
+
+  const sendMessage = (msg) => {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(msg, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(response || {});
+        }
+      });
+    });
+  };
+
+  const loadContext = async () => {
+    try {
+      const response = await sendMessage({ action: 'getDsrContext', domain });
+      if (response.success) {
+        setContactEmails(response.data.contact_emails);
+        setPrivacyUrl(response.data.privacy_url);
+        setWebForms(response.data.web_forms);
+        setContact(response.data.contact_emails[0] || '');
+        // Letters are addressed to the company named in the policy
+        if (response.data.legal_entity) {
+          setSite(response.data.legal_entity);
+        }
+      }
+    } catch (err) {
+      console.error('Failed to load privacy contact:', err);
+    }
+  };
+
+  const loadRequests = async () => {
+    try {
+      const response = await sendMessage({ action: 'getDsrRequests' });
+      if (response.success) {
+        setRequests(response.data);
+      }
+    } catch (err) {
+      console.error('Failed to load data requests:', err);
+    }
+  };
+
+  const updateRequester = (key, value) => {
+    const next = { ...requester, [key]: value };
+    setRequester(next);
+    chrome.storage.local.set({ dsrRequester: { name: next.name, email: next.email } });
+  };
+
+  const logRequest = async (channel) => {
+    const response = await sendMessage({
+      action: 'logDsrRequest',
+      request: { domain, site, law, type, contact, channel }
+    });
+
+    if (response.success) {
+      setMessage(`Request logged. ${site} must answer by ${new Date(response.data.due_at).toLocaleDateString()}; you'll get a reminder.`);
+      loadRequests();
+    } else {
+      setMessage(response.error || 'Failed to log the request');
+    }
+  };
+
+  const openEmailDraft = () => {
+    window.open(mailtoUrl(contact, subject, letter));
+  };
+
+  const downloadText = () => {
+    const blob = new Blob([`Subject: ${subject}\n\n${letter}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${type}-request-${domain}.txt`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const copyLetter = async () => {
+    try {
+      await navigator.clipboard.writeText(`${subject}\n\n${letter}`);
+      setMessage('Letter copied to the clipboard.');
+    } catch (err) {
+      setMessage('Failed to copy the letter');
+    }
+  };
+
+  const setRequestStatus = async (id, status) => {
+    await sendMessage({ action: 'updateDsrRequest', id, status });
+    loadRequests();
+  };
+
+  const deleteRequest = async (id) => {
+    if (confirm('Remove this request from the log?')) {
+      await sendMessage({ action: 'deleteDsrRequest', id });
+      loadRequests();
+    }
+  };
+
+  const renderCountdown = (request) => {
+    if (request.status !== 'open') {
+      return (
+        <span className="dsr-status-done">
+          Answered {new Date(request.completed_at).toLocaleDateString()}
+        </span>
+      );
+    }
+
+    const days = daysUntil(request.due_at);
+    if (days < 0) {
+      return <span className="dsr-status-overdue">Overdue by {-days} day{days === -1 ? '' : 's'}</span>;
+    }
+    return (
+      <span className={days <= 7 ? 'dsr-status-soon' : 'dsr-status-open'}>
+        {days === 0 ? 'Due today' : `${days} day${days === 1 ? '' : 's'} left`}
+      </span>
+    );
+  };
+
+  return (
+    <div className="dsr-container">
+      <header className="dsr-header">
+        <h1>Data Requests</h1>
+        <p>{domain ? site : 'Requests you have sent'}</p>
+      </header>
+
+      <main className="dsr-content">
+        {domain && (
+          <section className="dsr-section">
+            <h2>New Request</h2>
+
+            <div className="dsr-form">
+              <label>
+                Request
+                <select value={type} onChange={(e) => setType(e.target.value)}>
+                  {Object.entries(DSR_REQUEST_TYPES).map(([id, label]) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Law
+                <select value={law} onChange={(e) => setLaw(e.target.value)}>
+                  {Object.entries(DSR_LAWS).map(([id, { label, due_days }]) => (
+                    <option key={id} value={id}>{label}, {due_days} days</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Company
+                <input type="text" value={site} onChange={(e) => setSite(e.target.value)} />
+              </label>
+              <label>
+                Send to
+                <input
+                  type="text"
+                  list="dsr-contacts"
+                  value={contact}
+                  onChange={(e) => setContact(e.target.value)}
+                  placeholder="privacy@example.com"
+                />
+                <datalist id="dsr-contacts">
+                  {contactEmails.map(email => <option key={email} value={email} />)}
+                </datalist>
+              </label>
+              <label>
+                Your name
+                <input type="text" value={requester.name} onChange={(e) => updateRequester('name', e.target.value)} />
+              </label>
+              <label>
+                Your email
+                <input type="text" value={requester.email} onChange={(e) => updateRequester('email', e.target.value)} />
+              </label>
+              <label className="dsr-form-wide">
+                Account details (optional, one per line)
+                <textarea
+                  rows={2}
+                  value={requester.details}
+                  onChange={(e) => updateRequester('details', e.target.value)}
+                  placeholder="Username: ..."
+                />
+              </label>
+            </div>
+
+            {webForms.length > 0 && (
+              <p className="dsr-hint">
+                The policy also links to a request form:{' '}
+                {webForms.map((form, index) => (
+                  <span key={form.url}>
+                    {index > 0 && ', '}
+                    <a href={form.url} target="_blank" rel="noopener noreferrer">{form.label}</a>
+                  </span>
+                ))}. Paste the letter there if the site asks for requests through it.
+              </p>
+            )}
+            {contactEmails.length === 0 && webForms.length === 0 && (
+              <p className="dsr-hint">
+                No privacy contact was found in this site's policies
+                {privacyUrl && (
+                  <> (<a href={privacyUrl} target="_blank" rel="noopener noreferrer">open the privacy policy</a>)</>
+                )}.
+              </p>
+            )}
+
+            <div className="dsr-letter-header">
+              <strong>{subject}</strong>
+              {letterEdited && (
+                <button className="dsr-link-btn" onClick={() => setLetterEdited(false)}>Reset letter</button>
+              )}
+            </div>
+            <textarea
+              className="dsr-letter"
+              rows={22}
+              value={letter}
+              onChange={(e) => {
+                setLetter(e.target.value);
+                setLetterEdited(true);
+              }}
+            />
+
+            <div className="dsr-actions">
+              <button className="dsr-primary-btn" onClick={openEmailDraft}>Open Email Draft</button>
+              <button className="dsr-btn" onClick={downloadText}>Download .txt</button>
+              <button className="dsr-btn" onClick={copyLetter}>Copy</button>
+              <button className="dsr-btn" onClick={() => logRequest(contact ? 'email' : 'other')}>
+                Mark as Sent
+              </button>
+            </div>
+            {message && <p className="dsr-message">{message}</p>}
+          </section>
+        )}
+
+        <section className="dsr-section">
+          <h2>Sent Requests</h2>
+          {requests.length === 0 ? (
+            <p className="dsr-empty">No requests logged yet. Use "Mark as Sent" after sending a letter to track its deadline.</p>
+          ) : (
+            <table className="dsr-table">
+              <thead>
+                <tr>
+                  <th>Site</th>
+                  <th>Request</th>
+                  <th>Sent</th>
+                  <th>Deadline</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {requests.map(request => (
+                  <tr key={request.id}>
+                    <td>
+                      {request.site}
+                      {request.contact && <div className="dsr-contact">{request.contact}</div>}
+                    </td>
+                    <td>
+                      {DSR_REQUEST_TYPES[request.type]}
+                      <div className="dsr-contact">{DSR_LAWS[request.law].label}</div>
+                    </td>
+                    <td>{new Date(request.sent_at).toLocaleDateString()}</td>
+                    <td>{renderCountdown(request)}</td>
+                    <td className="dsr-row-actions">
+                      {request.status === 'open' ? (
+                        <button className="dsr-link-btn" onClick={() => setRequestStatus(request.id, 'answered')}>
+                          Answered
+                        </button>
+                      ) : (
+                        <button className="dsr-link-btn" onClick={() => setRequestStatus(request.id, 'open')}>
+                          Reopen
+                        </button>
+                      )}
+                      <button className="dsr-link-btn dsr-remove" onClick={() => deleteRequest(request.id)}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default DsrGenerator;
@@ -0,0 +1,9 @@
+// src/dsr/index.js
+
+import React from "react";
+import { createRoot } from "react-dom/client";
+import DsrGenerator from "./DsrGenerator";
+
+const container = document.getElementById("root");
+const root = createRoot(container);
+root.render(<DsrGenerator />);
@@ -0,0 +1,28 @@
+// src/offscreen/offscreen.js
+
+// Offscreen document: the service worker has no DOMParser, so it hands
+// fetched policy HTML to this page for parsing.
+import { PolicyDocumentParser } from './policyParser';
+
+const parser = new PolicyDocumentParser();
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Popup and content script messages reach this page too; only answer ours
+  if (request.target !== 'offscreen') {
+    return false;
+  }
+
+  switch (request.action) {
+    case 'parsePolicyDocument':
+      try {
+        sendResponse({ success: true, data: parser.parse(request.html, request.url) });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+      return false;
+
+    default:
+      sendResponse({ success: false, error: 'Unknown action' });
+      return false;
+  }
+});
@@ -0,0 +1,190 @@
+// src/offscreen/policyParser.js
+
+// Elements that never carry policy text
+const NOISE_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe',
+  'object', 'embed', 'form', 'button', 'input', 'select', 'textarea',
+  'nav', 'aside', 'dialog',
+  '[role="navigation"]', '[role="complementary"]', '[role="dialog"]',
+  '[role="alertdialog"]', '[role="search"]', '[aria-hidden="true"]', '[hidden]',
+  '.breadcrumb', '.breadcrumbs', '.skip-link', '.visually-hidden', '.sr-only'
+].join(', ');
+
+// Cookie banners and consent platforms rendered into the page
+const COOKIE_BANNER_SELECTOR = [
+  '#onetrust-consent-sdk', '#onetrust-banner-sdk', '#CybotCookiebotDialog',
+  '#didomi-host', '#usercentrics-root', '#truste-consent-track',
+  '.qc-cmp2-container', '.osano-cm-window', '.cky-consent-container',
+  '#cmplz-cookiebanner-container', '.cc-window', '#cookie-law-info-bar',
+  '[id*="cookie-banner"]', '[class*="cookie-banner"]',
+  '[id*="cookie-consent"]', '[class*="cookie-consent"]',
+  '[id*="cookie-notice"]', '[class*="cookie-notice"]',
+  '[class*="consent-banner"]'
+].join(', ');
+
+// Page chrome is dropped unless it sits inside the main content
+const PAGE_CHROME_SELECTOR = 'header, footer, [role="banner"], [role="contentinfo"]';
+
+const MAIN_CANDIDATE_SELECTOR = [
+  'main', '[role="main"]', 'article', '#content', '#main', '#main-content',
+  '.content', '.main-content', '.policy', '.legal', '[class*="policy-content"]'
+].join(', ');
+
+const INLINE_TAGS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'code', 'data', 'dfn', 'em', 'i',
+  'kbd', 'label', 'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub',
+  'sup', 'time', 'u', 'var', 'wbr', 'font'
+]);
+
+// Links kept per document (contact forms, mailto: addresses)
+const MAX_LINKS = 200;
+
+const LEAF_BLOCK_TAGS = new Set(['p', 'blockquote', 'pre', 'dt', 'dd', 'td', 'th', 'caption', 'address']);
+const NESTED_BLOCK_SELECTOR = 'p, div, section, article, ul, ol, li, table, h1, h2, h3, h4, h5, h6, blockquote';
+
+const normalizeWhitespace = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Turns a policy page into clean, structured text
+ */
+export class PolicyDocumentParser {
+  /**
+   * Parse HTML into { title, language, blocks, links, text, word_count }.
+   * Blocks are headings (with level), paragraphs and list items in page order;
+   * links are the { text, href } of the main content's anchors.
+   */
+  parse(html, url = '') {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const title = normalizeWhitespace(doc.title || '');
+    const language = (doc.documentElement.getAttribute('lang') || '').trim().toLowerCase();
+
+    this.removeBoilerplate(doc);
+
+    const root = this.findMainContent(doc);
+    const blocks = this.collectBlocks(root);
+    const links = this.collectLinks(root, url);
+    const text = blocks.map(block => block.text).join('\n\n');
+
+    return {
+      url,
+      title,
+      language,
+      blocks,
+      links,
+      text,
+      word_count: text ? text.split(/\s+/).length : 0
+    };
+  }
+
+  removeBoilerplate(doc) {
+    doc.querySelectorAll(NOISE_SELECTOR).forEach(element => element.remove());
+    doc.querySelectorAll(COOKIE_BANNER_SELECTOR).forEach(element => element.remove());
+    doc.querySelectorAll(PAGE_CHROME_SELECTOR).forEach(element => {
+      if (!element.parentElement || !element.parentElement.closest('main, article, [role="main"]')) {
+        element.remove();
+      }
+    });
+  }
+
+  // The candidate holding most of the text; body when nothing stands out
+  findMainContent(doc) {
+    const body = doc.body || doc.documentElement;
+    const bodyLength = normalizeWhitespace(body.textContent).length;
+    let best = null;
+    let bestLength = 0;
+
+    doc.querySelectorAll(MAIN_CANDIDATE_SELECTOR).forEach(candidate => {
+      const length = normalizeWhitespace(candidate.textContent).length;
+      if (length > bestLength) {
+        best = candidate;
+        bestLength = length;
+      }
+    });
+
+    // A "main" with a fraction of the page is usually a teaser, not the policy
+    return best && bestLength >= bodyLength * 0.4 ? best : body;
+  }
+
+  // Absolute http(s) and mailto: links, first occurrence of each href
+  collectLinks(root, baseUrl) {
+    const links = new Map();
+
+    root.querySelectorAll('a[href]').forEach(anchor => {
+      if (links.size >= MAX_LINKS) return;
+
+      let href;
+      try {
+        href = new URL(anchor.getAttribute('href'), baseUrl || undefined).href;
+      } catch (error) {
+        return;
+      }
+      if (!/^(https?|mailto):/.test(href) || links.has(href)) return;
+
+      links.set(href, { text: normalizeWhitespace(anchor.textContent), href });
+    });
+
+    return Array.from(links.values());
+  }
+
+  collectBlocks(root) {
+    const blocks = [];
+    let looseText = [];
+
+    const push = (block) => {
+      const text = normalizeWhitespace(block.text);
+      if (text.length < 2) return;
+
+      const previous = blocks[blocks.length - 1];
+      if (previous && previous.text === text) return;
+
+      blocks.push({ ...block, text });
+    };
+
+    // Text sitting directly in divs (no <p>) still forms paragraphs
+    const flushLooseText = () => {
+      push({ type: 'paragraph', text: looseText.join(' ') });
+      looseText = [];
+    };
+
+    const walk = (node) => {
+      node.childNodes.forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) {
+          looseText.push(child.textContent);
+          return;
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE) return;
+
+        const tag = child.tagName.toLowerCase();
+
+        if (INLINE_TAGS.has(tag)) {
+          looseText.push(child.textContent);
+          return;
+        }
+        if (tag === 'br') {
+          looseText.push(' ');
+          return;
+        }
+
+        flushLooseText();
+
+        const hasNestedBlocks = !!child.querySelector(NESTED_BLOCK_SELECTOR);
+
+        if (/^h[1-6]$/.test(tag)) {
+          push({ type: 'heading', level: Number(tag[1]), text: child.textContent });
+        } else if (tag === 'li' && !hasNestedBlocks) {
+          push({ type: 'list_item', text: child.textContent });
+        } else if (LEAF_BLOCK_TAGS.has(tag) && !hasNestedBlocks) {
+          push({ type: 'paragraph', text: child.textContent });
+        } else {
+          walk(child);
+          flushLooseText();
+        }
+      });
+    };
+
+    walk(root);
+    flushLooseText();
+
+    return blocks;
+  }
+}
@@ -1,6 +1,9 @@
 // src/options/Options.jsx
 
 import React, { useState, useEffect } from 'react';
+import { normalizeSiteInput } from '../utils/domains';
+import { AUTO_REJECT_OUTCOMES } from '../utils/autoRejectRules';
+import { POLICY_TYPES, AGREEMENT_TRIGGERS } from '../utils/dataModels';
 import './options.css';
 
 const Options = () => {
@@ -10,8 +13,23 @@ const Options = () => {
     autoDetectPolicies: true,
     showNotifications: true,
     highlightPolicyLinks: true,
-    trackingEnabled: true
+    trackingEnabled: true,
+    sendGpcSignal: false,
+    gpcSiteOverrides: {},
+    autoRejectBanners: false,
+    autoRejectSiteOverrides: {},
+    showSignupWarnings: true,
+    signupWarningSiteOverrides: {}
   });
+  const [gpcSiteInput, setGpcSiteInput] = useState('');
+  const [gpcSiteSend, setGpcSiteSend] = useState(false);
+  const [rejectSiteInput, setRejectSiteInput] = useState('');
+  const [rejectSiteAlways, setRejectSiteAlways] = useState(false);
+  const [autoRejectLog, setAutoRejectLog] = useState(null);
+  const [warningSiteInput, setWarningSiteInput] = useState('');
+  const [warningSiteShow, setWarningSiteShow] = useState(false);
+  const [agreements, setAgreements] = useState([]);
+  const [agreementFilter, setAgreementFilter] = useState('');
   const [authStatus, setAuthStatus] = useState(null);
   const [sessionInfo, setSessionInfo] = useState(null);
   const [saved, setSaved] = useState(false);
@@ -22,6 +40,8 @@ const Options = () => {
     loadSettings();
     loadSessionInfo();
     checkAuthStatus();
+    loadAutoRejectLog();
+    loadAgreements();
     
     // Check if this is a first-time welcome visit
     const urlParams = new URLSearchParams(window.location.search);
@@ -74,6 +94,99 @@ const Options = () => {
     setSettings(prev => ({ ...prev, [key]: value }));
   };
 
+  const addGpcSiteOverride = () => {
+    const site = normalizeSiteInput(gpcSiteInput);
+    if (!site) {
+      alert('Please enter a website such as example.com');
+      return;
+    }
+
+    handleInputChange('gpcSiteOverrides', { ...settings.gpcSiteOverrides, [site]: gpcSiteSend });
+    setGpcSiteInput('');
+  };
+
+  const removeGpcSiteOverride = (site) => {
+    const { [site]: removed, ...overrides } = settings.gpcSiteOverrides;
+    handleInputChange('gpcSiteOverrides', overrides);
+  };
+
+  const addRejectSiteOverride = () => {
+    const site = normalizeSiteInput(rejectSiteInput);
+    if (!site) {
+      alert('Please enter a website such as example.com');
+      return;
+    }
+
+    handleInputChange('autoRejectSiteOverrides', { ...settings.autoRejectSiteOverrides, [site]: rejectSiteAlways });
+    setRejectSiteInput('');
+  };
+
+  const removeRejectSiteOverride = (site) => {
+    const { [site]: removed, ...overrides } = settings.autoRejectSiteOverrides;
+    handleInputChange('autoRejectSiteOverrides', overrides);
+  };
+
+  const addWarningSiteOverride = () => {
+    const site = normalizeSiteInput(warningSiteInput);
+    if (!site) {
+      alert('Please enter a website such as example.com');
+      return;
+    }
+
+    handleInputChange('signupWarningSiteOverrides', { ...settings.signupWarningSiteOverrides, [site]: warningSiteShow });
+    setWarningSiteInput('');
+  };
+
+  const removeWarningSiteOverride = (site) => {
+    const { [site]: removed, ...overrides } = settings.signupWarningSiteOverrides;
+    handleInputChange('signupWarningSiteOverrides', overrides);
+  };
+
+  const loadAutoRejectLog = () => {
+    chrome.runtime.sendMessage({ action: 'getAutoRejectLog' }, (response) => {
+      if (response?.success) {
+        setAutoRejectLog(response.data);
+      }
+    });
+  };
+
+  const clearAutoRejectLog = () => {
+    if (confirm('Clear the log of answered cookie banners?')) {
+      chrome.runtime.sendMessage({ action: 'clearAutoRejectLog' }, () => loadAutoRejectLog());
+    }
+  };
+
+  const loadAgreements = () => {
+    chrome.runtime.sendMessage({ action: 'getAgreements' }, (response) => {
+      if (response?.success) {
+        setAgreements(response.data);
+      }
+    });
+  };
+
+  const deleteAgreement = (id) => {
+    if (confirm('Remove this agreement from the ledger?')) {
+      chrome.runtime.sendMessage({ action: 'deleteAgreement', id }, () => loadAgreements());
+    }
+  };
+
+  const exportAgreements = () => {
+    const blob = new Blob([JSON.stringify(agreements, null, 2)], {
+      type: 'application/json'
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'agreement-ledger.json';
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const filteredAgreements = agreements.filter(entry => {
+    const query = agreementFilter.trim().toLowerCase();
+    return !query || entry.domain.includes(query) || entry.site_name.toLowerCase().includes(query);
+  });
+
   const handleLogin = () => {
     chrome.runtime.sendMessage({ action: 'redirectToLogin' });
   };
@@ -255,6 +368,262 @@ const Options = () => {
           </div>
         </section>
 
+        {/* Global Privacy Control - works without an account */}
+        <section className="settings-section">
+          <h2>Global Privacy Control</h2>
+          <div className="setting-item checkbox-item">
+            <label>
+              <input
+                type="checkbox"
+                checked={settings.sendGpcSignal}
+                onChange={(e) => handleInputChange('sendGpcSignal', e.target.checked)}
+              />
+              Tell websites not to sell or share my data (Sec-GPC header)
+            </label>
+          </div>
+          <div className="setting-item">
+            <label htmlFor="gpcSite">Per-site exceptions:</label>
+            <div className="site-override-form">
+              <input
+                id="gpcSite"
+                type="text"
+                value={gpcSiteInput}
+                onChange={(e) => setGpcSiteInput(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && addGpcSiteOverride()}
+                placeholder="example.com"
+              />
+              <select
+                value={gpcSiteSend ? 'send' : 'skip'}
+                onChange={(e) => setGpcSiteSend(e.target.value === 'send')}
+              >
+                <option value="send">Always send</option>
+                <option value="skip">Never send</option>
+              </select>
+              <button className="add-site-btn" onClick={addGpcSiteOverride}>
+                Add
+              </button>
+            </div>
+            {Object.keys(settings.gpcSiteOverrides).length > 0 && (
+              <ul className="site-override-list">
+                {Object.entries(settings.gpcSiteOverrides).map(([site, send]) => (
+                  <li key={site}>
+                    <span className="site-override-domain">{site}</span>
+                    <span className={send ? 'site-override-on' : 'site-override-off'}>
+                      {send ? 'Always send' : 'Never send'}
+                    </span>
+                    <button className="remove-site-btn" onClick={() => removeGpcSiteOverride(site)}>
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </section>
+
+        {/* Cookie Banners - works without an account */}
+        <section className="settings-section">
+          <h2>Cookie Banners</h2>
+          <div className="setting-item checkbox-item">
+            <label>
+              <input
+                type="checkbox"
+                checked={settings.autoRejectBanners}
+                onChange={(e) => handleInputChange('autoRejectBanners', e.target.checked)}
+              />
+              Automatically reject cookie banners (necessary cookies only)
+            </label>
+            <p className="setting-hint">
+              Known consent platforms are answered with their reject or "necessary only" option, and the
+              result is checked with the platform afterwards.
+              {autoRejectLog?.rule_set && (
+                <> Rules version {autoRejectLog.rule_set.version}
+                  {autoRejectLog.rule_set.updated_at
+                    ? `, updated ${new Date(autoRejectLog.rule_set.updated_at).toLocaleDateString()}.`
+                    : ' (bundled).'}
+                </>
+              )}
+            </p>
+          </div>
+          <div className="setting-item">
+            <label htmlFor="rejectSite">Per-site exceptions:</label>
+            <div className="site-override-form">
+              <input
+                id="rejectSite"
+                type="text"
+                value={rejectSiteInput}
+                onChange={(e) => setRejectSiteInput(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && addRejectSiteOverride()}
+                placeholder="example.com"
+              />
+              <select
+                value={rejectSiteAlways ? 'reject' : 'skip'}
+                onChange={(e) => setRejectSiteAlways(e.target.value === 'reject')}
+              >
+                <option value="reject">Always reject</option>
+                <option value="skip">Never reject</option>
+              </select>
+              <button className="add-site-btn" onClick={addRejectSiteOverride}>
+                Add
+              </button>
+            </div>
+            {Object.keys(settings.autoRejectSiteOverrides).length > 0 && (
+              <ul className="site-override-list">
+                {Object.entries(settings.autoRejectSiteOverrides).map(([site, reject]) => (
+                  <li key={site}>
+                    <span className="site-override-domain">{site}</span>
+                    <span className={reject ? 'site-override-on' : 'site-override-off'}>
+                      {reject ? 'Always reject' : 'Never reject'}
+                    </span>
+                    <button className="remove-site-btn" onClick={() => removeRejectSiteOverride(site)}>
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+          <div className="setting-item">
+            <label>Recent actions:</label>
+            {!autoRejectLog || autoRejectLog.entries.length === 0 ? (
+              <p className="setting-hint">No banners answered yet.</p>
+            ) : (
+              <>
+                <ul className="action-log">
+                  {autoRejectLog.entries.map((entry, index) => (
+                    <li key={`${entry.at}-${index}`}>
+                      <span className="action-log-domain">
+                        {entry.domain}
+                        {entry.cmp && <span className="action-log-meta"> · {entry.cmp}</span>}
+                      </span>
+                      <span className={`action-log-outcome outcome-${entry.outcome}`} title={entry.detail}>
+                        {AUTO_REJECT_OUTCOMES[entry.outcome]}
+                        {entry.verified_by === 'tcf' && ' (TCF)'}
+                      </span>
+                      <span className="action-log-meta">{new Date(entry.at).toLocaleString()}</span>
+                    </li>
+                  ))}
+                </ul>
+                <button className="remove-site-btn" onClick={clearAutoRejectLog}>
+                  Clear log
+                </button>
+              </>
+            )}
+          </div>
+        </section>
+
+        {/* Sign-up Warnings - works without an account */}
+        <section className="settings-section">
+          <h2>Sign-up Warnings</h2>
+          <div className="setting-item checkbox-item">
+            <label>
+              <input
+                type="checkbox"
+                checked={settings.showSignupWarnings}
+                onChange={(e) => handleInputChange('showSignupWarnings', e.target.checked)}
+              />
+              Warn on sign-up and checkout forms when the site's policies have high-risk clauses
+            </label>
+          </div>
+          <div className="setting-item">
+            <label htmlFor="warningSite">Per-site exceptions:</label>
+            <div className="site-override-form">
+              <input
+                id="warningSite"
+                type="text"
+                value={warningSiteInput}
+                onChange={(e) => setWarningSiteInput(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && addWarningSiteOverride()}
+                placeholder="example.com"
+              />
+              <select
+                value={warningSiteShow ? 'show' : 'skip'}
+                onChange={(e) => setWarningSiteShow(e.target.value === 'show')}
+              >
+                <option value="show">Always warn</option>
+                <option value="skip">Never warn</option>
+              </select>
+              <button className="add-site-btn" onClick={addWarningSiteOverride}>
+                Add
+              </button>
+            </div>
+            {Object.keys(settings.signupWarningSiteOverrides).length > 0 && (
+              <ul className="site-override-list">
+                {Object.entries(settings.signupWarningSiteOverrides).map(([site, show]) => (
+                  <li key={site}>
+                    <span className="site-override-domain">{site}</span>
+                    <span className={show ? 'site-override-on' : 'site-override-off'}>
+                      {show ? 'Always warn' : 'Never warn'}
+                    </span>
+                    <button className="remove-site-btn" onClick={() => removeWarningSiteOverride(site)}>
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </section>
+
+        {/* Agreement Ledger - kept locally, works without an account */}
+        <section className="settings-section">
+          <h2>Agreement Ledger</h2>
+          <p className="setting-hint">
+            Every time you tick "I agree" or submit a sign-up form that links to a site's policies, the
+            policies and the exact version you agreed to are recorded here.
+          </p>
+          {agreements.length === 0 ? (
+            <p className="setting-hint">No agreements recorded yet.</p>
+          ) : (
+            <>
+              <div className="ledger-toolbar">
+                <input
+                  type="text"
+                  value={agreementFilter}
+                  onChange={(e) => setAgreementFilter(e.target.value)}
+                  placeholder="Filter by site"
+                />
+                <button className="add-site-btn" onClick={exportAgreements}>
+                  Export
+                </button>
+              </div>
+              <ul className="ledger-list">
+                {filteredAgreements.map(entry => (
+                  <li key={entry.id} className="ledger-entry">
+                    <div className="ledger-entry-header">
+                      <strong>{entry.site_name}</strong>
+                      <span className="action-log-meta">
+                        {AGREEMENT_TRIGGERS[entry.trigger]} · {new Date(entry.agreed_at).toLocaleString()}
+                      </span>
+                      <button className="remove-site-btn" onClick={() => deleteAgreement(entry.id)}>
+                        Remove
+                      </button>
+                    </div>
+                    {entry.agreement_text && <blockquote className="ledger-text">{entry.agreement_text}</blockquote>}
+                    <ul className="ledger-policies">
+                      {entry.policies.map(policy => (
+                        <li key={policy.type}>
+                          <a href={policy.final_url || policy.url} target="_blank" rel="noopener noreferrer">
+                            {POLICY_TYPES[policy.type]}
+                          </a>
+                          {policy.current_hash ? (
+                            <code title={policy.current_hash}>{policy.current_hash.substring(0, 12)}</code>
+                          ) : (
+                            <span className="ledger-missing" title={policy.error}>version not captured</span>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                    <div className="action-log-meta">
+                      Agreed on <a href={entry.page_url} target="_blank" rel="noopener noreferrer">{entry.page_url}</a>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </section>
+
         {/* Detection Settings - Only show if authenticated */}
         {authStatus?.authenticated && (
           <>
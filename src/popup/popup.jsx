@@ -1,10 +1,33 @@
 // src/popup/Popup.jsx
 
 import React, { useState, useEffect } from 'react';
+import { POLICY_TYPES, LOW_CONFIDENCE_THRESHOLD, DISCOVERY_METHODS } from '../utils/dataModels';
+import { CLAUSE_SEVERITIES } from '../utils/clauseAnalyzer';
+import { GRADE_COLORS } from '../utils/privacyGrade';
+import { READABILITY_METRICS } from '../utils/readability';
+import { textFragmentUrl } from '../utils/summarizer';
+import { TRACKER_CATEGORIES } from '../utils/trackerList';
+import { COOKIE_CATEGORIES } from '../utils/cookieCategories';
+import { CONTACT_ROLES } from '../utils/contactExtractor';
+import { TCF_PURPOSES, TCF_SPECIAL_FEATURES, GPP_SECTIONS } from '../utils/consentFrameworks';
+import { DARK_PATTERNS, sortDarkPatternFlags } from '../utils/darkPatterns';
 import './popup.css';
 
 const Popup = () => {
   const [currentSite, setCurrentSite] = useState(null);
+  const [siteRecord, setSiteRecord] = useState(null);
+  const [clauseFindings, setClauseFindings] = useState([]);
+  const [privacyGrade, setPrivacyGrade] = useState(null);
+  const [policyMetrics, setPolicyMetrics] = useState({});
+  const [policySummaries, setPolicySummaries] = useState({});
+  const [dataPractices, setDataPractices] = useState({});
+  const [thirdParties, setThirdParties] = useState(null);
+  const [gpcStatus, setGpcStatus] = useState(null);
+  const [siteContacts, setSiteContacts] = useState(null);
+  const [copiedContact, setCopiedContact] = useState(null);
+  const [showConsentDetails, setShowConsentDetails] = useState(false);
+  const [showAllThirdParties, setShowAllThirdParties] = useState(false);
+  const [showGradeDetails, setShowGradeDetails] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [authStatus, setAuthStatus] = useState(null);
@@ -15,7 +38,11 @@ const Popup = () => {
   const [allSessions, setAllSessions] = useState([]);
   const [showSessions, setShowSessions] = useState(false);
   const [sessionLoading, setSessionLoading] = useState(false);
-  const [activeTab, setActiveTab] = useState('site'); // 'site' or 'sessions'
+  const [activeTab, setActiveTab] = useState('site'); // 'site', 'cookies' or 'sessions'
+
+  // Cookie inventory state
+  const [cookieReport, setCookieReport] = useState(null);
+  const [cookieLoading, setCookieLoading] = useState(false);
 
   useEffect(() => {
     checkAuthAndLoadData();
@@ -68,6 +95,16 @@ const Popup = () => {
       const url = new URL(tab.url);
       const domain = url.hostname;
 
+      loadSiteRecord(domain);
+      loadClauseFindings(domain);
+      loadPrivacyGrade(domain);
+      loadPolicyMetrics(domain);
+      loadPolicySummaries(domain);
+      loadDataPractices(domain);
+      loadThirdParties(domain);
+      loadGpcStatus(domain);
+      loadSiteContacts(domain);
+
       // First check if site data is available and fresh
       chrome.runtime.sendMessage(
         { action: 'siteAvailable', domain },
@@ -104,14 +141,15 @@ const Popup = () => {
       // First get current tab to collect website data from content script
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       
-      // Get website data from content script
-      chrome.tabs.sendMessage(tab.id, { action: 'getWebsiteData' }, (contentResponse) => {
-        const websiteData = contentResponse?.websiteData || {
+      // Get website data from the content scripts, merged across frames
+      chrome.runtime.sendMessage({ action: 'getTabWebsiteData', tabId: tab.id }, (contentResponse) => {
+        const websiteData = contentResponse?.data || {
           domain,
           name: domain,
           favicon_url: `${url.protocol}//${domain}/favicon.ico`,
           tos_url: '',
           privacy_policy_url: '',
+          policy_documents: [],
           is_active: true,
           last_crawled_at: new Date().toISOString()
         };
@@ -131,6 +169,16 @@ const Popup = () => {
             if (response.success) {
               console.log('Successfully fetched/updated site data');
               setCurrentSite(response.data.site || response.data);
+              // Well-known files may have been probed for the first time
+              loadSiteRecord(domain);
+              loadClauseFindings(domain);
+              loadPrivacyGrade(domain);
+              loadPolicyMetrics(domain);
+              loadPolicySummaries(domain);
+              loadDataPractices(domain);
+              loadThirdParties(domain);
+              loadGpcStatus(domain);
+              loadSiteContacts(domain);
             } else {
               console.error('API call failed:', response.error);
               // If API call fails, use the collected data as fallback
@@ -148,6 +196,7 @@ const Popup = () => {
         favicon_url: `${url.protocol}//${domain}/favicon.ico`,
         tos_url: '',
         privacy_policy_url: '',
+        policy_documents: [],
         is_active: true,
         last_crawled_at: null
       };
@@ -155,6 +204,176 @@ const Popup = () => {
     }
   };
 
+  // Older site records only carry tos_url/privacy_policy_url
+  const getPolicyDocuments = (site) => {
+    if (!site) return [];
+    if (Array.isArray(site.policy_documents) && site.policy_documents.length > 0) {
+      return site.policy_documents;
+    }
+
+    return [
+      { type: 'tos', url: site.tos_url },
+      { type: 'privacy', url: site.privacy_policy_url }
+    ].filter(policyDocument => policyDocument.url);
+  };
+
+  const renderConfidence = (type) => {
+    const policyDocument = getPolicyDocuments(currentSite).find(entry => entry.type === type);
+    if (!policyDocument || typeof policyDocument.confidence !== 'number') return null;
+    if (policyDocument.confidence >= LOW_CONFIDENCE_THRESHOLD) return null;
+
+    return (
+      <span
+        className="policy-confidence"
+        title={`Detection confidence: ${Math.round(policyDocument.confidence * 100)}%`}
+      >
+        possibly
+      </span>
+    );
+  };
+
+  // Tooltip recording how a document was found, for auditing
+  const getDiscoveryTitle = (type) => {
+    const policyDocument = getPolicyDocuments(currentSite).find(entry => entry.type === type);
+    if (!policyDocument || !DISCOVERY_METHODS[policyDocument.method]) return undefined;
+
+    return `Found via ${DISCOVERY_METHODS[policyDocument.method]}`;
+  };
+
+  // Facts the extension keeps locally for this site (well-known files...)
+  const loadSiteRecord = async (domain) => {
+    try {
+      const response = await sendMessage({ action: 'getSiteRecord', domain });
+      if (response.success) {
+        setSiteRecord(response.data);
+      }
+    } catch (err) {
+      console.error('Failed to load site record:', err);
+    }
+  };
+
+  const loadClauseFindings = async (domain) => {
+    try {
+      const response = await sendMessage({ action: 'getClauseFindings', domain });
+      if (response.success) {
+        setClauseFindings(response.data || []);
+      }
+    } catch (err) {
+      console.error('Failed to load clause findings:', err);
+    }
+  };
+
+  const loadPrivacyGrade = async (domain) => {
+    try {
+      const response = await sendMessage({ action: 'getPrivacyGrade', domain });
+      if (response.success) {
+        setPrivacyGrade(response.data);
+      }
+    } catch (err) {
+      console.error('Failed to load privacy grade:', err);
+    }
+  };
+
+  const loadGpcStatus = async (domain) => {
+    try {
+      const response = await sendMessage({ action: 'getGpcStatus', domain });
+      if (response.success) {
+        setGpcStatus(response.data);
+      }
+    } catch (err) {
+      console.error('Failed to load GPC status:', err);
+    }
+  };
+
+  const loadSiteContacts = async (domain) => {
+    try {
+      const response = await sendMessage({ action: 'getSiteContacts', domain });
+      if (response.success) {
+        setSiteContacts(response.data);
+      }
+    } catch (err) {
+      console.error('Failed to load privacy contacts:', err);
+    }
+  };
+
+  const copyContact = async (value) => {
+    try {
+      await navigator.clipboard.writeText(value);
+      setCopiedContact(value);
+      setTimeout(() => setCopiedContact(null), 1500);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
+  const loadPolicyMetrics = async (domain) => {
+    try {
+      const response = await sendMessage({ action: 'getPolicyMetrics', domain });
+      if (response.success) {
+        setPolicyMetrics(response.data || {});
+      }
+    } catch (err) {
+      console.error('Failed to load policy metrics:', err);
+    }
+  };
+
+  const loadPolicySummaries = async (domain) => {
+    try {
+      const response = await sendMessage({ action: 'getPolicySummaries', domain });
+      if (response.success) {
+        setPolicySummaries(response.data || {});
+      }
+    } catch (err) {
+      console.error('Failed to load policy summaries:', err);
+    }
+  };
+
+  const loadDataPractices = async (domain) => {
+    try {
+      const response = await sendMessage({ action: 'getDataPractices', domain });
+      if (response.success) {
+        setDataPractices(response.data || {});
+      }
+    } catch (err) {
+      console.error('Failed to load data practices:', err);
+    }
+  };
+
+  const loadThirdParties = async (domain) => {
+    try {
+      const response = await sendMessage({ action: 'getThirdParties', domain });
+      if (response.success) {
+        setThirdParties(response.data);
+      }
+    } catch (err) {
+      console.error('Failed to load third parties:', err);
+    }
+  };
+
+  const loadCookieReport = async () => {
+    setCookieLoading(true);
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await sendMessage({ action: 'getCookieReport', tabId: tab.id });
+      if (response.success) {
+        setCookieReport(response.data);
+      } else {
+        setError('Failed to load cookies');
+      }
+    } catch (err) {
+      setError('Failed to load cookies');
+    } finally {
+      setCookieLoading(false);
+    }
+  };
+
+  const formatLifetime = (cookie) => {
+    if (cookie.session) return 'Session';
+    if (cookie.lifetime_days >= 365) return `${Math.round(cookie.lifetime_days / 365)}y`;
+    if (cookie.lifetime_days >= 1) return `${cookie.lifetime_days}d`;
+    return '<1d';
+  };
+
   const isLastCrawledFresh = (lastCrawledAt) => {
     if (!lastCrawledAt) return false;
     
@@ -248,12 +467,63 @@ const Popup = () => {
     window.close();
   };
 
+  // Redline of the two latest stored versions, once a policy has changed
+  const renderChangesButton = (type) => {
+    const versions = siteRecord?.policies?.[type]?.versions || [];
+    if (versions.length < 2) return null;
+
+    const params = new URLSearchParams({ domain: siteRecord.domain, type });
+    return (
+      <button
+        className="policy-link"
+        title={`Changed ${new Date(versions[versions.length - 1].fetched_at).toLocaleDateString()}`}
+        onClick={() => openLink(chrome.runtime.getURL(`diff.html?${params}`))}
+      >
+        View Changes
+      </button>
+    );
+  };
+
+  // Length and readability under a policy row, compared to tracked sites
+  const renderMetrics = (type) => {
+    const entry = policyMetrics[type];
+    if (!entry) return null;
+
+    const { metrics, median, site_count: siteCount } = entry;
+    const details = Object.entries(READABILITY_METRICS)
+      .map(([key, { label }]) => `${label}: ${metrics[key]}` + (siteCount > 1 ? ` (median ${median[key]})` : ''))
+      .join('\n');
+    const harder = siteCount > 1 && metrics.flesch_kincaid_grade > median.flesch_kincaid_grade;
+
+    return (
+      <div className="policy-metrics" title={details}>
+        {metrics.word_count.toLocaleString()} words · {metrics.reading_time_minutes} min read ·
+        grade level {metrics.flesch_kincaid_grade}
+        {siteCount > 1 && (
+          <span className={harder ? 'metrics-harder' : 'metrics-easier'}>
+            {' '}({harder ? 'harder' : 'easier'} than median {median.flesch_kincaid_grade})
+          </span>
+        )}
+      </div>
+    );
+  };
+
   const openLink = (url) => {
     if (url) {
       chrome.tabs.create({ url });
     }
   };
 
+  // Letter generator for GDPR/CCPA access and deletion requests
+  const openDataRequest = (type) => {
+    const params = new URLSearchParams({
+      domain: currentSite.domain,
+      name: currentSite.name || currentSite.domain,
+      type
+    });
+    openLink(chrome.runtime.getURL(`dsr.html?${params}`));
+  };
+
   const refreshData = (forceFresh = false) => {
     setLoading(true);
     setError(null);
@@ -341,13 +611,13 @@ const Popup = () => {
             )}
           </div>
 
-          {currentSite && (currentSite.tos_url || currentSite.privacy_policy_url) && (
+          {getPolicyDocuments(currentSite).length > 0 && (
             <div className="policy-detected">
               <div className="detection-notice">
                 <span className="icon">📋</span>
                 <div>
                   <strong>Policy Documents Detected!</strong>
-                  <p>This website has terms of service or privacy policy. Login to track and manage this information.</p>
+                  <p>This website has terms of service, privacy policy or other policy documents. Login to track and manage this information.</p>
                 </div>
               </div>
             </div>
@@ -405,6 +675,16 @@ const Popup = () => {
           <h1 className="site-name">{currentSite?.name || currentSite?.domain}</h1>
           <p className="site-domain">{currentSite?.domain}</p>
         </div>
+        {privacyGrade && (
+          <button
+            className="grade-badge"
+            style={{ background: GRADE_COLORS[privacyGrade.grade] }}
+            title={`Privacy grade ${privacyGrade.grade} (${privacyGrade.score}/100) - why this grade?`}
+            onClick={() => setShowGradeDetails(!showGradeDetails)}
+          >
+            {privacyGrade.grade}
+          </button>
+        )}
         <div className="auth-indicator">
           <div className="session-status">
             <span className="auth-badge">✓</span>
@@ -415,6 +695,23 @@ const Popup = () => {
         </div>
       </header>
 
+      {showGradeDetails && privacyGrade && (
+        <div className="grade-breakdown">
+          <div className="grade-breakdown-header">
+            <strong>Why this grade?</strong>
+            <span>{privacyGrade.score}/100</span>
+          </div>
+          {privacyGrade.breakdown.map((item, index) => (
+            <div className="grade-breakdown-item" key={index} title={item.detail}>
+              <span>{item.label}</span>
+              <span className={item.points < 0 ? 'grade-points-negative' : 'grade-points'}>
+                {item.points > 0 ? `+${item.points}` : item.points}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Tab Navigation */}
       <div className="tab-navigation">
         <button 
@@ -423,6 +720,17 @@ const Popup = () => {
         >
           📋 Site Info
         </button>
+        <button 
+          className={`tab-btn ${activeTab === 'cookies' ? 'active' : ''}`}
+          onClick={() => {
+            setActiveTab('cookies');
+            if (!cookieReport && !cookieLoading) {
+              loadCookieReport();
+            }
+          }}
+        >
+          🍪 Cookies
+        </button>
         <button 
           className={`tab-btn ${activeTab === 'sessions' ? 'active' : ''}`}
           onClick={() => {
@@ -451,34 +759,68 @@ const Popup = () => {
               <h2>Policy Documents</h2>
               
               <div className="policy-item">
-                <span className="policy-label">Terms of Service:</span>
+                <span className="policy-label">Terms of Service: {renderConfidence('tos')}</span>
                 {currentSite?.tos_url ? (
-                  <button 
-                    className="policy-link"
-                    onClick={() => openLink(currentSite.tos_url)}
-                  >
-                    View TOS
-                  </button>
+                  <div className="policy-actions">
+                    <button 
+                      className="policy-link"
+                      title={getDiscoveryTitle('tos')}
+                      onClick={() => openLink(currentSite.tos_url)}
+                    >
+                      View TOS
+                    </button>
+                    {renderChangesButton('tos')}
+                  </div>
                 ) : (
                   <span className="policy-missing">Not detected</span>
                 )}
               </div>
+              {renderMetrics('tos')}
 
               <div className="policy-item">
-                <span className="policy-label">Privacy Policy:</span>
+                <span className="policy-label">Privacy Policy: {renderConfidence('privacy')}</span>
                 {currentSite?.privacy_policy_url ? (
-                  <button 
-                    className="policy-link"
-                    onClick={() => openLink(currentSite.privacy_policy_url)}
-                  >
-                    View Privacy Policy
-                  </button>
+                  <div className="policy-actions">
+                    <button 
+                      className="policy-link"
+                      title={getDiscoveryTitle('privacy')}
+                      onClick={() => openLink(currentSite.privacy_policy_url)}
+                    >
+                      View Privacy Policy
+                    </button>
+                    {renderChangesButton('privacy')}
+                  </div>
                 ) : (
                   <span className="policy-missing">Not detected</span>
                 )}
               </div>
+              {renderMetrics('privacy')}
+
+              {getPolicyDocuments(currentSite)
+                .filter(policyDocument => !['tos', 'privacy'].includes(policyDocument.type))
+                .map(policyDocument => (
+                  <React.Fragment key={policyDocument.type}>
+                    <div className="policy-item">
+                      <span className="policy-label">
+                        {POLICY_TYPES[policyDocument.type] || policyDocument.type}:{' '}
+                        {renderConfidence(policyDocument.type)}
+                      </span>
+                      <div className="policy-actions">
+                        <button 
+                          className="policy-link"
+                          title={getDiscoveryTitle(policyDocument.type)}
+                          onClick={() => openLink(policyDocument.url)}
+                        >
+                          View
+                        </button>
+                        {renderChangesButton(policyDocument.type)}
+                      </div>
+                    </div>
+                    {renderMetrics(policyDocument.type)}
+                  </React.Fragment>
+                ))}
 
-              {(currentSite?.tos_url || currentSite?.privacy_policy_url) && (
+              {getPolicyDocuments(currentSite).length > 0 && (
                 <div className="tracking-status">
                   <span className="status-indicator status-active"></span>
                   <small>Tracking enabled for this site</small>
@@ -486,6 +828,338 @@ const Popup = () => {
               )}
             </div>
 
+            {Object.keys(policySummaries).length > 0 && (
+              <div className="policy-section">
+                <h2>TL;DR</h2>
+
+                {Object.entries(policySummaries).map(([type, summary]) => (
+                  <div className="summary-group" key={type}>
+                    <h3>{POLICY_TYPES[type] || type}</h3>
+                    <ul className="summary-list">
+                      {summary.bullets.map((bullet, index) => (
+                        <li key={index}>
+                          <button
+                            className={`summary-bullet ${bullet.clause ? 'summary-flagged' : ''}`}
+                            title={bullet.section ? `Section: ${bullet.section}` : 'Open in policy'}
+                            onClick={() => openLink(textFragmentUrl(summary.url, bullet.text))}
+                          >
+                            {bullet.text}
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {clauseFindings.length > 0 && (
+              <div className="policy-section">
+                <h2>Key Clauses</h2>
+
+                {clauseFindings.map(finding => (
+                  <div
+                    className="clause-item"
+                    key={`${finding.policy_type}:${finding.rule}`}
+                    title={finding.paragraphs[0]?.text}
+                  >
+                    <div className="clause-header">
+                      <span className={`clause-severity severity-${finding.severity}`}>
+                        {CLAUSE_SEVERITIES[finding.severity]}
+                      </span>
+                      <span className="clause-label">{finding.label}</span>
+                      <small className="clause-source">
+                        {POLICY_TYPES[finding.policy_type] || finding.policy_type}
+                      </small>
+                    </div>
+                    <p className="clause-excerpt">“{finding.paragraphs[0]?.sentence}”</p>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {thirdParties?.count > 0 && (
+              <div className="policy-section">
+                <h2>Third Parties</h2>
+                <p className="third-party-summary">
+                  Contacts {thirdParties.count} third part{thirdParties.count === 1 ? 'y' : 'ies'}
+                  {thirdParties.tracker_count > 0 && ` (${thirdParties.tracker_count} known trackers)`}
+                </p>
+
+                {thirdParties.parties
+                  .slice(0, showAllThirdParties ? undefined : 6)
+                  .map(party => (
+                    <div className="third-party-item" key={party.domain} title={party.hosts.join('\n')}>
+                      <span className="third-party-domain">
+                        {party.tracker ? party.tracker.name : party.domain}
+                        {party.tracker && (
+                          <small> · {TRACKER_CATEGORIES[party.tracker.category]}</small>
+                        )}
+                      </span>
+                      {party.mentioned === false && (
+                        <span className="third-party-unmentioned" title="The privacy policy never names this third party">
+                          Not in policy
+                        </span>
+                      )}
+                    </div>
+                  ))}
+
+                {thirdParties.parties.length > 6 && (
+                  <button
+                    className="show-more-btn"
+                    onClick={() => setShowAllThirdParties(!showAllThirdParties)}
+                  >
+                    {showAllThirdParties ? 'Show less' : `Show all ${thirdParties.parties.length}`}
+                  </button>
+                )}
+              </div>
+            )}
+
+            {siteRecord?.dark_patterns && (
+              <div className="policy-section">
+                <h2>Cookie Banner</h2>
+
+                {siteRecord.dark_patterns.flags.length === 0 && (
+                  <p className="fact-positive">No dark patterns found in the consent banner.</p>
+                )}
+
+                {sortDarkPatternFlags(siteRecord.dark_patterns.flags)
+                  .filter(flag => DARK_PATTERNS[flag.id])
+                  .map(flag => (
+                    <div className="clause-item" key={flag.id} title={DARK_PATTERNS[flag.id].description}>
+                      <div className="clause-header">
+                        <span className={`clause-severity severity-${DARK_PATTERNS[flag.id].severity}`}>
+                          {CLAUSE_SEVERITIES[DARK_PATTERNS[flag.id].severity]}
+                        </span>
+                        <span className="clause-label">{DARK_PATTERNS[flag.id].label}</span>
+                      </div>
+                      <p className="clause-excerpt">{flag.detail}</p>
+                    </div>
+                  ))}
+              </div>
+            )}
+
+            {siteRecord?.consent && (
+              <div className="policy-section">
+                <h2>Your Consent</h2>
+
+                <div className="policy-item">
+                  <span className="policy-label">Consent platform:</span>
+                  <span>
+                    {siteRecord.consent.cmp?.name ||
+                      (siteRecord.consent.tcf?.cmp_id ? `IAB TCF CMP #${siteRecord.consent.tcf.cmp_id}` : 'Unknown')}
+                  </span>
+                </div>
+
+                {siteRecord.consent.banner_visible && (
+                  <p className="consent-note">The consent banner was still showing; no choice was recorded yet.</p>
+                )}
+
+                {siteRecord.consent.tcf && (
+                  <>
+                    <div className="policy-item">
+                      <span className="policy-label">Purposes accepted:</span>
+                      <span>
+                        {siteRecord.consent.tcf.purposes_accepted.length} of {Object.keys(TCF_PURPOSES).length}
+                      </span>
+                    </div>
+                    <div className="policy-item">
+                      <span className="policy-label">Vendors with consent:</span>
+                      <span>{siteRecord.consent.tcf.vendors_accepted.length}</span>
+                    </div>
+
+                    {showConsentDetails && (
+                      <ul className="consent-purposes">
+                        {Object.entries(TCF_PURPOSES).map(([id, label]) => {
+                          const accepted = siteRecord.consent.tcf.purposes_accepted.includes(Number(id));
+                          const legitimateInterest = siteRecord.consent.tcf.legitimate_interests.includes(Number(id));
+                          return (
+                            <li key={id} className={accepted ? 'consent-accepted' : 'consent-refused'}>
+                              {accepted ? '✓' : '✗'} {label}
+                              {!accepted && legitimateInterest && <small> · legitimate interest</small>}
+                            </li>
+                          );
+                        })}
+                        {Object.entries(TCF_SPECIAL_FEATURES).map(([id, label]) => {
+                          const accepted = siteRecord.consent.tcf.special_features.includes(Number(id));
+                          return (
+                            <li key={`sf-${id}`} className={accepted ? 'consent-accepted' : 'consent-refused'}>
+                              {accepted ? '✓' : '✗'} {label}
+                            </li>
+                          );
+                        })}
+                      </ul>
+                    )}
+
+                    {siteRecord.consent.tcf.tc_string && (
+                      <div className="contact-item">
+                        <span className="contact-value consent-string" title={siteRecord.consent.tcf.tc_string}>
+                          {siteRecord.consent.tcf.tc_string.substring(0, 32)}…
+                          <small> · TC string</small>
+                        </span>
+                        <button className="contact-copy-btn" onClick={() => copyContact(siteRecord.consent.tcf.tc_string)}>
+                          {copiedContact === siteRecord.consent.tcf.tc_string ? 'Copied' : 'Copy'}
+                        </button>
+                      </div>
+                    )}
+
+                    <button className="show-more-btn" onClick={() => setShowConsentDetails(!showConsentDetails)}>
+                      {showConsentDetails ? 'Hide purposes' : 'Show purposes'}
+                    </button>
+                  </>
+                )}
+
+                {siteRecord.consent.gpp?.applicable_sections?.some(id => GPP_SECTIONS[id]) && (
+                  <div className="policy-item">
+                    <span className="policy-label">GPP sections:</span>
+                    <span>
+                      {siteRecord.consent.gpp.applicable_sections
+                        .filter(id => GPP_SECTIONS[id])
+                        .map(id => GPP_SECTIONS[id])
+                        .join(', ')}
+                    </span>
+                  </div>
+                )}
+
+                {typeof siteRecord.consent.usp?.opted_out_of_sale === 'boolean' && (
+                  <div className="policy-item">
+                    <span className="policy-label">Opted out of sale:</span>
+                    {siteRecord.consent.usp.opted_out_of_sale ? (
+                      <span className="fact-positive">Yes</span>
+                    ) : (
+                      <span className="policy-missing">No</span>
+                    )}
+                  </div>
+                )}
+
+                <p className="consent-captured">
+                  Captured {new Date(siteRecord.consent.captured_at).toLocaleString()}
+                </p>
+              </div>
+            )}
+
+            {siteContacts && (siteContacts.emails.length > 0 || siteContacts.web_forms.length > 0 ||
+              siteContacts.postal_addresses.length > 0 || siteContacts.legal_entity) && (
+              <div className="policy-section">
+                <h2>Privacy Contacts</h2>
+
+                {siteContacts.legal_entity && (
+                  <div className="contact-item">
+                    <span className="contact-value">
+                      {siteContacts.legal_entity}
+                      <small> · Company</small>
+                    </span>
+                  </div>
+                )}
+
+                {siteContacts.dpo?.name && (
+                  <div className="contact-item">
+                    <span className="contact-value">
+                      {siteContacts.dpo.name}
+                      <small> · {CONTACT_ROLES.dpo}</small>
+                    </span>
+                  </div>
+                )}
+
+                {siteContacts.emails.map(email => (
+                  <div className="contact-item" key={email.address}>
+                    <span className="contact-value">
+                      {email.address}
+                      {email.role !== 'general' && <small> · {CONTACT_ROLES[email.role]}</small>}
+                    </span>
+                    <button className="contact-copy-btn" onClick={() => copyContact(email.address)}>
+                      {copiedContact === email.address ? 'Copied' : 'Copy'}
+                    </button>
+                  </div>
+                ))}
+
+                {siteContacts.postal_addresses.map(address => (
+                  <div className="contact-item" key={address}>
+                    <span className="contact-value contact-address">{address}</span>
+                    <button className="contact-copy-btn" onClick={() => copyContact(address)}>
+                      {copiedContact === address ? 'Copied' : 'Copy'}
+                    </button>
+                  </div>
+                ))}
+
+                {siteContacts.web_forms.map(form => (
+                  <div className="contact-item" key={form.url}>
+                    <span className="contact-value" title={form.url}>
+                      {form.label}
+                      <small> · Web form</small>
+                    </span>
+                    <button className="contact-copy-btn" onClick={() => openLink(form.url)}>
+                      Open
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {siteRecord?.well_known && (
+              <div className="policy-section">
+                <h2>Site Declarations</h2>
+
+                <div className="policy-item">
+                  <span className="policy-label">Global Privacy Control:</span>
+                  {siteRecord.well_known.gpc?.supported ? (
+                    <span className="fact-positive">Honored</span>
+                  ) : (
+                    <span className="policy-missing">
+                      {siteRecord.well_known.gpc?.found ? 'Not honored' : 'Not declared'}
+                    </span>
+                  )}
+                </div>
+
+                {gpcStatus && (
+                  <div className="policy-item">
+                    <span className="policy-label">Sending GPC:</span>
+                    {gpcStatus.sending ? (
+                      <span className="fact-positive">On</span>
+                    ) : (
+                      <span className="policy-missing" title="Change this in Settings">Off</span>
+                    )}
+                  </div>
+                )}
+
+                <div className="policy-item">
+                  <span className="policy-label">Security Contact:</span>
+                  {siteRecord.well_known.security_txt?.contacts?.length > 0 ? (
+                    <button 
+                      className="policy-link"
+                      title={siteRecord.well_known.security_txt.contacts.join('\n')}
+                      onClick={() => openLink(siteRecord.well_known.security_txt.contacts[0])}
+                    >
+                      Contact
+                    </button>
+                  ) : (
+                    <span className="policy-missing">Not declared</span>
+                  )}
+                </div>
+
+                {siteRecord.well_known.security_txt?.policy && (
+                  <div className="policy-item">
+                    <span className="policy-label">Security Policy:</span>
+                    <button 
+                      className="policy-link"
+                      onClick={() => openLink(siteRecord.well_known.security_txt.policy)}
+                    >
+                      View
+                    </button>
+                  </div>
+                )}
+
+                <div className="policy-item">
+                  <span className="policy-label">Do Not Track Policy:</span>
+                  {siteRecord.well_known.dnt_policy?.found ? (
+                    <span className="fact-positive">Published</span>
+                  ) : (
+                    <span className="policy-missing">Not declared</span>
+                  )}
+                </div>
+              </div>
+            )}
+
             <div className="actions-section">
               <button className="refresh-btn" onClick={() => refreshData(false)}>
                 Refresh Data
@@ -495,6 +1169,24 @@ const Popup = () => {
                   Force Update
                 </button>
               )}
+              {Object.keys(dataPractices).length > 0 && (
+                <button 
+                  className="options-btn"
+                  onClick={() => openLink(chrome.runtime.getURL(`report.html?domain=${encodeURIComponent(currentSite.domain)}`))}
+                >
+                  Data Practices
+                </button>
+              )}
+              {currentSite?.domain && (
+                <>
+                  <button className="options-btn" onClick={() => openDataRequest('access')}>
+                    Request My Data
+                  </button>
+                  <button className="options-btn" onClick={() => openDataRequest('deletion')}>
+                    Delete My Data
+                  </button>
+                </>
+              )}
               <button 
                 className="options-btn"
                 onClick={() => chrome.runtime.openOptionsPage()}
@@ -518,6 +1210,72 @@ const Popup = () => {
           </div>
         )}
 
+        {/* Cookie Inventory Tab */}
+        {activeTab === 'cookies' && (
+          <div className="cookies-tab">
+            {cookieLoading && <div className="loading">Loading cookies...</div>}
+
+            {!cookieLoading && cookieReport && (
+              <>
+                <div className="cookie-summary">
+                  <span>{cookieReport.first_party_count} first-party</span>
+                  <span>{cookieReport.third_party_count} third-party</span>
+                  {cookieReport.pre_consent_count > 0 && (
+                    <span className="cookie-warning">
+                      {cookieReport.pre_consent_count} set before consent
+                    </span>
+                  )}
+                </div>
+
+                <p className="cookie-policy-note">
+                  {cookieReport.policy ? (
+                    <>
+                      Compared with the{' '}
+                      <button className="inline-link" onClick={() => openLink(cookieReport.policy.url)}>
+                        {POLICY_TYPES[cookieReport.policy.type].toLowerCase()}
+                      </button>
+                      : {cookieReport.undisclosed_count} cookie{cookieReport.undisclosed_count === 1 ? '' : 's'} not mentioned.
+                    </>
+                  ) : (
+                    'No cookie policy text stored yet, so cookies could not be cross-checked.'
+                  )}
+                </p>
+
+                <div className="cookie-list">
+                  {cookieReport.cookies.map(cookie => (
+                    <div
+                      className={`cookie-item ${cookie.pre_consent ? 'cookie-flagged' : ''}`}
+                      key={cookie.key}
+                      title={[
+                        `Domain: ${cookie.domain}`,
+                        cookie.expires ? `Expires: ${new Date(cookie.expires).toLocaleDateString()}` : 'Session cookie',
+                        `Secure: ${cookie.secure ? 'yes' : 'no'}`,
+                        `HttpOnly: ${cookie.http_only ? 'yes' : 'no'}`,
+                        `SameSite: ${cookie.same_site}`
+                      ].join('\n')}
+                    >
+                      <div className="cookie-item-header">
+                        <span className="cookie-name">{cookie.name}</span>
+                        <span className="cookie-lifetime">{formatLifetime(cookie)}</span>
+                      </div>
+                      <div className="cookie-item-details">
+                        <span>{cookie.party === 'first' ? '1st party' : cookie.domain.replace(/^\./, '')}</span>
+                        <span>{COOKIE_CATEGORIES[cookie.category]}</span>
+                        {cookie.pre_consent && <span className="cookie-warning">Before consent</span>}
+                        {cookie.disclosed === false && <span className="cookie-undisclosed">Not in policy</span>}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                <button className="refresh-btn" onClick={loadCookieReport}>
+                  Refresh Cookies
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
         {/* Session Management Tab */}
         {activeTab === 'sessions' && (
           <div className="sessions-tab">
@@ -0,0 +1,198 @@
+// src/report/Report.jsx
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { POLICY_TYPES } from '../utils/dataModels';
+import { PRACTICE_GROUPS } from '../utils/dataPractices';
+import { CLAUSE_SEVERITIES } from '../utils/clauseAnalyzer';
+import './report.css';
+
+// report.html?domain=example.com, #clauses jumps to the risky clauses
+const Report = () => {
+  const domain = useMemo(() => new URLSearchParams(window.location.search).get('domain') || '', []);
+
+  const [practices, setPractices] = useState({});
+  const [findings, setFindings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadDataPractices();
+    loadClauseFindings();
+  }, []);
+
+  // The section is rendered after the findings arrive
+  useEffect(() => {
+    if (findings.length > 0 && window.location.hash === '#clauses') {
+      document.getElementById('clauses')?.scrollIntoView();
+    }
+  }, [findings]);
+
+  const sendMessage = (message) => {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(response || {});
+        }
+      });
+    });
+  };
+
+  const loadDataPractices = async () => {
+    try {
+      const response = await sendMessage({ action: 'getDataPractices', domain });
+      if (response.success) {
+        setPractices(response.data || {});
+      } else {
+        setError(response.error || 'Failed to load data practices');
+      }
+    } catch (err) {
+      setError('Failed to load data practices');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadClauseFindings = async () => {
+    try {
+      const response = await sendMessage({ action: 'getClauseFindings', domain });
+      if (response.success) {
+        setFindings(response.data || []);
+      }
+    } catch (err) {
+      console.error('Failed to load clause findings:', err);
+    }
+  };
+
+  const policyTypes = Object.keys(practices);
+
+  // One row per practice, with the evidence from each policy that states it
+  const rowsFor = (group) => {
+    const rows = new Map();
+
+    policyTypes.forEach(type => {
+      (practices[type].practices[group] || []).forEach(item => {
+        if (!rows.has(item.id)) {
+          rows.set(item.id, { id: item.id, label: item.label, sources: {} });
+        }
+        rows.get(item.id).sources[type] = item.evidence;
+      });
+    });
+
+    return Array.from(rows.values());
+  };
+
+  return (
+    <div className="report-container">
+      <header className="report-header">
+        <h1>Policy Analysis</h1>
+        <p>{domain}</p>
+      </header>
+
+      <main className="report-content">
+        {loading && <div className="report-loading">Loading...</div>}
+        {error && <div className="report-error">{error}</div>}
+
+        {!loading && !error && policyTypes.length === 0 && (
+          <div className="report-empty">
+            No policy text has been stored for this site yet. Visit the site with tracking enabled first.
+          </div>
+        )}
+
+        {!loading && !error && findings.length > 0 && (
+          <section id="clauses" className="report-section">
+            <h2>Risky Clauses</h2>
+            <ul className="clause-list">
+              {findings.map(finding => (
+                <li key={`${finding.policy_type}-${finding.rule}`} className="clause-entry">
+                  <div className="clause-entry-header">
+                    <span className={`clause-severity severity-${finding.severity}`}>
+                      {CLAUSE_SEVERITIES[finding.severity]}
+                    </span>
+                    <strong>{finding.label}</strong>
+                    <small>
+                      <a href={finding.policy_url} target="_blank" rel="noopener noreferrer">
+                        {POLICY_TYPES[finding.policy_type] || finding.policy_type}
+                      </a>
+                    </small>
+                  </div>
+                  <p className="clause-description">{finding.description}</p>
+                  {finding.paragraphs.map((paragraph, index) => (
+                    <blockquote key={index} className="clause-quote">
+                      {paragraph.section && <small>{paragraph.section}</small>}
+                      “{paragraph.sentence}”
+                    </blockquote>
+                  ))}
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {!loading && !error && policyTypes.length > 0 && (
+          <section className="report-section">
+            <h2>Data Practices</h2>
+            <p className="report-sources">
+              Extracted from{' '}
+              {policyTypes.map((type, index) => (
+                <span key={type}>
+                  {index > 0 && ', '}
+                  <a href={practices[type].url} target="_blank" rel="noopener noreferrer">
+                    {POLICY_TYPES[type] || type}
+                  </a>{' '}
+                  <small>({new Date(practices[type].analyzed_at).toLocaleDateString()}, version {practices[type].hash.substring(0, 8)})</small>
+                </span>
+              ))}
+            </p>
+
+            <table className="practices-table">
+              <thead>
+                <tr>
+                  <th>Practice</th>
+                  {policyTypes.map(type => (
+                    <th key={type}>{POLICY_TYPES[type] || type}</th>
+                  ))}
+                  <th>What the policy says</th>
+                </tr>
+              </thead>
+              {Object.entries(PRACTICE_GROUPS).map(([group, groupLabel]) => {
+                const rows = rowsFor(group);
+
+                return (
+                  <tbody key={group}>
+                    <tr className="practice-group">
+                      <th colSpan={policyTypes.length + 2}>{groupLabel}</th>
+                    </tr>
+                    {rows.length === 0 && (
+                      <tr>
+                        <td className="practice-missing" colSpan={policyTypes.length + 2}>
+                          Not stated
+                        </td>
+                      </tr>
+                    )}
+                    {rows.map(row => (
+                      <tr key={row.id}>
+                        <td className="practice-label">{row.label}</td>
+                        {policyTypes.map(type => (
+                          <td key={type} className="practice-mark">
+                            {row.sources[type] ? '●' : ''}
+                          </td>
+                        ))}
+                        <td className="practice-evidence">
+                          {Object.values(row.sources)[0][0]}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                );
+              })}
+            </table>
+          </section>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Report;
@@ -0,0 +1,9 @@
+// src/report/index.js
+
+import React from "react";
+import { createRoot } from "react-dom/client";
+import Report from "./Report";
+
+const container = document.getElementById("root");
+const root = createRoot(container);
+root.render(<Report />);
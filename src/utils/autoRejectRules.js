@@ -0,0 +1,202 @@
+// src/utils/autoRejectRules.js
+
+/**
+ * Click sequences that answer a consent banner with "reject all" or
+ * "necessary only", keyed by the CMP ids of CMP_SIGNATURES. The bundled
+ * set is replaced by a newer one from the rules endpoint when available.
+ *
+ * Steps run in order; a step that can't be completed fails the rule:
+ *   { click: selector, text?: pattern, optional?: true }  first visible match
+ *   { uncheck: selector }         every checked toggle among the matches
+ *   { waitFor: selector, timeout?: ms }
+ *   { wait: ms }
+ *   { if: selector, then: [steps], else: [steps] }   on a visible match
+ *
+ * `verify` names the CMP state checked once the steps ran: the TCF purpose
+ * consents, and page globals compared with `equals` or `notMatches`.
+ */
+
+export const AUTO_REJECT_RULES = {
+  version: 1,
+  rules: {
+    onetrust: {
+      steps: [
+        {
+          if: '#onetrust-reject-all-handler',
+          then: [{ click: '#onetrust-reject-all-handler' }],
+          else: [
+            { click: '#onetrust-pc-btn-handler' },
+            { waitFor: '#onetrust-pc-sdk .save-preference-btn-handler' },
+            { uncheck: '#onetrust-pc-sdk input[type="checkbox"]:not(:disabled)' },
+            { click: '#onetrust-pc-sdk .save-preference-btn-handler' }
+          ]
+        }
+      ],
+      // C0001 is the strictly necessary group
+      verify: { tcf: true, globals: [{ path: 'OnetrustActiveGroups', notMatches: 'C000[2-5]' }] }
+    },
+    cookiebot: {
+      steps: [
+        {
+          if: '#CybotCookiebotDialogBodyButtonDecline',
+          then: [{ click: '#CybotCookiebotDialogBodyButtonDecline' }],
+          else: [
+            { uncheck: '#CybotCookiebotDialog input[type="checkbox"]:not(:disabled)' },
+            { click: '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowallSelection, #CybotCookiebotDialogBodyLevelButtonAccept' }
+          ]
+        }
+      ],
+      verify: {
+        tcf: true,
+        globals: [
+          { path: 'Cookiebot.consent.preferences', equals: false },
+          { path: 'Cookiebot.consent.statistics', equals: false },
+          { path: 'Cookiebot.consent.marketing', equals: false }
+        ]
+      }
+    },
+    didomi: {
+      steps: [{ click: '#didomi-notice-disagree-button, .didomi-continue-without-agreeing' }],
+      verify: { tcf: true }
+    },
+    usercentrics: {
+      steps: [{ click: 'button[data-testid="uc-deny-all-button"]' }],
+      verify: { tcf: true }
+    },
+    trustarc: {
+      steps: [{ click: '#truste-consent-required' }],
+      verify: {}
+    },
+    quantcast: {
+      steps: [{ click: '.qc-cmp2-summary-buttons button', text: '^(disagree|reject|decline|i do not accept)' }],
+      verify: { tcf: true }
+    },
+    osano: {
+      steps: [{ click: '.osano-cm-denyAll, .osano-cm-button--type_denyAll' }],
+      verify: {}
+    },
+    cookieyes: {
+      steps: [{ click: '.cky-btn-reject' }],
+      verify: {}
+    },
+    complianz: {
+      steps: [{ click: '.cmplz-btn.cmplz-deny' }],
+      verify: {}
+    },
+    iubenda: {
+      steps: [{ click: '.iubenda-cs-reject-btn' }],
+      verify: { tcf: true }
+    },
+    termly: {
+      steps: [{ click: '[data-tid="banner-decline"]' }],
+      verify: {}
+    },
+    borlabs: {
+      steps: [{ click: '#BorlabsCookieBox [data-cookie-refuse], #BorlabsCookieBox ._brlbs-refuse-btn a' }],
+      verify: {}
+    },
+    cookielawinfo: {
+      steps: [{ click: '#cookie_action_close_header_reject, .cli-bar-btn_container .cookie_action_close_header_reject' }],
+      verify: {}
+    },
+    klaro: {
+      steps: [{ click: '.klaro .cn-decline' }],
+      verify: {}
+    },
+    cookieconsent: {
+      steps: [{ click: '.cc-window .cc-deny, #cc-main [data-role="necessary"]' }],
+      verify: {}
+    },
+    consentmanager: {
+      steps: [{ click: '.cmpboxbtnno, .cmpboxbtnreject' }],
+      verify: { tcf: true }
+    },
+    axeptio: {
+      steps: [{ click: '#axeptio_btn_dismiss' }],
+      verify: {}
+    }
+    // Sourcepoint renders its message in a cross-origin frame the top-frame
+    // script can't click into
+  }
+};
+
+export const AUTO_REJECT_OUTCOMES = {
+  rejected: 'Rejected',
+  unverified: 'Dismissed, not confirmed',
+  failed: 'Failed'
+};
+
+const STEP_KINDS = ['click', 'uncheck', 'waitFor', 'wait', 'if'];
+const MAX_STEPS = 20;
+const MAX_WAIT = 10000;
+export const MAX_WAIT_FOR_TIMEOUT = 10000;
+// Patterns come from the server; long ones are the ones that backtrack
+const MAX_PATTERN_LENGTH = 200;
+
+// Only shape and length: the service worker has no DOM to parse selectors
+// with, so the content script checks their syntax before running a rule
+const isSelector = (value) => typeof value === 'string' && value.length > 0 && value.length <= 500;
+
+// Patterns are compiled by the content script; one that doesn't compile
+// would throw there
+const isPattern = (value) => {
+  if (typeof value !== 'string' || value.length > MAX_PATTERN_LENGTH) return false;
+  try {
+    new RegExp(value, 'i');
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isPrimitive = (value) => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+
+const isValidStep = (step) => {
+  if (!step || typeof step !== 'object') return false;
+
+  const kinds = STEP_KINDS.filter(kind => kind in step);
+  if (kinds.length !== 1) return false;
+
+  switch (kinds[0]) {
+    case 'wait':
+      return Number.isFinite(step.wait) && step.wait >= 0 && step.wait <= MAX_WAIT;
+    case 'waitFor':
+      return isSelector(step.waitFor) &&
+        (step.timeout === undefined ||
+          (Number.isFinite(step.timeout) && step.timeout >= 0 && step.timeout <= MAX_WAIT_FOR_TIMEOUT));
+    case 'if':
+      return isSelector(step.if) && isValidSteps(step.then) && (step.else === undefined || isValidSteps(step.else));
+    case 'click':
+      return isSelector(step.click) && (step.text === undefined || isPattern(step.text));
+    default:
+      return isSelector(step[kinds[0]]);
+  }
+};
+
+const isValidSteps = (steps) =>
+  Array.isArray(steps) && steps.length > 0 && steps.length <= MAX_STEPS && steps.every(isValidStep);
+
+// Exactly one of `equals` (a plain value) and `notMatches` (a pattern)
+const isValidCheck = (check) =>
+  !!check && typeof check.path === 'string' && /^[\w$]+(\.[\w$]+)*$/.test(check.path) &&
+  ('equals' in check
+    ? check.notMatches === undefined && isPrimitive(check.equals)
+    : isPattern(check.notMatches));
+
+/**
+ * Whether a downloaded rule set can be used. Rules are data only: unknown
+ * step kinds, out-of-range waits, patterns that don't compile and empty or
+ * overlong selectors reject the whole set. Selector syntax is checked by the
+ * content script.
+ */
+export const isValidRuleSet = (ruleSet) => {
+  if (!ruleSet || !Number.isInteger(ruleSet.version) || !ruleSet.rules || typeof ruleSet.rules !== 'object') {
+    return false;
+  }
+
+  return Object.values(ruleSet.rules).every(rule =>
+    rule && isValidSteps(rule.steps) &&
+    (!rule.verify || !rule.verify.globals ||
+      (Array.isArray(rule.verify.globals) && rule.verify.globals.every(isValidCheck)))
+  );
+};
@@ -0,0 +1,225 @@
+// src/utils/clauseAnalyzer.js
+
+/**
+ * Offline, rule-based detection of risky clauses in policy text.
+ * Rules match single sentences so that negations elsewhere in a paragraph
+ * ("we do not sell your data") don't cancel or trigger a finding.
+ */
+
+export const CLAUSE_SEVERITIES = {
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low'
+};
+
+const SEVERITY_RANK = { high: 0, medium: 1, low: 2 };
+
+// Paragraphs quoted per rule; the first one is shown in the popup
+const MAX_PARAGRAPHS_PER_RULE = 3;
+
+// Bump when rules change so cached findings are recomputed
+export const CLAUSE_RULES_VERSION = 2;
+
+// "do not", "don't", "won't", "cannot", "never", ... in front of a verb
+const NEGATION = String.raw`(?:(?:do|does|did|will|shall|would|can|could)\s+not|(?:don|doesn|didn|won|wouldn|can|couldn)['’]?t|cannot|never)`;
+const negated = (verbs) => new RegExp(String.raw`\b${NEGATION}\s+(?:\w+\s+){0,2}?(?:${verbs})\b`, 'i');
+
+export const CLAUSE_RULES = [
+  {
+    id: 'forced_arbitration',
+    label: 'Forced arbitration',
+    severity: 'high',
+    description: 'Disputes go to private arbitration instead of a court.',
+    patterns: [
+      /\b(binding|mandatory|final and binding)\s+(individual\s+)?arbitration\b/i,
+      /\bagree(s)?\s+to\s+arbitrate\b/i,
+      /\bdisputes?\b.{0,120}\b(resolved|settled|decided)\b.{0,60}\barbitration\b/i
+    ],
+    exclude: [
+      /\bnot\s+(be\s+)?(subject|required)\s+to\s+arbitration\b/i,
+      /\bnot\s+(by|through|via|in|to)\s+(binding\s+|mandatory\s+)?arbitration\b/i,
+      negated('be\\s+(resolved|settled|decided)|arbitrate')
+    ]
+  },
+  {
+    id: 'class_action_waiver',
+    label: 'Class action waiver',
+    severity: 'high',
+    description: 'You give up the right to join class actions or collective claims.',
+    patterns: [
+      /\bwaive\b.{0,80}\bclass[\s-]+(action|arbitration|wide)\b/i,
+      /\bclass[\s-]+action\b.{0,80}\bwaive/i,
+      /\bonly\s+(on\s+)?an?\s+individual\s+basis\b/i,
+      /\bnot\s+as\s+a\s+plaintiff\s+or\s+class\s+member\b/i
+    ]
+  },
+  {
+    id: 'jury_trial_waiver',
+    label: 'Jury trial waiver',
+    severity: 'medium',
+    description: 'You give up the right to a jury trial.',
+    patterns: [
+      /\bwaive\b.{0,60}\bright\s+to\s+(a\s+)?(trial\s+by\s+)?jury\b/i,
+      /\bwaive\b.{0,60}\bjury\s+trial\b/i
+    ]
+  },
+  {
+    id: 'unilateral_changes',
+    label: 'Unilateral changes',
+    severity: 'medium',
+    description: 'The terms can be changed without your agreement.',
+    patterns: [
+      /\b(we|company)\s+(may|can|reserve\s+the\s+right\s+to)\s+(modify|change|amend|update|revise)\b.{0,100}\b(at\s+any\s+time|without\s+(prior\s+)?notice|sole\s+discretion)\b/i,
+      /\bcontinued\s+use\b.{0,100}\b(constitutes|means|signifies|indicates|deemed)\b.{0,60}\baccept/i
+    ]
+  },
+  {
+    id: 'auto_renewal',
+    label: 'Automatic renewal',
+    severity: 'medium',
+    description: 'Subscriptions renew and charge you automatically.',
+    patterns: [
+      /\bautomatically\s+renew/i,
+      /\bauto[\s-]?renew/i,
+      /\brenews?\s+automatically\b/i,
+      /\brecurring\s+(billing|charges?|payments?|fees?)\b/i
+    ]
+  },
+  {
+    id: 'broad_content_license',
+    label: 'Broad license to your content',
+    severity: 'high',
+    description: 'The service may use, modify and sublicense what you upload.',
+    patterns: [
+      /\b(perpetual|irrevocable|sub-?licensable|transferable)\b.{0,120}\blicen[cs]e\b/i,
+      /\blicen[cs]e\b.{0,120}\b(perpetual|irrevocable|sub-?licensable)\b/i
+    ]
+  },
+  {
+    id: 'data_sale_sharing',
+    label: 'Data sale or sharing',
+    severity: 'high',
+    description: 'Personal data is sold or shared with third parties for their own purposes.',
+    patterns: [
+      /\b(sell|sale\s+of|rent)\b.{0,60}\b(personal\s+(data|information)|your\s+(personal\s+)?(data|information)|information\s+about\s+you)\b/i,
+      /\bshare\b.{0,100}\b(third[\s-]part(y|ies)|advertis(ers|ing\s+partners)|data\s+brokers)\b.{0,80}\b(advertising|marketing|their\s+own\s+purposes)\b/i,
+      /\bdata\s+brokers?\b/i
+    ],
+    exclude: [
+      negated('sell|rent|trade|share'),
+      /\bright\s+to\s+opt[\s-]out\s+of\s+the\s+sale\b/i
+    ]
+  },
+  {
+    id: 'indefinite_retention',
+    label: 'Indefinite data retention',
+    severity: 'medium',
+    description: 'No fixed limit on how long your data is kept.',
+    patterns: [
+      /\b(retain|keep|store|hold)\b.{0,80}\b(indefinitely|for\s+an\s+indefinite\s+period|permanently)\b/i,
+      /\b(retain|keep|store)\b.{0,80}\bas\s+long\s+as\s+(we\s+deem|necessary\s+for\s+our\s+(business|legitimate))\b/i,
+      /\beven\s+after\b.{0,60}\b(delete|close|terminate)\b.{0,40}\baccount\b/i
+    ]
+  },
+  {
+    id: 'termination_without_cause',
+    label: 'Termination without cause',
+    severity: 'medium',
+    description: 'Your account can be suspended or closed for any reason.',
+    patterns: [
+      /\b(suspend|terminate|disable)\b.{0,80}\b(for\s+any\s+reason|without\s+(cause|reason|notice)|sole\s+discretion)\b/i
+    ]
+  },
+  {
+    id: 'liability_limitation',
+    label: 'Broad liability limitation',
+    severity: 'low',
+    description: 'The service disclaims most responsibility for damages.',
+    patterns: [
+      /\bin\s+no\s+event\s+(shall|will)\b.{0,100}\bliable\b/i,
+      /\b(shall|will)\s+not\s+be\s+liable\s+for\s+any\b.{0,80}\b(indirect|consequential|incidental|special)\b/i
+    ]
+  },
+  {
+    id: 'biometric_data',
+    label: 'Biometric data',
+    severity: 'medium',
+    description: 'Biometric identifiers such as face or voice prints are collected.',
+    patterns: [/\bbiometric\b/i, /\b(face\s*prints?|face\s+geometry|voice\s*prints?|fingerprints?)\b/i],
+    exclude: [negated('collect|use|store|process|obtain'), /\bno\s+biometric\b/i]
+  },
+  {
+    id: 'precise_location',
+    label: 'Precise location',
+    severity: 'low',
+    description: 'Exact (GPS-level) location is collected.',
+    patterns: [/\b(precise|exact|gps)\s+(geo)?location\b/i],
+    exclude: [negated('collect|use|store|track|access')]
+  }
+];
+
+const SENTENCE_PATTERN = /[^.!?;]+(?:[.!?;]+|$)/g;
+
+const splitSentences = (text) =>
+  (text.match(SENTENCE_PATTERN) || [text]).map(sentence => sentence.trim()).filter(Boolean);
+
+const matchSentence = (rule, sentence) =>
+  rule.patterns.some(pattern => pattern.test(sentence)) &&
+  !(rule.exclude || []).some(pattern => pattern.test(sentence));
+
+// Stored documents carry blocks; plain text falls back to blank-line paragraphs
+const toBlocks = (document) => {
+  if (Array.isArray(document.blocks) && document.blocks.length > 0) {
+    return document.blocks;
+  }
+
+  return (document.text || '')
+    .split(/\n{2,}/)
+    .map(text => text.trim())
+    .filter(Boolean)
+    .map(text => ({ type: 'paragraph', text }));
+};
+
+/**
+ * Run every rule over a stored policy document ({ blocks } or { text }).
+ * Returns findings sorted by severity:
+ * { rule, label, severity, description, paragraphs: [{ text, sentence, section }] }
+ */
+export const analyzeClauses = (document, rules = CLAUSE_RULES) => {
+  const findings = new Map();
+  let section = '';
+
+  toBlocks(document).forEach(block => {
+    if (block.type === 'heading') {
+      section = block.text;
+      return;
+    }
+
+    const sentences = splitSentences(block.text);
+
+    rules.forEach(rule => {
+      const sentence = sentences.find(candidate => matchSentence(rule, candidate));
+      if (!sentence) return;
+
+      if (!findings.has(rule.id)) {
+        findings.set(rule.id, {
+          rule: rule.id,
+          label: rule.label,
+          severity: rule.severity,
+          description: rule.description,
+          paragraphs: []
+        });
+      }
+
+      const finding = findings.get(rule.id);
+      if (finding.paragraphs.length < MAX_PARAGRAPHS_PER_RULE) {
+        finding.paragraphs.push({ text: block.text, sentence, section });
+      }
+    });
+  });
+
+  return sortFindings(Array.from(findings.values()));
+};
+
+export const sortFindings = (findings) =>
+  [...findings].sort((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity]);
@@ -0,0 +1,76 @@
+// src/utils/consentFrameworks.js
+
+/**
+ * Consent management platforms (CMPs): banner DOM signatures and the
+ * purposes defined by the IAB frameworks whose state is captured.
+ */
+
+// Checked in order; `selector` matches the platform's banner or root element
+export const CMP_SIGNATURES = [
+  { id: 'onetrust', name: 'OneTrust', selector: '#onetrust-banner-sdk, #onetrust-consent-sdk' },
+  { id: 'cookiebot', name: 'Cookiebot', selector: '#CybotCookiebotDialog' },
+  { id: 'didomi', name: 'Didomi', selector: '#didomi-host, #didomi-notice' },
+  { id: 'usercentrics', name: 'Usercentrics', selector: '#usercentrics-root, #usercentrics-cmp-ui' },
+  { id: 'trustarc', name: 'TrustArc', selector: '#truste-consent-track, #truste-consent-content, .truste_box_overlay' },
+  { id: 'quantcast', name: 'Quantcast Choice', selector: '.qc-cmp2-container, #qc-cmp2-container' },
+  { id: 'sourcepoint', name: 'Sourcepoint', selector: '[id^="sp_message_container"]' },
+  { id: 'osano', name: 'Osano', selector: '.osano-cm-window, .osano-cm-dialog' },
+  { id: 'cookieyes', name: 'CookieYes', selector: '.cky-consent-container' },
+  { id: 'complianz', name: 'Complianz', selector: '#cmplz-cookiebanner-container, .cmplz-cookiebanner' },
+  { id: 'iubenda', name: 'iubenda', selector: '#iubenda-cs-banner' },
+  { id: 'termly', name: 'Termly', selector: '#termly-code-snippet-support, [class*="termly-styles-module"]' },
+  { id: 'borlabs', name: 'Borlabs Cookie', selector: '#BorlabsCookieBox' },
+  { id: 'cookielawinfo', name: 'CookieLawInfo', selector: '#cookie-law-info-bar, .cli-modal' },
+  { id: 'klaro', name: 'Klaro', selector: '.klaro .cookie-notice, .klaro .cookie-modal' },
+  { id: 'cookieconsent', name: 'Cookie Consent', selector: '.cc-window, #cc-main' },
+  { id: 'consentmanager', name: 'consentmanager', selector: '#cmpbox, .cmpboxBG' },
+  { id: 'axeptio', name: 'Axeptio', selector: '#axeptio_overlay' }
+];
+
+// IAB TCF v2 purposes
+export const TCF_PURPOSES = {
+  1: 'Store and/or access information on a device',
+  2: 'Use limited data to select advertising',
+  3: 'Create profiles for personalised advertising',
+  4: 'Use profiles to select personalised advertising',
+  5: 'Create profiles to personalise content',
+  6: 'Use profiles to select personalised content',
+  7: 'Measure advertising performance',
+  8: 'Measure content performance',
+  9: 'Understand audiences through statistics',
+  10: 'Develop and improve services',
+  11: 'Use limited data to select content'
+};
+
+export const TCF_SPECIAL_FEATURES = {
+  1: 'Use precise geolocation data',
+  2: 'Actively scan device characteristics for identification'
+};
+
+// IAB GPP section ids reported in applicableSections
+export const GPP_SECTIONS = {
+  2: 'EU TCF v2',
+  5: 'Canada TCF',
+  6: 'US Privacy',
+  7: 'US National',
+  8: 'California',
+  9: 'Virginia',
+  10: 'Colorado',
+  11: 'Utah',
+  12: 'Connecticut'
+};
+
+/**
+ * IAB US Privacy string ("1YNN"): version, notice given, opted out of
+ * sale, covered by the LSPA. "-" means not applicable.
+ */
+export const parseUspString = (uspString) => {
+  if (!/^1[YN-]{3}$/.test(uspString || '')) return null;
+
+  const flag = (char) => (char === '-' ? null : char === 'Y');
+  return {
+    notice_given: flag(uspString[1]),
+    opted_out_of_sale: flag(uspString[2]),
+    lspa_covered: flag(uspString[3])
+  };
+};
@@ -0,0 +1,231 @@
+// src/utils/contactExtractor.js
+
+/**
+ * Finds who to contact about privacy in a policy document: email
+ * addresses, the data protection officer, postal addresses, request
+ * web forms and the legal entity behind the site.
+ */
+
+export const CONTACTS_VERSION = 1;
+
+const MAX_EMAILS = 5;
+const MAX_ADDRESSES = 3;
+const MAX_WEB_FORMS = 3;
+// Longer paragraphs are cut down to the sentence holding the postcode
+const MAX_ADDRESS_LENGTH = 200;
+
+export const CONTACT_ROLES = {
+  dpo: 'Data Protection Officer',
+  privacy: 'Privacy',
+  general: 'General'
+};
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/gi;
+const PLACEHOLDER_EMAIL_PATTERN = /@(example\.(com|org|net)|domain\.com|email\.com|yourdomain\.)|^(you|your|name|user|username)@/i;
+
+const DPO_CONTEXT = /\b([Dd]ata\s+[Pp]rotection\s+[Oo]fficer|DPO)\b/;
+const DPO_MAILBOX = /(^|[._-])dpo([._-]|@)|dataprotectionofficer/i;
+const PRIVACY_MAILBOX = /privacy|data-?protection|gdpr|ccpa|dsar|legal|compliance/i;
+const PRIVACY_CONTEXT = /\b(privacy|personal\s+(data|information)|data\s+protection|your\s+rights|exercise|request)\b/i;
+
+// "Our Data Protection Officer is Jane Doe" / "DPO: Jane Doe"
+const DPO_NAME_PATTERN = /\b(?:[Dd]ata\s+[Pp]rotection\s+[Oo]fficer|DPO)\b\s*(?:\([^)]*\)\s*)?(?:is|:|,|-|–)\s*((?:(?:Dr|Mr|Mrs|Ms)\.?\s+)?[A-Z][a-zà-ÿ'-]+(?:\s+[A-Z][a-zà-ÿ'-]+){1,3})/;
+
+// Postcodes: US ZIP with state, UK, Irish Eircode, Canadian, and the
+// "12345 City" form used across continental Europe
+const POSTCODE_PATTERNS = [
+  /\b[A-Z]{2}\s+\d{5}(?:-\d{4})?\b/,
+  /\b[A-Z]{1,2}\d[A-Z\d]?\s+\d[A-Z]{2}\b/,
+  /\b[AC-FHKNPRTV-Y]\d{2}\s[AC-FHKNPRTV-Y0-9]{4}\b/,
+  /\b[A-Z]\d[A-Z]\s\d[A-Z]\d\b/,
+  /\b(?:[A-Z]-)?\d{4,5}\s+[A-ZÀ-Ý][a-zà-ÿ]+/
+];
+const STREET_PATTERN = /(\b\d+[A-Za-z]?(?:[-–]\d+)?,?\s+[A-ZÀ-Ý][\wà-ÿ.'-]*|\b[A-ZÀ-Ý][\wà-ÿ.'-]*(?:stra(ss|ß)e|str\.|weg|platz|gasse|laan|straat|gade|vej)\s+\d+|\bP\.?\s?O\.?\s+Box\s+\d+)/;
+const STREET_WORDS = /\b(street|st\.|avenue|ave\.?|road|rd\.?|boulevard|blvd\.?|lane|drive|way|place|square|quay|court|suite|floor|building|house|parkway|highway|rue|via|calle|avenida|P\.?\s?O\.?\s+Box)\b|stra(ss|ß)e|str\.|weg\b|platz\b|straat\b/i;
+const ADDRESS_LEAD_IN = /^.*?\b(?:write\s+to\s+us|by\s+(?:post|mail)|postal\s+address|mailing\s+address|registered\s+(?:office|address)|address(?:ed)?|located|contact\s+us)\b[^:]*?(?:\bat\b\s*:?|:)\s*/i;
+
+const WEB_FORM_LINK = /\b(form|request|submit|portal|privacy\s+(center|centre|choices|request)|your\s+privacy\s+choices|do\s+not\s+sell|opt[\s-]?out|exercise\s+your\s+rights|contact\s+us)\b/i;
+const WEB_FORM_URL = /(form|request|dsar|privacy-?(center|centre|portal|choices)|webform|opt-?out|do-?not-?sell|onetrust\.com\/webform|trustarc|privacyportal)/i;
+
+const COMPANY_SUFFIX = "(?:Inc\\.?|Incorporated|LLC|L\\.L\\.C\\.|LLP|Ltd\\.?|Limited|GmbH|AG|S\\.A\\.S?\\.?|SAS|S\\.à\\s?r\\.l\\.|SARL|B\\.V\\.|N\\.V\\.|PLC|plc|Corp\\.?|Corporation|Co\\.,?\\s?Ltd\\.?|Pty\\.?\\s+Ltd\\.?|SE|S\\.r\\.l\\.|S\\.L\\.|S\\.p\\.A\\.|AB|ApS|Oy|AS|K\\.K\\.)";
+const LEGAL_ENTITY_PATTERN = new RegExp(`\\b((?:[A-Z0-9][\\w&'.-]*\\s+){0,4}[A-Z0-9][\\w&'.-]*,?\\s+${COMPANY_SUFFIX})(?=[\\s,.;:)"'”]|$)`, 'g');
+const ENTITY_LEADING_WORDS = /^((The|This|These|By|At|To|Of|From|And|Or|Our|Your|Please|Contact|Welcome|Dear|If|When|With|For|In|On|Its|All|Each)\s+)+/;
+const CONTROLLER_CONTEXT = /\b(controller|operated\s+by|provided\s+by|owned\s+by|responsible\s+for|("|“)?(we|us|our)("|”)?\s*\)|referred\s+to\s+as)\b/i;
+
+// Stored documents carry blocks; plain text falls back to blank-line paragraphs
+const toBlocks = (document) => {
+  if (Array.isArray(document.blocks) && document.blocks.length > 0) {
+    return document.blocks;
+  }
+
+  return (document.text || '')
+    .split(/\n{2,}/)
+    .map(text => text.trim())
+    .filter(Boolean)
+    .map(text => ({ type: 'paragraph', text }));
+};
+
+const emailRole = (address, context) => {
+  if (DPO_MAILBOX.test(address) || DPO_CONTEXT.test(context)) return 'dpo';
+  if (PRIVACY_MAILBOX.test(address) || PRIVACY_CONTEXT.test(context)) return 'privacy';
+  return 'general';
+};
+
+const ROLE_ORDER = ['dpo', 'privacy', 'general'];
+
+const extractEmails = (blocks, links) => {
+  const emails = new Map();
+  let section = '';
+
+  const add = (raw, context) => {
+    const address = raw.toLowerCase().replace(/\.$/, '');
+    if (PLACEHOLDER_EMAIL_PATTERN.test(address)) return;
+
+    const role = emailRole(address, context);
+    const known = emails.get(address);
+    if (!known || ROLE_ORDER.indexOf(role) < ROLE_ORDER.indexOf(known.role)) {
+      emails.set(address, { address, role });
+    }
+  };
+
+  blocks.forEach(block => {
+    if (block.type === 'heading') {
+      section = block.text;
+      return;
+    }
+    (block.text.match(EMAIL_PATTERN) || []).forEach(address => add(address, `${section} ${block.text.replace(EMAIL_PATTERN, '')}`));
+  });
+
+  links
+    .filter(link => link.href.startsWith('mailto:'))
+    .forEach(link => {
+      const address = decodeURIComponent(link.href.slice(7).split('?')[0]);
+      if (/^[^@\s]+@[^@\s]+\.[a-z]{2,}$/i.test(address)) add(address, link.text);
+    });
+
+  return Array.from(emails.values())
+    .sort((a, b) => ROLE_ORDER.indexOf(a.role) - ROLE_ORDER.indexOf(b.role))
+    .slice(0, MAX_EMAILS);
+};
+
+const extractDpo = (blocks, emails) => {
+  const block = blocks.find(candidate => candidate.type !== 'heading' && DPO_CONTEXT.test(candidate.text));
+  const dpoEmail = emails.find(email => email.role === 'dpo');
+  if (!block && !dpoEmail) return null;
+
+  const name = block && block.text.match(DPO_NAME_PATTERN);
+  const blockEmail = block && (block.text.match(EMAIL_PATTERN) || [])[0];
+
+  return {
+    name: name && !/\b(at|of|for|via|by)\b/i.test(name[1]) ? name[1] : '',
+    email: (blockEmail || (dpoEmail && dpoEmail.address) || '').toLowerCase()
+  };
+};
+
+// A postcode next to a street makes an address; the lead-in ("write to
+// us at:") and everything after the postcode's line are trimmed
+const findAddress = (text) => {
+  const postcode = POSTCODE_PATTERNS.map(pattern => text.match(pattern)).find(Boolean);
+  if (!postcode || !STREET_WORDS.test(text) || !STREET_PATTERN.test(text)) return null;
+
+  let candidate = text;
+  if (candidate.length > MAX_ADDRESS_LENGTH) {
+    const end = postcode.index + postcode[0].length;
+    const start = Math.max(text.lastIndexOf('. ', postcode.index - MAX_ADDRESS_LENGTH / 2) + 2, 0);
+    candidate = text.slice(start, end + 40).replace(/[.;]\s.*$/, '');
+    if (!STREET_PATTERN.test(candidate)) return null;
+  }
+
+  const address = candidate
+    .replace(ADDRESS_LEAD_IN, '')
+    // Labels such as "US residents:" or "Our German office:"
+    .replace(/^[^:\d]{1,40}:\s*/, '')
+    .replace(EMAIL_PATTERN, '')
+    .replace(/\b(e-?mail|phone|tel(ephone)?|fax)\s*:?\s*[^,]*$/i, '')
+    .replace(/[\s,;:.]+$/, '')
+    .trim();
+
+  return address.length >= 15 && address.length <= MAX_ADDRESS_LENGTH ? address : null;
+};
+
+const extractAddresses = (blocks) => {
+  const addresses = [];
+
+  blocks
+    .filter(block => block.type !== 'heading')
+    .forEach(block => {
+      const address = findAddress(block.text);
+      if (address && !addresses.includes(address) && addresses.length < MAX_ADDRESSES) {
+        addresses.push(address);
+      }
+    });
+
+  return addresses;
+};
+
+const extractWebForms = (document, links) => {
+  const forms = new Map();
+  const policyUrl = (document.url || '').split('#')[0];
+
+  links
+    .filter(link => /^https?:/.test(link.href))
+    .filter(link => link.href.split('#')[0] !== policyUrl)
+    .filter(link => WEB_FORM_URL.test(link.href) || (WEB_FORM_LINK.test(link.text) && /request|form|rights|privacy|opt/i.test(`${link.text} ${link.href}`)))
+    .forEach(link => {
+      if (!forms.has(link.href)) {
+        forms.set(link.href, { url: link.href, label: link.text || link.href });
+      }
+    });
+
+  // Forms written out as plain URLs in the text
+  ((document.text || '').match(/https?:\/\/[^\s<>"')]+/g) || [])
+    .map(url => url.replace(/[.,;:]+$/, ''))
+    .filter(url => WEB_FORM_URL.test(url))
+    .forEach(url => {
+      if (!forms.has(url)) forms.set(url, { url, label: url });
+    });
+
+  return Array.from(forms.values()).slice(0, MAX_WEB_FORMS);
+};
+
+// The company most often named, with extra weight where the policy says
+// who "we" are or who the controller is
+const extractLegalEntity = (blocks) => {
+  const candidates = new Map();
+
+  blocks.forEach((block, index) => {
+    const matches = block.text.matchAll(LEGAL_ENTITY_PATTERN);
+    for (const match of matches) {
+      const name = match[1].replace(ENTITY_LEADING_WORDS, '').replace(/,(\s)/, '$1').trim();
+      if (name.split(/\s+/).length < 2) continue;
+
+      const entry = candidates.get(name) || { name, score: 0, first: index };
+      entry.score += CONTROLLER_CONTEXT.test(block.text) ? 3 : 1;
+      candidates.set(name, entry);
+    }
+  });
+
+  const best = Array.from(candidates.values())
+    .sort((a, b) => b.score - a.score || a.first - b.first)[0];
+
+  return best ? best.name : '';
+};
+
+/**
+ * Contacts named in a stored policy document ({ blocks, links, text, url }).
+ * Returns { emails: [{ address, role }], dpo: { name, email } | null,
+ * postal_addresses: [text], web_forms: [{ url, label }], legal_entity }
+ */
+export const extractContacts = (document) => {
+  const blocks = toBlocks(document || {});
+  const links = (document && document.links) || [];
+  const emails = extractEmails(blocks, links);
+
+  return {
+    emails,
+    dpo: extractDpo(blocks, emails),
+    postal_addresses: extractAddresses(blocks),
+    web_forms: extractWebForms(document || {}, links),
+    legal_entity: extractLegalEntity(blocks)
+  };
+};
@@ -0,0 +1,53 @@
+// src/utils/cookieCategories.js
+
+/**
+ * Category guesses for cookies from their name and the domain that set them
+ */
+
+import { lookupTracker } from './trackerList';
+
+export const COOKIE_CATEGORIES = {
+  necessary: 'Necessary',
+  functional: 'Functional',
+  analytics: 'Analytics',
+  advertising: 'Advertising',
+  unknown: 'Unknown'
+};
+
+// Cookies that record the visitor's consent choice, per consent platform
+export const CONSENT_COOKIE_PATTERNS = [
+  /^OptanonAlertBoxClosed$/, /^OptanonConsent$/, /^CookieConsent$/, /^euconsent(-v2)?$/,
+  /^didomi_token$/, /^cookieyes-consent$/, /^cmplz_/, /^uc_settings$/, /^_iub_cs-/,
+  /^consentUUID$/, /^borlabs-cookie$/, /^cookielawinfo-/, /^cc_cookie$/, /^osano_consentmanager$/,
+  /^_sp_v1_consent$/, /^notice_preferences$/, /^cookie_consent$/i
+];
+
+const NAME_PATTERNS = [
+  { category: 'analytics', patterns: [/^_ga(_|$)/, /^_gid$/, /^_gat/, /^__utm[a-z]$/, /^_hj/, /^ajs_/, /^mp_/, /^amplitude_/, /^_pk_/, /^_clck$/, /^_clsk$/, /^__hstc$/, /^hubspotutk$/, /^_sp_id/, /^s_(cc|sq|vi|fid)$/, /^AMCV_/] },
+  { category: 'advertising', patterns: [/^_gcl_/, /^_fbp$/, /^_fbc$/, /^fr$/, /^IDE$/, /^DSID$/, /^test_cookie$/, /^NID$/, /^_uetsid$/, /^_uetvid$/, /^MUID$/, /^_ttp$/, /^_pin_unauth$/, /^_rdt_uuid$/, /^li_sugr$/, /^bcookie$/, /^uuid2$/, /^anj$/, /^criteo/i, /^_tt_enable_cookie$/] },
+  { category: 'necessary', patterns: [/sess(ion)?(id)?$/i, /^(csrf|xsrf)/i, /_csrf$/i, /^__(Host|Secure)-/, /^cf_clearance$/, /^__cf_bm$/, /^AWSALB/, /^JSESSIONID$/, /^PHPSESSID$/, /^ASP\.NET_SessionId$/, ...CONSENT_COOKIE_PATTERNS] },
+  { category: 'functional', patterns: [/lang(uage)?$/i, /locale/i, /currency/i, /theme/i, /timezone/i, /^pref/i] }
+];
+
+const TRACKER_COOKIE_CATEGORIES = {
+  advertising: 'advertising',
+  social: 'advertising',
+  fingerprinting: 'advertising',
+  analytics: 'analytics',
+  session_replay: 'analytics',
+  customer_data: 'analytics',
+  tag_manager: 'analytics'
+};
+
+/**
+ * Best guess for a cookie: known names first, then the tracker that set it
+ */
+export const guessCookieCategory = (name, hostname, registrableDomain) => {
+  const byName = NAME_PATTERNS.find(({ patterns }) => patterns.some(pattern => pattern.test(name)));
+  if (byName) return byName.category;
+
+  const tracker = lookupTracker(hostname, registrableDomain);
+  if (tracker) return TRACKER_COOKIE_CATEGORIES[tracker.category] || 'unknown';
+
+  return 'unknown';
+};
@@ -0,0 +1,42 @@
+// src/utils/darkPatterns.js
+
+/**
+ * Dark patterns looked for in consent banners. The content script's banner
+ * analyzer reports flags with these ids; the popup and the privacy grade
+ * read their labels and severities from here.
+ */
+
+export const DARK_PATTERNS = {
+  no_reject_button: {
+    label: 'No "Reject all" option',
+    severity: 'high',
+    description: 'The banner lets you accept everything but offers no equally easy way to refuse.'
+  },
+  hidden_reject: {
+    label: 'Reject option hidden',
+    severity: 'high',
+    description: 'Refusing is only possible after opening the settings.'
+  },
+  pre_ticked_purposes: {
+    label: 'Pre-ticked purposes',
+    severity: 'high',
+    description: 'Optional purposes are switched on before you make a choice.'
+  },
+  legitimate_interest_default: {
+    label: 'Legitimate interest on by default',
+    severity: 'medium',
+    description: 'Purposes relying on "legitimate interest" are on unless you object to each one.'
+  },
+  accept_reject_asymmetry: {
+    label: 'Accept button made more prominent',
+    severity: 'medium',
+    description: 'The accept button is much larger or more eye-catching than the reject button.'
+  }
+};
+
+/**
+ * Flags ordered by severity, high first
+ */
+export const sortDarkPatternFlags = (flags) =>
+  [...flags].sort((a, b) =>
+    Number(DARK_PATTERNS[b.id]?.severity === 'high') - Number(DARK_PATTERNS[a.id]?.severity === 'high'));
@@ -1,6 +1,114 @@
 // src/utils/dataModels.js
 // This file is for use in popup and options pages only
 // Background script has its own inline implementation
+// (content and background scripts only import the plain constants below)
+
+// Policy document types detected on websites, in display order
+export const POLICY_TYPES = {
+  tos: "Terms of Service",
+  privacy: "Privacy Policy",
+  cookie: "Cookie Policy",
+  eula: "End User License Agreement",
+  aup: "Acceptable Use Policy",
+  refund: "Refund & Return Policy",
+  dpa: "Data Processing Addendum",
+  community: "Community Guidelines",
+  do_not_sell: "Do Not Sell or Share",
+};
+
+// How a policy document URL was discovered, most trustworthy first
+export const DISCOVERY_METHODS = {
+  rel_link: 'rel="privacy-policy" / rel="terms-of-service" link',
+  http_link_header: "HTTP Link header",
+  json_ld: "schema.org JSON-LD",
+  link_scoring: "Link text and position",
+};
+
+// IANA-registered link relations and the policy type they declare
+export const POLICY_LINK_RELATIONS = {
+  "privacy-policy": "privacy",
+  "terms-of-service": "tos",
+};
+
+// Policy document structure (one entry per detected document)
+// confidence runs from 0 to 1; see LOW_CONFIDENCE_THRESHOLD
+export const PolicyDocument = {
+  type: "",
+  url: "",
+  confidence: 0,
+  method: "",
+};
+
+// Detections below this confidence are shown as "possibly"
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+// Facts from a site's /.well-known/ resources
+export const WellKnownFacts = {
+  origin: "",
+  gpc: { found: false, supported: false, last_update: "" },
+  security_txt: { found: false, contacts: [], policy: "", expires: "" },
+  dnt_policy: { found: false },
+  checked_at: "",
+};
+
+// One stored version of a policy document (text kept under its hash)
+export const PolicyVersion = {
+  hash: "",
+  url: "",
+  title: "",
+  word_count: 0,
+  fetched_at: "",
+  last_seen_at: "",
+};
+
+// Privacy contacts extracted from a site's policies
+// email roles: "dpo", "privacy" or "general"
+export const SiteContacts = {
+  emails: [], // { address, role }
+  dpo: null, // { name, email }
+  postal_addresses: [],
+  web_forms: [], // { url, label }
+  legal_entity: "",
+  sources: [], // { type, url } of the policies read
+  extracted_at: "",
+};
+
+// Consent captured from a site's consent platform (site record `consent`)
+export const ConsentState = {
+  cmp: null, // { id, name } from the banner's DOM signature
+  banner_visible: false,
+  tcf: null, // { cmp_id, tc_string, gdpr_applies, event_status, purposes_accepted, legitimate_interests, special_features, vendors_accepted }
+  gpp: null, // { cmp_id, gpp_string, applicable_sections, signal_status, display_status }
+  usp: null, // { usp_string, notice_given, opted_out_of_sale, lspa_covered }
+  captured_at: "",
+};
+
+// Dark patterns found in a site's consent banner (site record `dark_patterns`)
+// flags: { id, detail } with ids from DARK_PATTERNS in darkPatterns.js
+export const BannerDarkPatterns = {
+  cmp: null,
+  flags: [],
+  analyzed_at: "",
+};
+
+// What the user did to agree to a site's policies
+export const AGREEMENT_TRIGGERS = {
+  checkbox: 'Ticked "I agree"',
+  form_submit: "Submitted a form",
+};
+
+// One clickwrap agreement in the ledger; each policy is pinned by URL and
+// by the hash of the version in force (null when it couldn't be fetched)
+export const Agreement = {
+  id: "",
+  domain: "",
+  site_name: "",
+  page_url: "",
+  trigger: "",
+  agreement_text: "",
+  policies: [], // { type, url, final_url, title, current_hash, error }
+  agreed_at: "",
+};
 
 // Website data structure
 export const WebsiteData = {
@@ -9,6 +117,9 @@ export const WebsiteData = {
   favicon_url: "",
   tos_url: "",
   privacy_policy_url: "",
+  policy_documents: [],
+  well_known: null,
+  contacts: null,
   last_crawled_at: "",
   is_active: true,
 };
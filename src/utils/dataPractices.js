@@ -0,0 +1,134 @@
+// src/utils/dataPractices.js
+
+/**
+ * Extracts what a policy says it does with data: categories collected,
+ * purposes, sharing recipients, retention periods and user choices.
+ * Each matched item keeps the sentences it was found in as evidence.
+ */
+
+export const DATA_PRACTICES_VERSION = 1;
+
+// Sentences kept per matched item
+const MAX_EVIDENCE = 2;
+
+export const PRACTICE_GROUPS = {
+  categories: 'Data collected',
+  purposes: 'Purposes',
+  recipients: 'Shared with',
+  retention: 'Retention',
+  choices: 'Your choices'
+};
+
+export const DATA_CATEGORIES = [
+  { id: 'contact', label: 'Contact details', patterns: [/\b(e-?mail\s+address|phone\s+number|telephone\s+number|postal\s+address|mailing\s+address|contact\s+(details|information))\b/i] },
+  { id: 'identifiers', label: 'Online identifiers', patterns: [/\b(ip\s+address|device\s+(id|identifier)s?|advertising\s+(id|identifier)s?|cookie\s+identifiers?|unique\s+identifiers?)\b/i] },
+  { id: 'location', label: 'Location', patterns: [/\b(geo-?location|location\s+(data|information)|gps|precise\s+location)\b/i] },
+  { id: 'financial', label: 'Financial', patterns: [/\b(credit\s+card|debit\s+card|payment\s+(card|information|details)|bank\s+account|billing\s+(address|information))\b/i] },
+  { id: 'biometric', label: 'Biometric', patterns: [/\b(biometric|face\s*prints?|fingerprints?|voice\s*prints?|facial\s+recognition)\b/i] },
+  { id: 'health', label: 'Health', patterns: [/\b(health|medical|fitness)\s+(data|information|records?)\b/i] },
+  { id: 'demographic', label: 'Demographics', patterns: [/\b(date\s+of\s+birth|age|gender|demographic\s+(data|information))\b/i] },
+  { id: 'usage', label: 'Usage and browsing', patterns: [/\b(usage\s+(data|information)|browsing\s+history|pages?\s+(you\s+)?visit(ed)?|log\s+(data|files|information)|interactions?\s+with\s+(our|the)\s+service)\b/i] },
+  { id: 'content', label: 'Your content', patterns: [/\b(messages|photos|videos|user\s+content|content\s+you\s+(upload|post|provide)|files\s+you\s+upload)\b/i] },
+  { id: 'contacts', label: 'Contacts and social graph', patterns: [/\b(address\s+book|contact\s+list|your\s+contacts|friends\s+list)\b/i] },
+  { id: 'sensitive', label: 'Sensitive data', patterns: [/\b(racial|ethnic\s+origin|religious|sexual\s+orientation|political\s+(opinions|views)|trade\s+union)\b/i] }
+];
+
+export const PURPOSES = [
+  { id: 'service', label: 'Providing the service', patterns: [/\b(provide|operate|maintain|deliver)\b.{0,40}\b(service|services|products?|features?)\b/i] },
+  { id: 'security', label: 'Security and fraud prevention', patterns: [/\b(security|fraud|abuse|protect\s+against)\b/i] },
+  { id: 'analytics', label: 'Analytics', patterns: [/\b(analytics|analy[sz]e\s+(how|usage|trends)|measure\s+(performance|usage))\b/i] },
+  { id: 'advertising', label: 'Advertising and marketing', patterns: [/\b(advertising|advertisements|targeted\s+ads|marketing|promotional)\b/i] },
+  { id: 'personalization', label: 'Personalization', patterns: [/\b(personali[sz]e|personali[sz]ation|tailor|recommendations?)\b/i] },
+  { id: 'legal', label: 'Legal compliance', patterns: [/\b(comply\s+with|legal\s+obligations?|required\s+by\s+law|law\s+enforcement\s+requests?)\b/i] },
+  { id: 'research', label: 'Research and development', patterns: [/\b(research|develop\s+new|improve\s+(our|the)\s+(services?|products?)|train(ing)?\s+(our\s+)?(models?|algorithms?))\b/i] },
+  { id: 'communications', label: 'Communicating with you', patterns: [/\b(communicate\s+with\s+you|send\s+you|newsletters?|customer\s+support)\b/i] }
+];
+
+export const RECIPIENTS = [
+  { id: 'service_providers', label: 'Service providers', patterns: [/\b(service\s+providers?|vendors?|processors?|contractors?)\b/i] },
+  { id: 'affiliates', label: 'Affiliates', patterns: [/\b(affiliates?|subsidiaries|group\s+companies|corporate\s+family)\b/i] },
+  { id: 'advertisers', label: 'Advertisers', patterns: [/\b(advertisers?|advertising\s+(partners?|networks?)|ad\s+networks?)\b/i] },
+  { id: 'analytics_providers', label: 'Analytics providers', patterns: [/\banalytics\s+(providers?|partners?|services?)\b/i] },
+  { id: 'social_networks', label: 'Social networks', patterns: [/\b(social\s+(media|network)s?\s*(platforms?|partners?)?)\b/i] },
+  { id: 'data_brokers', label: 'Data brokers', patterns: [/\bdata\s+brokers?\b/i] },
+  { id: 'authorities', label: 'Law enforcement and authorities', patterns: [/\b(law\s+enforcement|government(al)?\s+(authorities|agencies)|public\s+authorities|regulators?)\b/i] },
+  { id: 'business_transfers', label: 'Buyers in a merger or sale', patterns: [/\b(merger|acquisition|sale\s+of\s+(all\s+or\s+)?(some|a\s+portion|substantially)|bankruptcy)\b/i] }
+];
+
+export const CHOICES = [
+  { id: 'access', label: 'Access your data', patterns: [/\b(right\s+to\s+access|access\s+(to\s+)?(your|the)\s+(personal\s+)?(data|information))\b/i] },
+  { id: 'deletion', label: 'Delete your data', patterns: [/\b(right\s+to\s+(erasure|deletion|be\s+forgotten)|(delete|deletion\s+of|erase)\s+(your|the)\s+(personal\s+)?(data|information|account))\b/i] },
+  { id: 'correction', label: 'Correct your data', patterns: [/\b(right\s+to\s+(rectification|correct(ion)?)|(correct|rectify|update)\s+(inaccurate|your)\s+(personal\s+)?(data|information))\b/i] },
+  { id: 'portability', label: 'Data portability', patterns: [/\b(portability|copy\s+of\s+your\s+(personal\s+)?(data|information)|export\s+your\s+data)\b/i] },
+  { id: 'opt_out_sale', label: 'Opt out of sale or sharing', patterns: [/\b(do\s+not\s+sell|opt[\s-]out\s+of\s+(the\s+)?(sale|sharing))\b/i] },
+  { id: 'opt_out_marketing', label: 'Opt out of marketing', patterns: [/\b(unsubscribe|opt[\s-]out\s+of\s+(marketing|promotional))\b/i] },
+  { id: 'cookie_controls', label: 'Cookie controls', patterns: [/\b(cookie\s+(settings|preferences)|manage\s+cookies|disable\s+cookies|block\s+cookies)\b/i] },
+  { id: 'withdraw_consent', label: 'Withdraw consent', patterns: [/\bwithdraw\s+(your\s+)?consent\b/i] },
+  { id: 'object', label: 'Object or restrict processing', patterns: [/\b(right\s+to\s+object|restrict(ion\s+of)?\s+processing)\b/i] },
+  { id: 'gpc', label: 'Browser privacy signals', patterns: [/\b(global\s+privacy\s+control|do\s+not\s+track|gpc)\b/i] }
+];
+
+const NUMBER_WORDS = '(?:\\d+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|eighteen|twenty(?:-four)?|thirty|sixty|ninety)';
+const RETENTION_CONTEXT = /\b(retain|retention|keep|store|stored|delete|deleted|erase|kept)\b/i;
+const RETENTION_PERIOD = new RegExp(`\\b${NUMBER_WORDS}\\s*(?:\\(\\d+\\)\\s*)?(days?|weeks?|months?|years?)\\b`, 'gi');
+const RETENTION_OPEN_ENDED = /\b(indefinitely|as\s+long\s+as\s+(necessary|needed|your\s+account\s+is\s+active|required))\b/i;
+
+const SENTENCE_PATTERN = /[^.!?]+(?:[.!?]+|$)/g;
+
+const collectSentences = (document) => {
+  const text = (document && document.text) || '';
+  return text
+    .split(/\n{2,}/)
+    .flatMap(paragraph => paragraph.match(SENTENCE_PATTERN) || [])
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+};
+
+const matchDictionary = (dictionary, sentences) =>
+  dictionary
+    .map(entry => {
+      const evidence = sentences
+        .filter(sentence => entry.patterns.some(pattern => pattern.test(sentence)))
+        .slice(0, MAX_EVIDENCE);
+      return { id: entry.id, label: entry.label, evidence };
+    })
+    .filter(item => item.evidence.length > 0);
+
+const extractRetention = (sentences) => {
+  const periods = new Map();
+
+  sentences
+    .filter(sentence => RETENTION_CONTEXT.test(sentence))
+    .forEach(sentence => {
+      const found = (sentence.match(RETENTION_PERIOD) || []).map(period => period.toLowerCase());
+      const openEnded = sentence.match(RETENTION_OPEN_ENDED);
+      if (openEnded) found.push(openEnded[0].toLowerCase());
+
+      found.forEach(period => {
+        if (!periods.has(period)) {
+          periods.set(period, { id: period, label: period, evidence: [] });
+        }
+        const item = periods.get(period);
+        if (item.evidence.length < MAX_EVIDENCE) item.evidence.push(sentence);
+      });
+    });
+
+  return Array.from(periods.values());
+};
+
+/**
+ * Data practices matrix for a stored policy document ({ text }).
+ * Returns { categories, purposes, recipients, retention, choices },
+ * each a list of { id, label, evidence: [sentence] }.
+ */
+export const extractDataPractices = (document) => {
+  const sentences = collectSentences(document);
+
+  return {
+    categories: matchDictionary(DATA_CATEGORIES, sentences),
+    purposes: matchDictionary(PURPOSES, sentences),
+    recipients: matchDictionary(RECIPIENTS, sentences),
+    retention: extractRetention(sentences),
+    choices: matchDictionary(CHOICES, sentences)
+  };
+};
@@ -0,0 +1,103 @@
+// src/utils/domains.js
+
+/**
+ * Registrable domain (eTLD+1) helpers.
+ * A compact list of multi-label public suffixes covers the common cases
+ * without bundling the full Public Suffix List.
+ */
+
+const MULTI_LABEL_SUFFIXES = new Set([
+  // Country second-level domains
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'ltd.uk', 'plc.uk', 'me.uk', 'net.uk',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+  'co.nz', 'org.nz', 'net.nz', 'govt.nz',
+  'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp',
+  'co.kr', 'or.kr', 'ne.kr',
+  'com.br', 'net.br', 'org.br', 'gov.br',
+  'com.cn', 'net.cn', 'org.cn', 'gov.cn',
+  'com.hk', 'com.tw', 'com.sg', 'com.my', 'com.ph', 'com.vn',
+  'co.in', 'net.in', 'org.in', 'gov.in', 'ac.in',
+  'co.id', 'or.id', 'ac.id',
+  'co.za', 'org.za', 'gov.za',
+  'com.mx', 'com.ar', 'com.co', 'com.pe', 'com.tr', 'com.ua', 'com.eg', 'com.ng', 'com.pk', 'com.sa',
+  'co.il', 'org.il', 'ac.il',
+  'co.th', 'in.th', 'ac.th',
+  // Hosting platforms where every subdomain is a separate site
+  'github.io', 'gitlab.io', 'netlify.app', 'vercel.app', 'herokuapp.com', 'pages.dev',
+  'workers.dev', 'web.app', 'firebaseapp.com', 'appspot.com', 'azurewebsites.net',
+  'cloudfront.net', 'blogspot.com', 'wordpress.com', 'myshopify.com', 'wixsite.com'
+]);
+
+const IPV4_PATTERN = /^\d{1,3}(\.\d{1,3}){3}$/;
+
+/**
+ * example.co.uk for www.shop.example.co.uk; IP addresses and single labels
+ * are returned unchanged
+ */
+export const getRegistrableDomain = (hostname) => {
+  const host = (hostname || '').toLowerCase().replace(/\.$/, '');
+  if (!host || IPV4_PATTERN.test(host) || host.includes(':')) return host;
+
+  const labels = host.split('.');
+  if (labels.length <= 2) return host;
+
+  const lastTwo = labels.slice(-2).join('.');
+  const suffixLength = MULTI_LABEL_SUFFIXES.has(lastTwo) ? 2 : 1;
+
+  return labels.slice(-(suffixLength + 1)).join('.');
+};
+
+export const getHostname = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+};
+
+export const isThirdParty = (requestHostname, siteHostname) =>
+  getRegistrableDomain(requestHostname) !== getRegistrableDomain(siteHostname);
+
+/**
+ * Hostname from what a user typed in a per-site setting: "https://www.x.com/a",
+ * "www.x.com" and "x.com" all give "x.com"; '' when it is not a hostname
+ */
+export const normalizeSiteInput = (input) => {
+  const value = (input || '').trim().toLowerCase();
+  if (!value) return '';
+
+  const hostname = getHostname(value.includes('://') ? value : `https://${value}`);
+  return hostname.includes('.') ? hostname.replace(/^www\./, '') : '';
+};
+
+// Names that only resolve inside a machine or a private network
+const PRIVATE_HOST_PATTERN = /(^|\.)(localhost|local|localdomain|internal|intranet|lan|home|corp|home\.arpa)$/;
+
+const isPrivateIPv4 = (host) => {
+  const [a, b] = host.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168);
+};
+
+/**
+ * Whether a URL is http(s) on a public host. Localhost, intranet names,
+ * private and loopback IPv4 ranges and IPv6 literals are not public.
+ */
+export const isPublicHttpUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+
+  const host = parsed.hostname.toLowerCase().replace(/\.$/, '');
+  if (!host || host.startsWith('[') || host.includes(':')) return false;
+  if (IPV4_PATTERN.test(host)) return !isPrivateIPv4(host);
+
+  return host.includes('.') && !PRIVATE_HOST_PATTERN.test(host);
+};
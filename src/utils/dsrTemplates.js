@@ -0,0 +1,119 @@
+// src/utils/dsrTemplates.js
+
+/**
+ * Letter templates for data subject requests (access and deletion) under
+ * the GDPR and the CCPA. Letters are plain text so they can be pasted into
+ * a web form, sent as an email draft or saved as a file.
+ */
+
+export const DSR_LAWS = {
+  gdpr: { label: 'GDPR (EU / UK)', due_days: 30 },
+  ccpa: { label: 'CCPA / CPRA (California)', due_days: 45 }
+};
+
+export const DSR_REQUEST_TYPES = {
+  access: 'Request my data',
+  deletion: 'Delete my data'
+};
+
+const SUBJECTS = {
+  gdpr: {
+    access: 'Data subject access request under Article 15 GDPR',
+    deletion: 'Request for erasure under Article 17 GDPR'
+  },
+  ccpa: {
+    access: 'Request to know under the California Consumer Privacy Act',
+    deletion: 'Request to delete under the California Consumer Privacy Act'
+  }
+};
+
+const BODIES = {
+  gdpr: {
+    access: ({ site }) => [
+      `I am writing to make a subject access request under Article 15 of the General Data Protection Regulation (GDPR) to ${site}.`,
+      'Please confirm whether you process personal data concerning me and, if so, provide:',
+      [
+        'a copy of all personal data you hold about me;',
+        'the purposes of the processing;',
+        'the categories of personal data concerned;',
+        'the recipients or categories of recipients to whom the data has been or will be disclosed, in particular recipients in third countries;',
+        'the period for which the data will be stored, or the criteria used to determine that period;',
+        'where the data was not collected from me, any available information about its source;',
+        'whether you use automated decision-making, including profiling, and meaningful information about the logic involved.'
+      ],
+      'Under Article 12(3) GDPR you must respond without undue delay and at the latest within one month of receiving this request.'
+    ],
+    deletion: ({ site }) => [
+      `I am writing to request the erasure of my personal data under Article 17 of the General Data Protection Regulation (GDPR) from ${site}.`,
+      'Please erase all personal data you hold about me without undue delay, and inform any recipients to whom it has been disclosed of this request as required by Article 19 GDPR.',
+      'If you believe an exception under Article 17(3) applies to any of the data, please tell me which data and which exception you rely on.',
+      'Under Article 12(3) GDPR you must respond without undue delay and at the latest within one month of receiving this request.'
+    ]
+  },
+  ccpa: {
+    access: ({ site }) => [
+      `I am a California resident and I am making a request to know under the California Consumer Privacy Act (Cal. Civ. Code § 1798.100 and § 1798.110) to ${site}.`,
+      'Please disclose, for the 12 months preceding this request:',
+      [
+        'the specific pieces of personal information you have collected about me;',
+        'the categories of personal information you have collected about me;',
+        'the categories of sources from which it was collected;',
+        'the business or commercial purpose for collecting, selling or sharing it;',
+        'the categories of third parties to whom you disclose it.'
+      ],
+      'Under Cal. Civ. Code § 1798.130 you must respond within 45 days of receiving this request.'
+    ],
+    deletion: ({ site }) => [
+      `I am a California resident and I am making a request to delete under the California Consumer Privacy Act (Cal. Civ. Code § 1798.105) to ${site}.`,
+      'Please delete all personal information you have collected about me and direct any service providers and contractors to delete it as well.',
+      'If you deny any part of this request, please tell me which exception you rely on.',
+      'Under Cal. Civ. Code § 1798.130 you must respond within 45 days of receiving this request.'
+    ]
+  }
+};
+
+const formatParagraphs = (paragraphs) =>
+  paragraphs
+    .map(paragraph => (Array.isArray(paragraph)
+      ? paragraph.map(item => `- ${item}`).join('\n')
+      : paragraph))
+    .join('\n\n');
+
+/**
+ * { subject, body } for a request letter; `details` lines (account name,
+ * order numbers) help the site identify the requester
+ */
+export const buildRequestLetter = ({ law, type, site, contact, requesterName, requesterEmail, details, date = new Date() }) => {
+  const paragraphs = BODIES[law][type]({ site });
+  const identification = [
+    'To help you identify me:',
+    [
+      `Name: ${requesterName || '[your name]'}`,
+      `Email address: ${requesterEmail || '[your email address]'}`,
+      ...(details ? details.split('\n').filter(line => line.trim()) : [])
+    ]
+  ];
+
+  const body = [
+    date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' }),
+    contact ? `To: ${site} (${contact})` : `To: ${site}`,
+    'Dear Sir or Madam,',
+    formatParagraphs([...paragraphs, ...identification]),
+    'Please reply to the email address above. I look forward to hearing from you.',
+    `Yours faithfully,\n${requesterName || '[your name]'}`
+  ].join('\n\n');
+
+  return { subject: SUBJECTS[law][type], body };
+};
+
+/**
+ * mailto: draft; mail clients expect %20 rather than "+" for spaces
+ */
+export const mailtoUrl = (to, subject, body) =>
+  `mailto:${to || ''}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+
+/**
+ * Whole days until a due date, negative once it has passed
+ */
+export const daysUntil = (dueAt, now = Date.now()) =>
+  Math.ceil((new Date(dueAt).getTime() - now) / (24 * 60 * 60 * 1000));
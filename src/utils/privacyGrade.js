@@ -0,0 +1,114 @@
+// src/utils/privacyGrade.js
+
+/**
+ * A–E privacy grade for a site. Every point added or removed is listed in
+ * the breakdown so the popup can explain the grade.
+ */
+
+import { DARK_PATTERNS } from './darkPatterns';
+
+export const GRADE_THRESHOLDS = [
+  { grade: 'A', min: 85 },
+  { grade: 'B', min: 70 },
+  { grade: 'C', min: 55 },
+  { grade: 'D', min: 40 },
+  { grade: 'E', min: -Infinity }
+];
+
+export const GRADE_COLORS = {
+  A: '#22c55e',
+  B: '#84cc16',
+  C: '#eab308',
+  D: '#f97316',
+  E: '#ef4444'
+};
+
+const CLAUSE_PENALTIES = { high: 12, medium: 6, low: 2 };
+const MAX_CLAUSE_PENALTY = 50;
+const TRACKER_PENALTY = 3;
+const MAX_TRACKER_PENALTY = 20;
+const DARK_PATTERN_PENALTIES = { high: 8, medium: 4 };
+const MAX_DARK_PATTERN_PENALTY = 20;
+
+export const gradeForScore = (score) =>
+  GRADE_THRESHOLDS.find(threshold => score >= threshold.min).grade;
+
+/**
+ * Compute the grade from what is known about a site.
+ * `trackers` is null until third-party requests have been observed;
+ * unknown inputs are listed in the breakdown without points.
+ * `darkPatterns` holds the flags of the site's consent banner, if any.
+ * Returns { grade, score, breakdown: [{ label, points, detail }] }
+ */
+export const computePrivacyGrade = ({
+  policyDocuments = [],
+  clauseFindings = [],
+  trackers = null,
+  wellKnown = null,
+  darkPatterns = null
+}) => {
+  const breakdown = [];
+  const types = new Set(policyDocuments.filter(doc => doc.url).map(doc => doc.type));
+
+  breakdown.push(
+    types.has('privacy')
+      ? { label: 'Privacy policy published', points: 0, detail: '' }
+      : { label: 'No privacy policy found', points: -25, detail: 'Nothing explains how your data is used.' }
+  );
+  breakdown.push(
+    types.has('tos')
+      ? { label: 'Terms of service published', points: 0, detail: '' }
+      : { label: 'No terms of service found', points: -10, detail: '' }
+  );
+
+  // One penalty per rule, whichever policy it was found in
+  const rules = new Map();
+  clauseFindings.forEach(finding => {
+    if (!rules.has(finding.rule)) rules.set(finding.rule, finding);
+  });
+
+  let clausePenalty = 0;
+  rules.forEach(finding => {
+    const penalty = Math.min(CLAUSE_PENALTIES[finding.severity] || 0, MAX_CLAUSE_PENALTY - clausePenalty);
+    clausePenalty += penalty;
+    breakdown.push({
+      label: finding.label,
+      points: -penalty,
+      detail: finding.description
+    });
+  });
+
+  if (trackers === null) {
+    breakdown.push({ label: 'Trackers not analysed yet', points: 0, detail: '' });
+  } else {
+    const penalty = Math.min(trackers.length * TRACKER_PENALTY, MAX_TRACKER_PENALTY);
+    breakdown.push({
+      label: trackers.length > 0 ? `${trackers.length} tracker${trackers.length === 1 ? '' : 's'} detected` : 'No trackers detected',
+      points: -penalty,
+      detail: trackers.slice(0, 5).join(', ')
+    });
+  }
+
+  let darkPatternPenalty = 0;
+  (darkPatterns || []).forEach(flag => {
+    const pattern = DARK_PATTERNS[flag.id];
+    if (!pattern) return;
+
+    const penalty = Math.min(DARK_PATTERN_PENALTIES[pattern.severity] || 0, MAX_DARK_PATTERN_PENALTY - darkPatternPenalty);
+    darkPatternPenalty += penalty;
+    breakdown.push({
+      label: `Cookie banner: ${pattern.label}`,
+      points: -penalty,
+      detail: flag.detail
+    });
+  });
+
+  if (wellKnown && wellKnown.gpc && wellKnown.gpc.supported) {
+    breakdown.push({ label: 'Honors Global Privacy Control', points: 5, detail: '' });
+  }
+
+  const total = breakdown.reduce((sum, item) => sum + item.points, 100);
+  const score = Math.max(0, Math.min(100, total));
+
+  return { grade: gradeForScore(score), score, breakdown };
+};
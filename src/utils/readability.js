@@ -0,0 +1,131 @@
+// src/utils/readability.js
+
+/**
+ * Length and readability metrics for extracted policy text. The formulas
+ * count English syllables, so other languages get no metrics.
+ */
+
+// Average adult silent reading speed
+const WORDS_PER_MINUTE = 238;
+// Sentences longer than this are counted as long
+const LONG_SENTENCE_WORDS = 30;
+
+export const READABILITY_VERSION = 2;
+
+// Share of words that are common English function words; English prose
+// sits well above this, other Latin-script languages well below
+const MIN_ENGLISH_STOPWORD_RATIO = 0.08;
+const ENGLISH_STOPWORDS = new Set([
+  'the', 'and', 'of', 'to', 'a', 'in', 'is', 'you', 'we', 'that', 'for', 'or', 'your', 'our', 'with', 'by', 'this', 'are', 'be', 'not'
+]);
+
+// Metrics shown in the popup, with the direction that means "easier"
+export const READABILITY_METRICS = {
+  word_count: { label: 'Words', lowerIsEasier: true },
+  reading_time_minutes: { label: 'Reading time', lowerIsEasier: true },
+  flesch_reading_ease: { label: 'Flesch reading ease', lowerIsEasier: false },
+  flesch_kincaid_grade: { label: 'Flesch–Kincaid grade', lowerIsEasier: true },
+  gunning_fog: { label: 'Gunning fog', lowerIsEasier: true },
+  average_sentence_length: { label: 'Words per sentence', lowerIsEasier: true },
+  long_sentence_ratio: { label: 'Long sentences', lowerIsEasier: true }
+};
+
+const round = (value, digits = 1) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+// Vowel-group heuristic; good enough for averages over thousands of words
+export const countSyllables = (word) => {
+  const cleaned = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!cleaned) return 0;
+  if (cleaned.length <= 3) return 1;
+
+  const trimmed = cleaned
+    .replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '');
+  const groups = trimmed.match(/[aeiouy]{1,2}/g);
+
+  return Math.max(1, groups ? groups.length : 0);
+};
+
+const splitSentences = (text) =>
+  text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => /[a-z]/i.test(sentence));
+
+const splitWords = (text) => text.split(/\s+/).filter(word => /[a-z0-9]/i.test(word));
+
+/**
+ * Whether a document is English: by its declared language when the page had
+ * one, otherwise by how many of its words are English function words.
+ * ja/zh text has almost no Latin words and fails either way.
+ */
+export const isEnglishText = (text, language = '') => {
+  if (language) return /^en\b/i.test(language);
+
+  const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return false;
+
+  const stopwords = words.filter(word => ENGLISH_STOPWORDS.has(word.replace(/[^a-z]/g, ''))).length;
+  return stopwords / words.length >= MIN_ENGLISH_STOPWORD_RATIO;
+};
+
+/**
+ * Metrics for a stored policy document ({ text, language }); null when the
+ * text is empty or not English
+ */
+export const computeReadability = (document) => {
+  const text = (document && document.text) || '';
+  if (!isEnglishText(text, document && document.language)) {
+    return null;
+  }
+
+  const sentences = splitSentences(text);
+  const words = splitWords(text);
+
+  if (words.length === 0 || sentences.length === 0) {
+    return null;
+  }
+
+  const syllables = words.map(countSyllables);
+  const totalSyllables = syllables.reduce((sum, count) => sum + count, 0);
+  const complexWords = syllables.filter(count => count >= 3).length;
+  const sentenceLengths = sentences.map(sentence => splitWords(sentence).length);
+  const longSentences = sentenceLengths.filter(length => length > LONG_SENTENCE_WORDS).length;
+
+  const wordsPerSentence = words.length / sentences.length;
+  const syllablesPerWord = totalSyllables / words.length;
+
+  return {
+    word_count: words.length,
+    sentence_count: sentences.length,
+    reading_time_minutes: Math.max(1, Math.round(words.length / WORDS_PER_MINUTE)),
+    flesch_reading_ease: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+    flesch_kincaid_grade: round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59),
+    gunning_fog: round(0.4 * (wordsPerSentence + 100 * (complexWords / words.length))),
+    average_sentence_length: round(wordsPerSentence),
+    longest_sentence: Math.max(...sentenceLengths),
+    long_sentence_ratio: round(longSentences / sentences.length, 2),
+    complex_word_ratio: round(complexWords / words.length, 2)
+  };
+};
+
+export const median = (values) => {
+  const sorted = values.filter(value => typeof value === 'number').sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+/**
+ * Median of every metric over a list of metric objects
+ */
+export const medianMetrics = (metricsList) =>
+  Object.keys(READABILITY_METRICS).reduce((result, key) => {
+    const value = median(metricsList.map(metrics => metrics[key]));
+    result[key] = value === null ? null : round(value, key === 'long_sentence_ratio' ? 2 : 1);
+    return result;
+  }, {});
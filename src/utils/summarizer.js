@@ -0,0 +1,178 @@
+// src/utils/summarizer.js
+
+/**
+ * Offline extractive summary of a policy: sentences are ranked with TextRank
+ * and sentences the clause analyzer flagged get a boost.
+ */
+
+export const SUMMARY_VERSION = 1;
+
+const SUMMARY_LENGTH = 5;
+// Sentences ranked per document; keeps the similarity graph small
+const MAX_SENTENCES = 400;
+const MIN_SENTENCE_WORDS = 8;
+const MAX_SENTENCE_WORDS = 60;
+const DAMPING = 0.85;
+const ITERATIONS = 30;
+// Extra weight for sentences that matched a clause rule
+const CLAUSE_BOOST = { high: 1, medium: 0.6, low: 0.3 };
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+  'were', 'will', 'with', 'we', 'our', 'us', 'you', 'your', 'may', 'any', 'such',
+  'these', 'those', 'which', 'who', 'if', 'not', 'can', 'other', 'also', 'all'
+]);
+
+const SENTENCE_PATTERN = /[^.!?]+(?:[.!?]+|$)/g;
+
+const contentWords = (sentence) =>
+  sentence
+    .toLowerCase()
+    .split(/[^a-z0-9À-ɏ]+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+
+// Original TextRank overlap: shared words normalised by sentence lengths
+const similarity = (a, b) => {
+  if (a.size < 2 || b.size < 2) return 0;
+
+  let shared = 0;
+  a.forEach(word => {
+    if (b.has(word)) shared++;
+  });
+
+  return shared / (Math.log(a.size) + Math.log(b.size));
+};
+
+const collectSentences = (document) => {
+  const blocks =
+    Array.isArray(document.blocks) && document.blocks.length > 0
+      ? document.blocks
+      : (document.text || '').split(/\n{2,}/).map(text => ({ type: 'paragraph', text }));
+  const sentences = [];
+  let section = '';
+
+  blocks.forEach((block, blockIndex) => {
+    if (block.type === 'heading') {
+      section = block.text;
+      return;
+    }
+
+    (block.text.match(SENTENCE_PATTERN) || []).forEach(raw => {
+      const text = raw.trim();
+      const wordCount = text.split(/\s+/).length;
+      if (wordCount < MIN_SENTENCE_WORDS || wordCount > MAX_SENTENCE_WORDS) return;
+
+      sentences.push({
+        text,
+        paragraph: block.text,
+        section,
+        block_index: blockIndex,
+        words: new Set(contentWords(text))
+      });
+    });
+  });
+
+  return sentences.slice(0, MAX_SENTENCES);
+};
+
+const textRank = (sentences) => {
+  const count = sentences.length;
+  const weights = sentences.map(() => new Float64Array(count));
+  const totals = new Float64Array(count);
+
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 1; j < count; j++) {
+      const weight = similarity(sentences[i].words, sentences[j].words);
+      weights[i][j] = weight;
+      weights[j][i] = weight;
+      totals[i] += weight;
+      totals[j] += weight;
+    }
+  }
+
+  let scores = new Float64Array(count).fill(1);
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    const next = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+      let sum = 0;
+      for (let j = 0; j < count; j++) {
+        if (weights[j][i] > 0 && totals[j] > 0) {
+          sum += (weights[j][i] / totals[j]) * scores[j];
+        }
+      }
+      next[i] = 1 - DAMPING + DAMPING * sum;
+    }
+    scores = next;
+  }
+
+  return scores;
+};
+
+/**
+ * Summarize a stored policy document ({ blocks } or { text }).
+ * `clauseFindings` come from analyzeClauses() for the same document.
+ * Returns bullets in document order: [{ text, paragraph, section, clause }]
+ */
+export const summarizePolicy = (document, clauseFindings = []) => {
+  const sentences = collectSentences(document);
+  if (sentences.length === 0) return [];
+
+  const flagged = new Map();
+  clauseFindings.forEach(finding => {
+    finding.paragraphs.forEach(paragraph => {
+      if (!flagged.has(paragraph.sentence)) flagged.set(paragraph.sentence, finding);
+    });
+  });
+
+  const scores = textRank(sentences);
+  const maxScore = Math.max(...scores);
+
+  const ranked = sentences
+    .map((sentence, index) => {
+      const finding = flagged.get(sentence.text);
+      const boost = finding ? CLAUSE_BOOST[finding.severity] || 0 : 0;
+      return { sentence, finding, score: scores[index] / maxScore + boost, index };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  // Skip near-duplicates of sentences already picked
+  const picked = [];
+  for (const candidate of ranked) {
+    if (picked.length >= SUMMARY_LENGTH) break;
+    const duplicate = picked.some(
+      entry => similarity(entry.sentence.words, candidate.sentence.words) > 1.5
+    );
+    if (!duplicate) picked.push(candidate);
+  }
+
+  return picked
+    .sort((a, b) => a.index - b.index)
+    .map(({ sentence, finding }) => ({
+      text: sentence.text,
+      paragraph: sentence.paragraph,
+      section: sentence.section,
+      clause: finding ? finding.rule : null
+    }));
+};
+
+// Text fragments treat "-", "," and "&" as syntax
+const encodeFragmentText = (text) =>
+  encodeURIComponent(text).replace(/-/g, '%2D').replace(/,/g, '%2C').replace(/&/g, '%26');
+
+/**
+ * Link that scrolls the policy page to a sentence (Scroll to Text Fragment).
+ * Long sentences use a start,end range so minor markup differences still match.
+ */
+export const textFragmentUrl = (url, sentence) => {
+  const base = url.split('#')[0];
+  const words = sentence.replace(/[.!?]+$/, '').split(/\s+/);
+
+  if (words.length <= 8) {
+    return `${base}#:~:text=${encodeFragmentText(words.join(' '))}`;
+  }
+
+  const start = encodeFragmentText(words.slice(0, 4).join(' '));
+  const end = encodeFragmentText(words.slice(-4).join(' '));
+  return `${base}#:~:text=${start},${end}`;
+};
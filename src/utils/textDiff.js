@@ -0,0 +1,249 @@
+// src/utils/textDiff.js
+
+/**
+ * Paragraph-aware, word-level diff of two policy texts.
+ * Texts are paragraphs separated by blank lines, as stored by the background script.
+ */
+
+// Above this many LCS cells a paragraph pair is shown as removed + added
+const MAX_WORD_CELLS = 250000;
+// Word overlap needed for a removed and an added paragraph to count as one edit
+const MIN_PARAGRAPH_SIMILARITY = 0.4;
+
+const MONTHS = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+
+const DATE_PATTERNS = [
+  // 2024-01-31, 2024/01/31
+  /\b\d{4}[-/.]\d{1,2}[-/.]\d{1,2}\b/g,
+  // 31/01/2024, 1.31.24
+  /\b\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}\b/g,
+  // January 31, 2024 / Jan 31st 2024
+  new RegExp(`\\b${MONTHS}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}\\b`, 'gi'),
+  // 31 January 2024
+  new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTHS},?\\s+\\d{4}\\b`, 'gi'),
+  // January 2024
+  new RegExp(`\\b${MONTHS}\\s+\\d{4}\\b`, 'gi')
+];
+
+const DATE_PLACEHOLDER = '\u0000date\u0000';
+
+export const splitParagraphs = (text) =>
+  (text || '')
+    .split(/\n{2,}/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean);
+
+// Whitespace differences never count as changes
+const whitespaceKey = (text) => text.replace(/\s+/g, ' ').trim();
+
+const dateKey = (text) =>
+  DATE_PATTERNS.reduce(
+    (result, pattern) => result.replace(pattern, DATE_PLACEHOLDER),
+    whitespaceKey(text)
+  );
+
+/**
+ * Longest common subsequence of two arrays, compared with `equals`.
+ * Returns operations in order: { type: 'equal' | 'removed' | 'added', oldIndex, newIndex }
+ */
+export const diffSequences = (oldItems, newItems, equals = (a, b) => a === b) => {
+  // Common prefix and suffix are matched directly to keep the table small
+  let start = 0;
+  while (start < oldItems.length && start < newItems.length && equals(oldItems[start], newItems[start])) {
+    start++;
+  }
+
+  let oldEnd = oldItems.length;
+  let newEnd = newItems.length;
+  while (oldEnd > start && newEnd > start && equals(oldItems[oldEnd - 1], newItems[newEnd - 1])) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const rows = oldEnd - start;
+  const columns = newEnd - start;
+  const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(columns + 1));
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = columns - 1; j >= 0; j--) {
+      lengths[i][j] = equals(oldItems[start + i], newItems[start + j])
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  for (let k = 0; k < start; k++) {
+    operations.push({ type: 'equal', oldIndex: k, newIndex: k });
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < columns) {
+    if (i < rows && j < columns && equals(oldItems[start + i], newItems[start + j])) {
+      operations.push({ type: 'equal', oldIndex: start + i, newIndex: start + j });
+      i++;
+      j++;
+    } else if (i < rows && (j === columns || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      // Deletions come before insertions, as in a redline
+      operations.push({ type: 'removed', oldIndex: start + i });
+      i++;
+    } else {
+      operations.push({ type: 'added', newIndex: start + j });
+      j++;
+    }
+  }
+
+  for (let k = 0; k < oldItems.length - oldEnd; k++) {
+    operations.push({ type: 'equal', oldIndex: oldEnd + k, newIndex: newEnd + k });
+  }
+
+  return operations;
+};
+
+/**
+ * Word-level diff of two paragraphs.
+ * Returns tokens { type: 'equal' | 'removed' | 'added', text } with whitespace kept for display.
+ */
+export const diffWords = (oldText, newText) => {
+  const oldWords = oldText.split(/\s+/).filter(Boolean);
+  const newWords = newText.split(/\s+/).filter(Boolean);
+
+  if (oldWords.length * newWords.length > MAX_WORD_CELLS) {
+    return [
+      { type: 'removed', text: oldText },
+      { type: 'added', text: newText }
+    ];
+  }
+
+  const tokens = [];
+  const pushToken = (type, text) => {
+    const previous = tokens[tokens.length - 1];
+    if (previous && previous.type === type) {
+      previous.text += ` ${text}`;
+    } else {
+      if (previous) tokens.push({ type: 'space', text: ' ' });
+      tokens.push({ type, text });
+    }
+  };
+
+  diffSequences(oldWords, newWords).forEach(operation => {
+    if (operation.type === 'added') {
+      pushToken('added', newWords[operation.newIndex]);
+    } else {
+      pushToken(operation.type, oldWords[operation.oldIndex]);
+    }
+  });
+
+  // Single spaces between runs are plain text
+  return tokens.map(token => (token.type === 'space' ? { type: 'equal', text: token.text } : token));
+};
+
+const wordSet = (text) => new Set(text.toLowerCase().split(/\W+/).filter(Boolean));
+
+const isEdit = (oldText, newText) =>
+  dateKey(oldText) === dateKey(newText) || similarity(oldText, newText) >= MIN_PARAGRAPH_SIMILARITY;
+
+const similarity = (a, b) => {
+  const wordsA = wordSet(a);
+  const wordsB = wordSet(b);
+  if (wordsA.size === 0 && wordsB.size === 0) return 1;
+
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) shared++;
+  });
+
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+// Pair removed and added paragraphs of one hunk that are edits of each other
+const pairHunk = (removed, added) => {
+  const paragraphs = [];
+  let addedIndex = 0;
+
+  removed.forEach(oldText => {
+    const matchOffset = added
+      .slice(addedIndex)
+      .findIndex(newText => isEdit(oldText, newText));
+
+    if (matchOffset === -1) {
+      paragraphs.push({ type: 'removed', text: oldText });
+      return;
+    }
+
+    added.slice(addedIndex, addedIndex + matchOffset).forEach(newText => {
+      paragraphs.push({ type: 'added', text: newText });
+    });
+
+    const newText = added[addedIndex + matchOffset];
+    addedIndex += matchOffset + 1;
+
+    const dateOnly = dateKey(oldText) === dateKey(newText);
+    paragraphs.push({
+      type: 'changed',
+      text: newText,
+      oldText,
+      tokens: diffWords(oldText, newText),
+      noise: dateOnly ? 'date' : null
+    });
+  });
+
+  added.slice(addedIndex).forEach(newText => {
+    paragraphs.push({ type: 'added', text: newText });
+  });
+
+  return paragraphs;
+};
+
+/**
+ * Diff two policy texts paragraph by paragraph.
+ * Returns { paragraphs, stats }. Paragraphs are
+ * { type: 'equal' | 'added' | 'removed' | 'changed', text, oldText?, tokens?, noise? };
+ * changes that only touch dates carry noise: 'date'.
+ */
+export const diffPolicyTexts = (oldText, newText) => {
+  const oldParagraphs = splitParagraphs(oldText);
+  const newParagraphs = splitParagraphs(newText);
+  const oldKeys = oldParagraphs.map(whitespaceKey);
+  const newKeys = newParagraphs.map(whitespaceKey);
+
+  const operations = diffSequences(oldKeys, newKeys);
+
+  const paragraphs = [];
+  let removed = [];
+  let added = [];
+
+  const flushHunk = () => {
+    paragraphs.push(...pairHunk(removed, added));
+    removed = [];
+    added = [];
+  };
+
+  operations.forEach(operation => {
+    if (operation.type === 'removed') {
+      removed.push(oldParagraphs[operation.oldIndex]);
+    } else if (operation.type === 'added') {
+      added.push(newParagraphs[operation.newIndex]);
+    } else {
+      flushHunk();
+      paragraphs.push({ type: 'equal', text: newParagraphs[operation.newIndex] });
+    }
+  });
+  flushHunk();
+
+  const stats = paragraphs.reduce(
+    (result, paragraph) => {
+      if (paragraph.type === 'equal') return result;
+      if (paragraph.noise) {
+        result.noise++;
+      } else {
+        result[paragraph.type]++;
+      }
+      return result;
+    },
+    { added: 0, removed: 0, changed: 0, noise: 0 }
+  );
+
+  return { paragraphs, stats };
+};
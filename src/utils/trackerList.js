@@ -0,0 +1,119 @@
+// src/utils/trackerList.js
+
+/**
+ * Bundled list of known tracker domains, keyed by registrable domain (eTLD+1).
+ * `company` is used to check whether a privacy policy names the tracker.
+ */
+
+export const TRACKER_CATEGORIES = {
+  advertising: 'Advertising',
+  analytics: 'Analytics',
+  social: 'Social media',
+  tag_manager: 'Tag manager',
+  session_replay: 'Session replay',
+  customer_data: 'Customer data platform',
+  fingerprinting: 'Fingerprinting'
+};
+
+export const TRACKERS = {
+  // Google
+  'doubleclick.net': { name: 'DoubleClick', company: 'Google', category: 'advertising' },
+  'googlesyndication.com': { name: 'Google AdSense', company: 'Google', category: 'advertising' },
+  'googleadservices.com': { name: 'Google Ads', company: 'Google', category: 'advertising' },
+  'google-analytics.com': { name: 'Google Analytics', company: 'Google', category: 'analytics' },
+  'googletagmanager.com': { name: 'Google Tag Manager', company: 'Google', category: 'tag_manager' },
+  'googletagservices.com': { name: 'Google Tag Services', company: 'Google', category: 'advertising' },
+  'adservice.google.com': { name: 'Google Ad Services', company: 'Google', category: 'advertising' },
+  // Meta
+  'facebook.net': { name: 'Meta Pixel', company: 'Meta', category: 'advertising' },
+  'facebook.com': { name: 'Facebook', company: 'Meta', category: 'social' },
+  'instagram.com': { name: 'Instagram', company: 'Meta', category: 'social' },
+  // Microsoft
+  'bing.com': { name: 'Microsoft Advertising', company: 'Microsoft', category: 'advertising' },
+  'clarity.ms': { name: 'Microsoft Clarity', company: 'Microsoft', category: 'session_replay' },
+  'linkedin.com': { name: 'LinkedIn Insight', company: 'LinkedIn', category: 'social' },
+  'licdn.com': { name: 'LinkedIn', company: 'LinkedIn', category: 'social' },
+  // Amazon
+  'amazon-adsystem.com': { name: 'Amazon Advertising', company: 'Amazon', category: 'advertising' },
+  // Other social networks
+  'twitter.com': { name: 'X (Twitter)', company: 'Twitter', category: 'social' },
+  'ads-twitter.com': { name: 'X (Twitter) Ads', company: 'Twitter', category: 'advertising' },
+  'tiktok.com': { name: 'TikTok Pixel', company: 'TikTok', category: 'advertising' },
+  'snapchat.com': { name: 'Snap Pixel', company: 'Snap', category: 'advertising' },
+  'sc-static.net': { name: 'Snap Pixel', company: 'Snap', category: 'advertising' },
+  'pinterest.com': { name: 'Pinterest Tag', company: 'Pinterest', category: 'advertising' },
+  'pinimg.com': { name: 'Pinterest', company: 'Pinterest', category: 'social' },
+  'reddit.com': { name: 'Reddit Pixel', company: 'Reddit', category: 'advertising' },
+  'redditstatic.com': { name: 'Reddit Pixel', company: 'Reddit', category: 'advertising' },
+  // Ad tech
+  'criteo.com': { name: 'Criteo', company: 'Criteo', category: 'advertising' },
+  'criteo.net': { name: 'Criteo', company: 'Criteo', category: 'advertising' },
+  'taboola.com': { name: 'Taboola', company: 'Taboola', category: 'advertising' },
+  'outbrain.com': { name: 'Outbrain', company: 'Outbrain', category: 'advertising' },
+  'adnxs.com': { name: 'Xandr', company: 'Microsoft', category: 'advertising' },
+  'rubiconproject.com': { name: 'Magnite', company: 'Magnite', category: 'advertising' },
+  'pubmatic.com': { name: 'PubMatic', company: 'PubMatic', category: 'advertising' },
+  'openx.net': { name: 'OpenX', company: 'OpenX', category: 'advertising' },
+  'casalemedia.com': { name: 'Index Exchange', company: 'Index Exchange', category: 'advertising' },
+  'adsrvr.org': { name: 'The Trade Desk', company: 'The Trade Desk', category: 'advertising' },
+  'quantserve.com': { name: 'Quantcast', company: 'Quantcast', category: 'advertising' },
+  'scorecardresearch.com': { name: 'Comscore', company: 'Comscore', category: 'analytics' },
+  'moatads.com': { name: 'Moat', company: 'Oracle', category: 'advertising' },
+  'bluekai.com': { name: 'Oracle BlueKai', company: 'Oracle', category: 'advertising' },
+  'demdex.net': { name: 'Adobe Audience Manager', company: 'Adobe', category: 'advertising' },
+  'everesttech.net': { name: 'Adobe Advertising', company: 'Adobe', category: 'advertising' },
+  'omtrdc.net': { name: 'Adobe Analytics', company: 'Adobe', category: 'analytics' },
+  '2o7.net': { name: 'Adobe Analytics', company: 'Adobe', category: 'analytics' },
+  'rlcdn.com': { name: 'LiveRamp', company: 'LiveRamp', category: 'advertising' },
+  'agkn.com': { name: 'Neustar', company: 'TransUnion', category: 'advertising' },
+  'tapad.com': { name: 'Tapad', company: 'Experian', category: 'fingerprinting' },
+  'id5-sync.com': { name: 'ID5', company: 'ID5', category: 'advertising' },
+  'smartadserver.com': { name: 'Equativ', company: 'Equativ', category: 'advertising' },
+  'yieldmo.com': { name: 'Yieldmo', company: 'Yieldmo', category: 'advertising' },
+  'sharethrough.com': { name: 'Sharethrough', company: 'Sharethrough', category: 'advertising' },
+  'media.net': { name: 'Media.net', company: 'Media.net', category: 'advertising' },
+  'adform.net': { name: 'Adform', company: 'Adform', category: 'advertising' },
+  'teads.tv': { name: 'Teads', company: 'Teads', category: 'advertising' },
+  // Analytics and product analytics
+  'hotjar.com': { name: 'Hotjar', company: 'Hotjar', category: 'session_replay' },
+  'fullstory.com': { name: 'FullStory', company: 'FullStory', category: 'session_replay' },
+  'mouseflow.com': { name: 'Mouseflow', company: 'Mouseflow', category: 'session_replay' },
+  'crazyegg.com': { name: 'Crazy Egg', company: 'Crazy Egg', category: 'session_replay' },
+  'logrocket.io': { name: 'LogRocket', company: 'LogRocket', category: 'session_replay' },
+  'quantummetric.com': { name: 'Quantum Metric', company: 'Quantum Metric', category: 'session_replay' },
+  'mixpanel.com': { name: 'Mixpanel', company: 'Mixpanel', category: 'analytics' },
+  'amplitude.com': { name: 'Amplitude', company: 'Amplitude', category: 'analytics' },
+  'heap.io': { name: 'Heap', company: 'Heap', category: 'analytics' },
+  'heapanalytics.com': { name: 'Heap', company: 'Heap', category: 'analytics' },
+  'newrelic.com': { name: 'New Relic', company: 'New Relic', category: 'analytics' },
+  'nr-data.net': { name: 'New Relic', company: 'New Relic', category: 'analytics' },
+  'chartbeat.com': { name: 'Chartbeat', company: 'Chartbeat', category: 'analytics' },
+  'parsely.com': { name: 'Parse.ly', company: 'Automattic', category: 'analytics' },
+  'kissmetrics.io': { name: 'Kissmetrics', company: 'Kissmetrics', category: 'analytics' },
+  'optimizely.com': { name: 'Optimizely', company: 'Optimizely', category: 'analytics' },
+  'mc.yandex.ru': { name: 'Yandex Metrica', company: 'Yandex', category: 'analytics' },
+  // Customer data platforms and marketing automation
+  'segment.com': { name: 'Segment', company: 'Twilio', category: 'customer_data' },
+  'segment.io': { name: 'Segment', company: 'Twilio', category: 'customer_data' },
+  'hubspot.com': { name: 'HubSpot', company: 'HubSpot', category: 'customer_data' },
+  'hs-analytics.net': { name: 'HubSpot Analytics', company: 'HubSpot', category: 'analytics' },
+  'hsforms.com': { name: 'HubSpot Forms', company: 'HubSpot', category: 'customer_data' },
+  'marketo.net': { name: 'Marketo', company: 'Adobe', category: 'customer_data' },
+  'klaviyo.com': { name: 'Klaviyo', company: 'Klaviyo', category: 'customer_data' },
+  'braze.com': { name: 'Braze', company: 'Braze', category: 'customer_data' },
+  'intercom.io': { name: 'Intercom', company: 'Intercom', category: 'customer_data' },
+  'tealiumiq.com': { name: 'Tealium', company: 'Tealium', category: 'tag_manager' },
+  'tiqcdn.com': { name: 'Tealium', company: 'Tealium', category: 'tag_manager' },
+  // Fingerprinting and identity resolution
+  'fingerprint.com': { name: 'Fingerprint', company: 'Fingerprint', category: 'fingerprinting' },
+  'fpjs.io': { name: 'Fingerprint', company: 'Fingerprint', category: 'fingerprinting' },
+  'iovation.com': { name: 'iovation', company: 'TransUnion', category: 'fingerprinting' },
+  'threatmetrix.com': { name: 'ThreatMetrix', company: 'LexisNexis', category: 'fingerprinting' }
+};
+
+/**
+ * Tracker entry for a hostname: an exact host entry wins over its
+ * registrable domain
+ */
+export const lookupTracker = (hostname, registrableDomain) =>
+  TRACKERS[hostname] || TRACKERS[registrableDomain] || null;
@@ -0,0 +1,59 @@
+// test/clauseAnalyzer.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeClauses } from '../src/utils/clauseAnalyzer.js';
+
+const rulesIn = (text) => analyzeClauses({ text }).map(finding => finding.rule);
+
+test('data sale: flags selling personal data', () => {
+  assert.ok(rulesIn('We may sell your personal information to our partners.').includes('data_sale_sharing'));
+  assert.ok(rulesIn('We rent information about you to marketers.').includes('data_sale_sharing'));
+});
+
+test('data sale: ignores negated sales', () => {
+  [
+    'We don\'t sell your personal information.',
+    'We don’t sell your personal information.',
+    'Acme doesn\'t sell personal data.',
+    'We won\'t rent your data to anyone.',
+    'We cannot sell your personal data.',
+    'We do not sell your personal information.',
+    'We will never sell your personal data.'
+  ].forEach(sentence => {
+    assert.ok(!rulesIn(sentence).includes('data_sale_sharing'), sentence);
+  });
+});
+
+test('data sale: needs personal data as the object', () => {
+  const text = 'If you sell products through our marketplace, we collect information about your listings.';
+  assert.ok(!rulesIn(text).includes('data_sale_sharing'));
+});
+
+test('forced arbitration: flags binding arbitration', () => {
+  assert.ok(rulesIn('Any dispute will be resolved by binding arbitration.').includes('forced_arbitration'));
+});
+
+test('forced arbitration: ignores disputes kept out of arbitration', () => {
+  [
+    'Disputes will be resolved in the courts of California, and not by arbitration.',
+    'Disputes will not be resolved by arbitration.',
+    'You will not be required to arbitrate any claim.'
+  ].forEach(sentence => {
+    assert.ok(!rulesIn(sentence).includes('forced_arbitration'), sentence);
+  });
+});
+
+test('biometric data: flags collection', () => {
+  assert.ok(rulesIn('We collect face geometry to verify your identity.').includes('biometric_data'));
+});
+
+test('biometric data: ignores negated collection', () => {
+  [
+    'We use your camera for video calls, but we don\'t collect biometric data.',
+    'We do not knowingly collect fingerprints.',
+    'No biometric identifiers are processed.'
+  ].forEach(sentence => {
+    assert.ok(!rulesIn(sentence).includes('biometric_data'), sentence);
+  });
+});
@@ -6,8 +6,14 @@ module.exports = {
   entry: {
     popup: "./src/popup/index.js",
     content: "./src/content/content.js",
+    gpcSignal: "./src/content/gpcSignal.js",
+    cmpBridge: "./src/content/cmpBridge.js",
     background: "./src/background/background.js",
     options: "./src/options/index.js",
+    offscreen: "./src/offscreen/offscreen.js",
+    diff: "./src/diff/index.js",
+    report: "./src/report/index.js",
+    dsr: "./src/dsr/index.js",
   },
   output: {
     path: path.resolve(__dirname, "dist"),
@@ -43,6 +49,26 @@ module.exports = {
       filename: "options.html",
       chunks: ["options"],
     }),
+    new HtmlWebpackPlugin({
+      template: "./src/offscreen/offscreen.html",
+      filename: "offscreen.html",
+      chunks: ["offscreen"],
+    }),
+    new HtmlWebpackPlugin({
+      template: "./src/diff/diff.html",
+      filename: "diff.html",
+      chunks: ["diff"],
+    }),
+    new HtmlWebpackPlugin({
+      template: "./src/report/report.html",
+      filename: "report.html",
+      chunks: ["report"],
+    }),
+    new HtmlWebpackPlugin({
+      template: "./src/dsr/dsr.html",
+      filename: "dsr.html",
+      chunks: ["dsr"],
+    }),
     new CopyWebpackPlugin({
       patterns: [
         {